@@ -0,0 +1,41 @@
+/**
+ * Controller actions shared by schedules, presence rules and scenes: what each
+ * one is called and which parameters it needs. Running them is up to the
+ * controller's runAction.
+ */
+
+// Action types, each with a check of its parameters
+const ACTION_TYPES = {
+  favorite: (action) => (action.name ? null : 'A favorite action needs a "name".'),
+  search: (action) => (action.q || action.artist || action.track
+    ? null
+    : 'A search action needs "q", "artist" or "track".'),
+  album: (action) => (action.q || action.artist ? null : 'An album action needs "q" or "artist".'),
+  lineIn: () => null,
+  volume: (action) => (Number.isInteger(action.volume) && action.volume >= 0 && action.volume <= 100
+    ? null
+    : 'A volume action needs a "volume" between 0 and 100.'),
+  pause: () => null,
+  crossfade: (action) => (typeof action.enabled === 'boolean'
+    ? null
+    : 'A crossfade action needs "enabled": true or false.'),
+  // Pause every group in the household
+  pauseAll: () => null,
+  // Split `room` off from its group, or every group when no room is given
+  ungroup: () => null,
+};
+
+/**
+ * Check an action definition. Returns an error message, or null when it is valid.
+ */
+function validateAction(action) {
+  if (!action || !ACTION_TYPES[action.type]) {
+    return `"action.type" must be one of ${Object.keys(ACTION_TYPES).join(', ')}`;
+  }
+  return ACTION_TYPES[action.type](action);
+}
+
+module.exports = {
+  validateAction,
+  ACTION_TYPES,
+};
@@ -0,0 +1,159 @@
+/**
+ * Announcements: play a short clip over whatever a room is playing, then put it back.
+ *
+ * The room is snapshotted, the clip is set as the transport URI at the announcement
+ * volume, and playback is restored once the clip ends - detected from a STOPPED
+ * transport event, the clip's duration, or a timeout, whichever comes first.
+ * Announcements on the same room are played one after another.
+ */
+
+const upnp = require('./upnp');
+const discovery = require('./discovery');
+const events = require('./events');
+
+const DEFAULT_ANNOUNCE_VOLUME = 40;
+const DEFAULT_TIMEOUT_SECONDS = 60;
+// Extra time after the reported duration, for buffering before the clip starts
+const END_PADDING_SECONDS = 1.5;
+// How long to let the speaker start the clip before asking it for the duration
+const DURATION_PROBE_MS = 1000;
+
+// speaker uuid -> promise of the announcement currently playing there
+const roomQueues = new Map();
+
+/**
+ * Wait for a clip to finish on a speaker.
+ *
+ * @param {string} uuid - Speaker UUID (matches events 'change' notifications)
+ * @param {number} timeoutSeconds - Upper bound on the wait
+ * @returns {{finished: Promise<string>, setDuration: Function, cancel: Function}}
+ *   finished resolves with 'stopped', 'duration', 'timeout' or 'cancelled';
+ *   setDuration(seconds) arms the duration timer
+ */
+function waitForClipEnd(uuid, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS) {
+  let resolveFinished;
+  let started = false;
+  let settled = false;
+  let durationTimer = null;
+  let timeoutTimer = null;
+  let onChange = null;
+
+  const finished = new Promise((resolve) => {
+    resolveFinished = resolve;
+  });
+
+  function done(reason) {
+    if (settled) return;
+    settled = true;
+    clearTimeout(durationTimer);
+    clearTimeout(timeoutTimer);
+    events.emitter.off('change', onChange);
+    resolveFinished(reason);
+  }
+
+  onChange = ({ uuid: changed, service, changes }) => {
+    if (changed !== uuid || service !== 'AVTransport' || !changes.TransportState) return;
+    if (changes.TransportState === 'PLAYING') {
+      started = true;
+    } else if (started && changes.TransportState === 'STOPPED') {
+      done('stopped');
+    }
+  };
+
+  events.emitter.on('change', onChange);
+  timeoutTimer = setTimeout(() => done('timeout'), timeoutSeconds * 1000);
+
+  return {
+    finished,
+    setDuration(seconds) {
+      if (settled) return;
+      clearTimeout(durationTimer);
+      durationTimer = setTimeout(() => done('duration'), (seconds + END_PADDING_SECONDS) * 1000);
+    },
+    cancel: () => done('cancelled'),
+  };
+}
+
+async function playAnnouncement(speaker, clipUri, options) {
+  const {
+    volume = DEFAULT_ANNOUNCE_VOLUME,
+    durationSeconds,
+    timeoutSeconds = DEFAULT_TIMEOUT_SECONDS,
+  } = options;
+  const room = speaker.roomName;
+
+  const snapshot = await upnp.takeSnapshot(room);
+  const wait = waitForClipEnd(speaker.uuid, timeoutSeconds);
+  let endedBy = null;
+  let restored = null;
+  try {
+    if (durationSeconds) wait.setDuration(durationSeconds);
+
+    console.log(`[Announce] Playing ${clipUri} on ${room} at volume ${volume}`);
+    await upnp.withSpeakerLock(room, async () => {
+      await upnp.setTransportURI(clipUri, '', room);
+      await upnp.setVolume(volume, room);
+      if (snapshot.mute) await upnp.setMute(false, room);
+      await upnp.play(room);
+    });
+
+    if (!durationSeconds) {
+      // Sonos reports the clip's duration once it has started
+      setTimeout(async () => {
+        try {
+          const position = await upnp.getPositionInfo(room);
+          if (position.durationSeconds) {
+            wait.setDuration(position.durationSeconds - (position.relTimeSeconds || 0));
+          }
+        } catch (err) {
+          console.warn(`[Announce] Could not read clip duration: ${err.message}`);
+        }
+      }, DURATION_PROBE_MS);
+    }
+
+    endedBy = await wait.finished;
+    console.log(`[Announce] Clip on ${room} finished (${endedBy}), restoring...`);
+  } finally {
+    wait.cancel();
+    restored = await upnp.restoreSnapshot(snapshot, room);
+  }
+
+  return {
+    success: true,
+    room,
+    clip: clipUri,
+    endedBy,
+    warnings: restored.warnings,
+  };
+}
+
+/**
+ * Play a clip on a room and restore what was playing afterwards.
+ *
+ * @param {string} room - Room name (defaults to SONOS_ROOM / TARGET_DEVICE_NAME)
+ * @param {string} clipUri - HTTP URL of the clip, reachable by the speaker
+ * @param {object} options - { volume, durationSeconds, timeoutSeconds }
+ * @returns {Promise<{success, room, clip, endedBy, warnings}>}
+ */
+async function announce(room, clipUri, options = {}) {
+  const speaker = await discovery.resolveSpeaker(room || upnp.defaultRoom());
+  const key = speaker.uuid;
+  const previous = roomQueues.get(key) || Promise.resolve();
+  const current = previous
+    .catch(() => {})
+    .then(() => playAnnouncement(speaker, clipUri, options));
+
+  roomQueues.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if (roomQueues.get(key) === current) roomQueues.delete(key);
+  }
+}
+
+module.exports = {
+  announce,
+  waitForClipEnd,
+  DEFAULT_ANNOUNCE_VOLUME,
+  DEFAULT_TIMEOUT_SECONDS,
+};
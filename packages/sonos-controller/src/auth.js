@@ -0,0 +1,236 @@
+/**
+ * API key authentication for the webhook server.
+ *
+ * Every request has to present a key: `Authorization: Bearer <key>`, an
+ * `X-API-Key` header, or a `?token=` query parameter (for clients such as iOS
+ * Shortcuts that can't always set headers). A key can be limited to a list of
+ * routes, and can require requests to be signed with HMAC-SHA256 over a
+ * timestamp, so a captured request can't be replayed later.
+ *
+ * Speakers can't authenticate, so UPnP event NOTIFYs and clip downloads
+ * (GET /clips/<file>) are let through.
+ *
+ * Every request is checked with `beforeBody` before its body is parsed, so an
+ * unauthenticated caller can't make the server read a body it would reject.
+ */
+
+const crypto = require('crypto');
+
+// Accepted clock difference between the signer and this server
+const DEFAULT_MAX_SKEW_SECONDS = 300;
+
+/**
+ * Read the configured keys: the API_KEY env var (a full-access key named
+ * "default") plus the entries of the keys file, if it exists.
+ *
+ * Keys file format: [{ name, key, routes?: ["POST /volume", "/transport/*"],
+ * secret?, requireSignature? }]
+ *
+ * @returns {object[]} Keys, each { name, key, routes, secret, requireSignature }
+ */
+function loadApiKeys({ fs, filePath, envKey }) {
+  const keys = [];
+  if (envKey) keys.push({ name: 'default', key: envKey });
+
+  if (filePath && fs.existsSync(filePath)) {
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error(`${filePath} must contain a JSON array of keys`);
+    }
+    entries.forEach((entry, i) => {
+      if (!entry || typeof entry.key !== 'string' || entry.key.length < 16) {
+        throw new Error(`Key #${i + 1} in ${filePath} needs a "key" of at least 16 characters`);
+      }
+      if (entry.requireSignature && !entry.secret) {
+        throw new Error(`Key '${entry.name || i + 1}' requires signatures but has no "secret"`);
+      }
+      if (entry.routes !== undefined && !Array.isArray(entry.routes)) {
+        throw new Error(`"routes" of key '${entry.name || i + 1}' must be an array`);
+      }
+      keys.push({ ...entry, name: entry.name || `key-${i + 1}` });
+    });
+  }
+
+  return keys;
+}
+
+/**
+ * Compile a route pattern: an optional method and a path where `*` matches
+ * anything and `:param` matches one path segment, e.g. "POST /queue/:index".
+ */
+function compileRoutePattern(pattern) {
+  const [first, second] = pattern.trim().split(/\s+/);
+  const method = second ? first.toUpperCase() : null;
+  const routePath = second || first;
+  const source = routePath
+    .replace(/\/+$/, '')
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') return '.*';
+      if (segment.startsWith(':')) return '[^/]+';
+      return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    })
+    .join('/');
+  return { method, regex: new RegExp(`^${source}/?$`, 'i') };
+}
+
+/**
+ * Whether a key may call a route. Keys without a `routes` list may call anything.
+ */
+function routeAllowed(key, method, routePath) {
+  if (!key.routes) return true;
+  return key.routes.map(compileRoutePattern).some((route) => (
+    (!route.method || route.method === method.toUpperCase()) && route.regex.test(routePath)
+  ));
+}
+
+/**
+ * HMAC-SHA256 signature of a request, hex encoded. The body may be a string or Buffer.
+ * Signed string: `<timestamp>.<METHOD>.<path and query>.<raw body>`
+ */
+function signRequest({
+  secret, timestamp, method, url, body = '',
+}) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${url}.`)
+    .update(body)
+    .digest('hex');
+}
+
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function presentedKey(req) {
+  const header = req.get('Authorization');
+  if (header && /^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+  return req.get('X-API-Key') || req.query.token || null;
+}
+
+function isExempt(req) {
+  if (req.method === 'NOTIFY') return true;
+  return (req.method === 'GET' || req.method === 'HEAD') && /^\/clips\/[^/]+$/.test(req.path);
+}
+
+/**
+ * Express middleware enforcing the keys. With no keys configured every request
+ * is let through (and a warning is logged once).
+ *
+ * The returned middleware has a `beforeBody` middleware that checks everything but
+ * the signature (which covers the body), to be mounted ahead of the body parsers.
+ *
+ * @param {object[]} keys - From loadApiKeys()
+ * @param {object} options - { maxSkewSeconds, now: () => ms } (now is for tests)
+ */
+function createAuthMiddleware(keys, {
+  maxSkewSeconds = DEFAULT_MAX_SKEW_SECONDS, now = Date.now,
+} = {}) {
+  // signature -> expiry (ms); a signature is only accepted once within the skew window
+  const seenSignatures = new Map();
+
+  if (keys.length === 0) {
+    console.warn('[Auth] No API keys configured - the webhook routes accept any caller.');
+    const allowAll = (req, res, next) => next();
+    allowAll.beforeBody = allowAll;
+    return allowAll;
+  }
+
+  function rejectUnauthorized(res, error) {
+    res.set('WWW-Authenticate', 'Bearer realm="sonos-controller"');
+    return res.status(401).json({ success: false, error });
+  }
+
+  /**
+   * @param {object} options - { verifyBody: false } checks the signature headers only
+   */
+  function checkSignature(req, key, { verifyBody = true } = {}) {
+    const signature = (req.get('X-Signature') || '').replace(/^sha256=/i, '');
+    const timestamp = req.get('X-Timestamp');
+    if (!signature && !timestamp) {
+      return key.requireSignature ? 'This key requires X-Timestamp and X-Signature headers.' : null;
+    }
+    if (!key.secret) return 'This key has no signing secret.';
+    if (!/^\d+$/.test(timestamp || '')) return 'X-Timestamp must be a Unix time in seconds.';
+
+    const nowMs = now();
+    if (Math.abs(nowMs / 1000 - Number(timestamp)) > maxSkewSeconds) {
+      return 'Request timestamp is outside the allowed window.';
+    }
+    if (!verifyBody) return null;
+    const expected = signRequest({
+      secret: key.secret,
+      timestamp,
+      method: req.method,
+      url: req.originalUrl,
+      body: req.rawBody || '',
+    });
+    if (!safeEqual(signature.toLowerCase(), expected)) return 'Invalid request signature.';
+
+    seenSignatures.forEach((expiresAt, seen) => {
+      if (expiresAt <= nowMs) seenSignatures.delete(seen);
+    });
+    if (seenSignatures.has(expected)) return 'Request has already been used.';
+    seenSignatures.set(expected, nowMs + maxSkewSeconds * 2000);
+    return null;
+  }
+
+  /**
+   * Check a request's key, signature and route. Sends the 401/403 and returns
+   * null when it is rejected, otherwise returns the key.
+   */
+  function authorize(req, res, options) {
+    const presented = presentedKey(req);
+    if (!presented) {
+      rejectUnauthorized(res, 'Missing API key (Authorization: Bearer, X-API-Key or ?token=).');
+      return null;
+    }
+    // Compare against every key so the time taken doesn't reveal which one matched
+    const key = keys.reduce((found, candidate) => (
+      safeEqual(presented, candidate.key) && !found ? candidate : found
+    ), null);
+    if (!key) {
+      rejectUnauthorized(res, 'Invalid API key.');
+      return null;
+    }
+
+    const signatureError = checkSignature(req, key, options);
+    if (signatureError) {
+      console.warn(`[Auth] Rejected ${req.method} ${req.path} for key '${key.name}': ${signatureError}`);
+      rejectUnauthorized(res, signatureError);
+      return null;
+    }
+
+    if (!routeAllowed(key, req.method, req.path)) {
+      console.warn(`[Auth] Key '${key.name}' is not allowed to call ${req.method} ${req.path}`);
+      res.status(403).json({
+        success: false,
+        error: `Key '${key.name}' is not allowed to call ${req.method} ${req.path}`,
+      });
+      return null;
+    }
+    return key;
+  }
+
+  const middleware = (req, res, next) => {
+    if (isExempt(req)) return next();
+    const key = authorize(req, res);
+    if (!key) return res;
+    req.apiKey = { name: key.name };
+    return next();
+  };
+  middleware.beforeBody = (req, res, next) => {
+    if (isExempt(req)) return next();
+    return authorize(req, res, { verifyBody: false }) ? next() : res;
+  };
+  return middleware;
+}
+
+module.exports = {
+  loadApiKeys,
+  createAuthMiddleware,
+  routeAllowed,
+  signRequest,
+  DEFAULT_MAX_SKEW_SECONDS,
+};
@@ -0,0 +1,181 @@
+/**
+ * Duplicate request handling for the webhook routes.
+ *
+ * - Debounce: location automations often fire the same webhook twice in a row.
+ *   A trigger on the same route and room as one that ran within the route's
+ *   window is suppressed instead of restarting playback, whatever its parameters.
+ * - Idempotency-Key: a retried request carrying the same key gets the original
+ *   response back without running again.
+ *
+ * Every response says what happened in an `X-Request-Outcome` header (run,
+ * suppressed or replayed), and JSON object bodies also get an `outcome` field.
+ */
+
+const DEFAULT_DEBOUNCE_SECONDS = 30;
+const DEFAULT_IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Parse per-route debounce windows, e.g. "play=60,line-in=10,search=0".
+ * @returns {Object<string, number>} route name -> seconds
+ */
+function parseDebounceWindows(spec) {
+  const windows = {};
+  (spec || '').split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [route, seconds] = entry.split('=').map((part) => part.trim());
+    const value = Number(seconds);
+    if (!route || seconds === undefined || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid debounce window '${entry}' (expected route=seconds)`);
+    }
+    windows[route] = value;
+  });
+  return windows;
+}
+
+function setOutcome(res, outcome) {
+  res.set('X-Request-Outcome', outcome);
+  const json = res.json.bind(res);
+  res.json = (body) => json(
+    body && typeof body === 'object' && !Array.isArray(body) ? { ...body, outcome } : body,
+  );
+}
+
+/**
+ * The route and room that identify a trigger, so repeats can be matched. The other
+ * parameters are left out: telling retries apart from new requests is what
+ * Idempotency-Key is for.
+ */
+function triggerKey(routeName, req) {
+  const room = String(req.query.room || (req.body && req.body.room) || '').toLowerCase();
+  return { room, key: `${routeName}|${room}` };
+}
+
+/**
+ * Create the debounce and idempotency middleware.
+ *
+ * @param {object} options
+ * @param {number} options.defaultWindowSeconds - Debounce window for routes without their own
+ * @param {Object<string, number>} options.windows - Per-route windows (0 disables)
+ * @param {number} options.idempotencyTtlSeconds - How long responses are kept for replay
+ * @param {Function} options.now - Clock in ms (for tests)
+ * @returns {{idempotency: Function, debounce: (routeName: string) => Function}}
+ */
+function createRequestGuards({
+  defaultWindowSeconds = DEFAULT_DEBOUNCE_SECONDS,
+  windows = {},
+  idempotencyTtlSeconds = DEFAULT_IDEMPOTENCY_TTL_SECONDS,
+  now = Date.now,
+} = {}) {
+  if (!Number.isFinite(defaultWindowSeconds) || defaultWindowSeconds < 0) {
+    throw new Error(`Invalid debounce window '${defaultWindowSeconds}' (expected seconds)`);
+  }
+  // trigger key -> { startedAt, expiresAt }
+  const recentTriggers = new Map();
+  // idempotency key -> { expiresAt, response: Promise<{status, contentType, body}|null> }
+  const idempotentResponses = new Map();
+
+  function prune(map) {
+    const time = now();
+    map.forEach((entry, key) => {
+      if (entry.expiresAt <= time) map.delete(key);
+    });
+  }
+
+  /**
+   * Replay the stored response for a repeated Idempotency-Key. Keys are scoped
+   * to the API key, method and path, so they can't collide across routes.
+   */
+  function idempotency(req, res, next) {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!idempotencyKey || req.method === 'GET') return next();
+
+    prune(idempotentResponses);
+    const scope = req.apiKey ? req.apiKey.name : '';
+    const key = `${scope}|${req.method}|${req.path}|${idempotencyKey}`;
+    const stored = idempotentResponses.get(key);
+
+    if (stored) {
+      // A retry may arrive while the original is still running: wait for its response
+      return stored.response.then((response) => {
+        if (!response) {
+          return res.status(409).json({
+            success: false,
+            error: 'The original request with this Idempotency-Key failed; retry it.',
+          });
+        }
+        console.log(`[Dedupe] Replaying response for Idempotency-Key '${idempotencyKey}'`);
+        res.set('Idempotent-Replayed', 'true');
+        res.set('X-Request-Outcome', 'replayed');
+        if (response.contentType) res.type(response.contentType);
+        return res.status(response.status).send(response.body);
+      });
+    }
+
+    let resolveResponse;
+    idempotentResponses.set(key, {
+      expiresAt: now() + idempotencyTtlSeconds * 1000,
+      response: new Promise((resolve) => {
+        resolveResponse = resolve;
+      }),
+    });
+
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      // Server errors aren't stored, so the client can retry with the same key
+      if (res.statusCode >= 500) {
+        idempotentResponses.delete(key);
+        resolveResponse(null);
+      } else {
+        resolveResponse({ status: res.statusCode, contentType: res.get('Content-Type'), body });
+      }
+      res.send = send;
+      return send(body);
+    };
+    return next();
+  }
+
+  /**
+   * Suppress repeats of a trigger on the same route and room within the window.
+   * Only triggers that didn't fail count: a 4xx/5xx response clears the entry.
+   */
+  function debounce(routeName) {
+    return (req, res, next) => {
+      const windowSeconds = windows[routeName] ?? defaultWindowSeconds;
+      if (!windowSeconds) {
+        setOutcome(res, 'run');
+        return next();
+      }
+
+      prune(recentTriggers);
+      const { room, key } = triggerKey(routeName, req);
+      const previous = recentTriggers.get(key);
+      if (previous) {
+        const agoSeconds = Math.round((now() - previous.startedAt) / 1000);
+        console.log(`[Dedupe] Suppressed repeated '${routeName}' trigger for ${room || 'default room'}`);
+        res.set('X-Request-Outcome', 'suppressed');
+        return res.status(200).json({
+          success: true,
+          outcome: 'suppressed',
+          message: `A '${routeName}' request for this room ran ${agoSeconds}s ago.`,
+          debounceSeconds: windowSeconds,
+          retryAfterSeconds: Math.ceil((previous.expiresAt - now()) / 1000),
+        });
+      }
+
+      const entry = { startedAt: now(), expiresAt: now() + windowSeconds * 1000 };
+      recentTriggers.set(key, entry);
+      res.on('finish', () => {
+        if (res.statusCode >= 400 && recentTriggers.get(key) === entry) recentTriggers.delete(key);
+      });
+      setOutcome(res, 'run');
+      return next();
+    };
+  }
+
+  return { idempotency, debounce };
+}
+
+module.exports = {
+  createRequestGuards,
+  parseDebounceWindows,
+  DEFAULT_DEBOUNCE_SECONDS,
+};
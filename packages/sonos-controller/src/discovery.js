@@ -0,0 +1,379 @@
+/**
+ * SSDP discovery for Sonos speakers on the local network.
+ *
+ * Sends an M-SEARCH for ZonePlayer devices, fetches each responder's
+ * /xml/device_description.xml and keeps a registry of room names, IPs,
+ * models and UUIDs. The UPnP module resolves speakers by room name from
+ * this registry instead of relying on a fixed IP address.
+ *
+ * Home-theater satellites, Subs and the second speaker of a stereo pair answer
+ * too, under the same room name. They are marked `invisible` from the household's
+ * ZoneGroupTopology and never chosen for a room, since they reject AVTransport commands.
+ */
+
+const dgram = require('dgram');
+const http = require('http');
+const os = require('os');
+const { EventEmitter } = require('events');
+const { getTagValue, getAttribute } = require('./xml');
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const SONOS_SEARCH_TARGET = 'urn:schemas-upnp-org:device:ZonePlayer:1';
+const SONOS_SPEAKER_PORT = 1400;
+const DEVICE_DESCRIPTION_PATH = '/xml/device_description.xml';
+const ZONE_GROUP_TOPOLOGY_PATH = '/ZoneGroupTopology/Control';
+const ZONE_GROUP_TOPOLOGY_SERVICE = 'urn:schemas-upnp-org:service:ZoneGroupTopology:1';
+const DEFAULT_DISCOVERY_TIMEOUT_MS = 3000;
+
+// uuid -> { uuid, roomName, ip, port, model, modelNumber, displayName, location, invisible,
+//   lastSeen }
+const speakers = new Map();
+let discoveryInFlight = null;
+
+// Emits 'speaker' with the registry entry of each speaker UUID a discovery finds for the
+// first time, once the invisible devices are marked
+const emitter = new EventEmitter();
+
+function discoveryTimeout() {
+  return parseInt(process.env.SONOS_DISCOVERY_TIMEOUT_MS, 10) || DEFAULT_DISCOVERY_TIMEOUT_MS;
+}
+
+/**
+ * Extract the LOCATION header from an SSDP response, or null if it is not a Sonos ZonePlayer.
+ */
+function parseSsdpResponse(message) {
+  const headers = {};
+  String(message)
+    .split(/\r?\n/)
+    .slice(1)
+    .forEach((line) => {
+      const idx = line.indexOf(':');
+      if (idx > 0) {
+        headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+      }
+    });
+
+  const isZonePlayer = (headers.st || headers.nt || '').includes('ZonePlayer')
+    || (headers.server || '').includes('Sonos');
+  if (!isZonePlayer || !headers.location) return null;
+  return headers.location;
+}
+
+/**
+ * Parse a Sonos device description document into a speaker record.
+ */
+function parseDeviceDescription(xml, location) {
+  const udn = getTagValue(xml, 'UDN');
+  const roomName = getTagValue(xml, 'roomName');
+  if (!udn || !roomName) return null;
+
+  const { hostname, port } = new URL(location);
+  return {
+    uuid: udn.replace(/^uuid:/, ''),
+    roomName,
+    ip: hostname,
+    port: parseInt(port, 10) || SONOS_SPEAKER_PORT,
+    model: getTagValue(xml, 'modelName'),
+    modelNumber: getTagValue(xml, 'modelNumber'),
+    displayName: getTagValue(xml, 'displayName'),
+    location,
+  };
+}
+
+/**
+ * Send an SSDP M-SEARCH and collect the LOCATION of every ZonePlayer that answers.
+ */
+function searchSsdp(timeoutMs) {
+  return new Promise((resolve) => {
+    const locations = new Set();
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    const message = Buffer.from(
+      [
+        'M-SEARCH * HTTP/1.1',
+        `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+        'MAN: "ssdp:discover"',
+        'MX: 1',
+        `ST: ${SONOS_SEARCH_TARGET}`,
+        '',
+        '',
+      ].join('\r\n'),
+    );
+
+    let closed = false;
+    let resendTimer = null;
+    let finishTimer = null;
+    const finish = () => {
+      if (closed) return;
+      closed = true;
+      clearTimeout(resendTimer);
+      clearTimeout(finishTimer);
+      try {
+        socket.close();
+      } catch (err) {
+        // Socket already closed
+      }
+      resolve([...locations]);
+    };
+    // Sending on a closed socket throws, so check before every send
+    const search = () => {
+      if (!closed) socket.send(message, SSDP_PORT, SSDP_ADDRESS);
+    };
+
+    socket.on('message', (msg) => {
+      const location = parseSsdpResponse(msg.toString());
+      if (location) locations.add(location);
+    });
+
+    socket.on('error', (err) => {
+      console.error(`[Discovery] SSDP socket error: ${err.message}`);
+      finish();
+    });
+
+    socket.bind(() => {
+      // UDP is lossy, so send the search twice
+      search();
+      resendTimer = setTimeout(search, 250);
+    });
+
+    finishTimer = setTimeout(finish, timeoutMs);
+  });
+}
+
+/**
+ * Fetch a device description document over HTTP.
+ */
+function fetchDeviceDescription(location, timeoutMs = discoveryTimeout()) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(location, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(data);
+        } else {
+          reject(new Error(`Device description request failed: ${res.statusCode}`));
+        }
+      });
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error('Device description request timed out')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * UUIDs of the invisible devices (satellites, Subs, stereo pair partners) in a
+ * ZoneGroupState document.
+ */
+function parseInvisibleUuids(zoneGroupState) {
+  const uuids = new Set();
+  const pattern = /<(?:ZoneGroupMember|Satellite)\b([^>]*?)\/?>/g;
+  let match = pattern.exec(zoneGroupState || '');
+  while (match) {
+    if (getAttribute(match[1], 'Invisible') === '1') {
+      uuids.add(getAttribute(match[1], 'UUID'));
+    }
+    match = pattern.exec(zoneGroupState);
+  }
+  return uuids;
+}
+
+/**
+ * Ask a speaker for the household's ZoneGroupState document.
+ */
+function fetchZoneGroupState(speaker, timeoutMs = discoveryTimeout()) {
+  return new Promise((resolve, reject) => {
+    const envelope = '<?xml version="1.0" encoding="utf-8"?>'
+      + '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" '
+      + 's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/"><s:Body>'
+      + `<u:GetZoneGroupState xmlns:u="${ZONE_GROUP_TOPOLOGY_SERVICE}"></u:GetZoneGroupState>`
+      + '</s:Body></s:Envelope>';
+    const req = http.request({
+      hostname: speaker.ip,
+      port: speaker.port || SONOS_SPEAKER_PORT,
+      path: ZONE_GROUP_TOPOLOGY_PATH,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/xml; charset=utf-8',
+        'Content-Length': Buffer.byteLength(envelope),
+        SOAPAction: `"${ZONE_GROUP_TOPOLOGY_SERVICE}#GetZoneGroupState"`,
+      },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(getTagValue(data, 'ZoneGroupState') || '');
+        } else {
+          reject(new Error(`GetZoneGroupState failed: ${res.statusCode}`));
+        }
+      });
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error('GetZoneGroupState timed out')));
+    req.on('error', reject);
+    req.end(envelope);
+  });
+}
+
+/**
+ * Add or update a speaker in the registry.
+ */
+function registerSpeaker(speaker) {
+  // A rediscovered device keeps its invisible flag until the topology is read again
+  const known = speakers.get(speaker.uuid);
+  speakers.set(speaker.uuid, {
+    invisible: Boolean(known && known.invisible),
+    ...speaker,
+    lastSeen: new Date().toISOString(),
+  });
+  return speakers.get(speaker.uuid);
+}
+
+/**
+ * List all known speakers, sorted by room name (then UUID, so the order doesn't
+ * depend on which device answered discovery first).
+ */
+function getSpeakers() {
+  return [...speakers.values()]
+    .sort((a, b) => a.roomName.localeCompare(b.roomName) || a.uuid.localeCompare(b.uuid));
+}
+
+/**
+ * Find a speaker in the registry by room name (case-insensitive).
+ * Without a room name, the first speaker is returned (single-speaker setups).
+ * Invisible devices sharing the room name are skipped.
+ */
+function findSpeaker(roomName) {
+  const wanted = roomName && roomName.toLowerCase();
+  return getSpeakers().find((s) => (
+    !s.invisible && (!wanted || s.roomName.toLowerCase() === wanted)
+  )) || null;
+}
+
+/**
+ * Mark the registered devices that the household topology lists as invisible.
+ * Failures leave the registry as it is.
+ */
+async function markInvisibleSpeakers() {
+  const visible = getSpeakers().filter((s) => !s.invisible);
+  if (visible.length === 0) return;
+  try {
+    const invisible = parseInvisibleUuids(await fetchZoneGroupState(visible[0]));
+    speakers.forEach((speaker) => {
+      speakers.set(speaker.uuid, { ...speaker, invisible: invisible.has(speaker.uuid) });
+    });
+  } catch (err) {
+    console.warn(`[Discovery] Could not read the group topology: ${err.message}`);
+  }
+}
+
+async function runDiscovery(timeoutMs) {
+  const locations = new Set(await searchSsdp(timeoutMs));
+
+  // Optional static seed for networks where multicast is blocked
+  if (process.env.SONOS_SPEAKER_IP) {
+    locations.add(
+      `http://${process.env.SONOS_SPEAKER_IP}:${SONOS_SPEAKER_PORT}${DEVICE_DESCRIPTION_PATH}`,
+    );
+  }
+
+  const results = await Promise.allSettled(
+    [...locations].map(async (location) => {
+      const xml = await fetchDeviceDescription(location);
+      return parseDeviceDescription(xml, location);
+    }),
+  );
+
+  const added = [];
+  results.forEach((result) => {
+    if (result.status === 'fulfilled' && result.value) {
+      if (!speakers.has(result.value.uuid)) added.push(result.value.uuid);
+      registerSpeaker(result.value);
+    } else if (result.status === 'rejected') {
+      console.warn(`[Discovery] Skipping device: ${result.reason.message}`);
+    }
+  });
+  await markInvisibleSpeakers();
+  added.forEach((uuid) => emitter.emit('speaker', speakers.get(uuid)));
+
+  console.log(
+    `[Discovery] Found ${speakers.size} Sonos speaker(s): ${getSpeakers().map((s) => `${s.roomName} (${s.ip})`).join(', ') || 'none'}`,
+  );
+  return getSpeakers();
+}
+
+/**
+ * Discover speakers on the network and update the registry.
+ * Concurrent callers share the same in-flight discovery.
+ */
+function discover({ timeout } = {}) {
+  if (!discoveryInFlight) {
+    discoveryInFlight = runDiscovery(timeout || discoveryTimeout()).finally(() => {
+      discoveryInFlight = null;
+    });
+  }
+  return discoveryInFlight;
+}
+
+/**
+ * Resolve a room name to a speaker, running discovery when the registry
+ * has no match (or when refresh is requested).
+ */
+async function resolveSpeaker(roomName, { refresh = false } = {}) {
+  let speaker = refresh ? null : findSpeaker(roomName);
+  if (!speaker) {
+    await discover();
+    speaker = findSpeaker(roomName);
+  }
+  if (!speaker) {
+    const known = [...new Set(getSpeakers().map((s) => s.roomName))];
+    const err = new Error(
+      `No Sonos speaker found${roomName ? ` for room '${roomName}'` : ''}. Known rooms: ${known.join(', ') || 'none'}`,
+    );
+    // Nothing was sent anywhere, so callers may safely try another route
+    err.notSent = true;
+    throw err;
+  }
+  return speaker;
+}
+
+/**
+ * The local IPv4 address speakers can reach us on (for event callbacks and hosted files).
+ * Prefers an interface on the same /24 as targetIp when one is given.
+ */
+function getLocalAddress(targetIp) {
+  const addresses = Object.values(os.networkInterfaces())
+    .flat()
+    .filter((iface) => iface && iface.family === 'IPv4' && !iface.internal)
+    .map((iface) => iface.address);
+
+  if (targetIp) {
+    const prefix = targetIp.split('.').slice(0, 3).join('.');
+    const sameSubnet = addresses.find((address) => address.startsWith(`${prefix}.`));
+    if (sameSubnet) return sameSubnet;
+  }
+  return addresses[0] || '127.0.0.1';
+}
+
+module.exports = {
+  discover,
+  resolveSpeaker,
+  findSpeaker,
+  getSpeakers,
+  registerSpeaker,
+  getLocalAddress,
+  emitter,
+
+  // Parsing (exported for tests)
+  parseSsdpResponse,
+  parseDeviceDescription,
+  fetchDeviceDescription,
+  parseInvisibleUuids,
+
+  // Config
+  SONOS_SPEAKER_PORT,
+};
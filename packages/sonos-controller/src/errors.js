@@ -0,0 +1,196 @@
+/* eslint-disable max-classes-per-file */
+/**
+ * Error types shared by the controller modules.
+ */
+
+// UPnP error codes (UPnP Device Architecture and the AV service specs).
+// Codes 7xx are service-specific, so they are looked up per service first.
+const UPNP_ERROR_MEANINGS = {
+  common: {
+    401: 'Invalid action',
+    402: 'Invalid arguments',
+    501: 'Action failed',
+    600: 'Argument value invalid',
+    601: 'Argument value out of range',
+    602: 'Optional action not implemented',
+    603: 'Out of memory',
+    604: 'Human intervention required',
+    605: 'String argument too long',
+    606: 'Action not authorized',
+  },
+  AVTransport: {
+    701: 'Transition not available',
+    702: 'No contents',
+    703: 'Read error',
+    704: 'Format not supported for playback',
+    705: 'Transport is locked',
+    706: 'Write error',
+    707: 'Media is protected or not writeable',
+    708: 'Format not supported for recording',
+    709: 'Media is full',
+    710: 'Seek mode not supported',
+    711: 'Illegal seek target',
+    712: 'Play mode not supported',
+    713: 'Record quality not supported',
+    714: 'Illegal MIME-type',
+    715: 'Content busy',
+    716: 'Resource not found',
+    717: 'Play speed not supported',
+    718: 'Invalid InstanceID',
+  },
+  RenderingControl: {
+    701: 'Invalid name',
+    702: 'Invalid InstanceID',
+  },
+  ContentDirectory: {
+    701: 'No such object',
+    702: 'Invalid CurrentTagValue',
+    708: 'Unsupported or invalid search criteria',
+    709: 'Unsupported or invalid sort criteria',
+    710: 'No such container',
+    711: 'Restricted object',
+    712: 'Bad metadata',
+    713: 'Restricted parent object',
+    714: 'No such source resource',
+    720: 'Cannot process the request',
+  },
+};
+
+// HTTP status codes for the routes, keyed the same way as UPNP_ERROR_MEANINGS.
+// Anything unmapped is reported as 502 (the speaker rejected the request).
+const UPNP_HTTP_STATUS = {
+  common: {
+    401: 501,
+    402: 400,
+    600: 400,
+    601: 400,
+    602: 501,
+    605: 400,
+    606: 403,
+  },
+  AVTransport: {
+    701: 409,
+    702: 404,
+    704: 415,
+    705: 423,
+    710: 400,
+    711: 400,
+    712: 400,
+    714: 415,
+    715: 409,
+    716: 404,
+    717: 400,
+    718: 404,
+  },
+  RenderingControl: {
+    701: 400,
+    702: 404,
+  },
+  ContentDirectory: {
+    701: 404,
+    710: 404,
+    714: 404,
+  },
+};
+
+function lookupByService(table, code, service) {
+  return (table[service] && table[service][code]) || table.common[code];
+}
+
+/**
+ * Human-readable meaning of a UPnP error code for a service (e.g. 'AVTransport').
+ */
+function describeUPnPError(code, service) {
+  return lookupByService(UPNP_ERROR_MEANINGS, code, service) || 'Unknown UPnP error';
+}
+
+/**
+ * A SOAP fault returned by a speaker, carrying the UPnP error code and its meaning.
+ */
+class UPnPError extends Error {
+  constructor({
+    action, service, code, description, statusCode,
+  }) {
+    const meaning = describeUPnPError(code, service);
+    super(`UPnP ${action} failed: ${code} ${meaning}${description ? ` (${description})` : ''}`);
+    this.name = 'UPnPError';
+    this.action = action;
+    this.service = service;
+    this.upnpErrorCode = code;
+    this.meaning = meaning;
+    this.description = description || null;
+    this.statusCode = statusCode;
+  }
+
+  toJSON() {
+    return {
+      code: this.upnpErrorCode,
+      meaning: this.meaning,
+      service: this.service,
+      action: this.action,
+    };
+  }
+}
+
+/**
+ * A request named a room that neither the Sonos cloud nor UPnP discovery knows about.
+ */
+class UnknownRoomError extends Error {
+  constructor(room, validRooms = []) {
+    super(`Unknown room '${room}'. Valid rooms: ${validRooms.join(', ') || 'none'}`);
+    this.name = 'UnknownRoomError';
+    this.room = room;
+    this.validRooms = validRooms;
+  }
+}
+
+/**
+ * The scenes file or a scene in it is invalid, so nothing was run.
+ */
+class SceneDefinitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SceneDefinitionError';
+  }
+}
+
+/**
+ * A cloud API call was refused without being sent because the API has been
+ * failing (its circuit breaker is open).
+ */
+class CircuitOpenError extends Error {
+  constructor(service, retryAfterSeconds) {
+    super(`${service} is unavailable after repeated failures; not retrying for ${retryAfterSeconds}s`);
+    this.name = 'CircuitOpenError';
+    this.service = service;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Map a UPnP error (or its toJSON() form) to an HTTP status code for the routes.
+ */
+function httpStatusForUPnPError({ code, upnpErrorCode, service }) {
+  return lookupByService(UPNP_HTTP_STATUS, code || upnpErrorCode, service) || 502;
+}
+
+/**
+ * Map any error raised while handling a route to an HTTP status code.
+ */
+function httpStatusForError(err) {
+  if (err instanceof UnknownRoomError) return 404;
+  if (err instanceof SceneDefinitionError) return 422;
+  if (err instanceof UPnPError) return httpStatusForUPnPError(err);
+  if (err && (err.isNetworkError || err instanceof CircuitOpenError)) return 503;
+  return 500;
+}
+
+module.exports = {
+  UnknownRoomError,
+  UPnPError,
+  CircuitOpenError,
+  SceneDefinitionError,
+  describeUPnPError,
+  httpStatusForUPnPError,
+  httpStatusForError,
+};
@@ -0,0 +1,363 @@
+/**
+ * UPnP GENA event subscriptions and live per-speaker state.
+ *
+ * Subscribes to the AVTransport and RenderingControl event services of every
+ * discovered speaker, including speakers discovered later, renews the
+ * subscriptions before they expire, and folds the LastChange payloads of
+ * incoming NOTIFY requests into an in-memory now-playing state (transport
+ * state, track, volume, mute) per speaker.
+ *
+ * The NOTIFY callback itself is an express route in the controller, which
+ * passes the request to handleNotify().
+ */
+
+const http = require('http');
+const { EventEmitter } = require('events');
+const discovery = require('./discovery');
+const { getTagValue, getAttribute, parseDidl } = require('./xml');
+
+const EVENT_SERVICES = {
+  AVTransport: '/MediaRenderer/AVTransport/Event',
+  RenderingControl: '/MediaRenderer/RenderingControl/Event',
+};
+const DEFAULT_TIMEOUT_SECONDS = 1800;
+// Renew when this fraction of the granted timeout has elapsed
+const RENEW_AT = 0.8;
+
+// Emits 'change' with { uuid, roomName, service, changes, state }
+const emitter = new EventEmitter();
+
+// "uuid:service" -> { sid, uuid, service, timeoutSeconds, expiresAt, renewTimer }
+const subscriptions = new Map();
+// uuid -> now-playing state
+const states = new Map();
+// "uuid:service" of a SUBSCRIBE awaiting its response -> NOTIFYs that arrived first
+// (speakers send the initial event straight away, sometimes ahead of the SID)
+const earlyNotifies = new Map();
+
+let callbackBaseUrl = null;
+
+/**
+ * Send a GENA request (SUBSCRIBE / UNSUBSCRIBE) and resolve with the response headers.
+ */
+function genaRequest(speaker, method, path, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        hostname: speaker.ip,
+        port: speaker.port,
+        path,
+        method,
+        headers,
+      },
+      (res) => {
+        res.resume();
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(res.headers);
+          } else {
+            const err = new Error(`${method} ${path} failed: ${res.statusCode}`);
+            err.statusCode = res.statusCode;
+            reject(err);
+          }
+        });
+      },
+    );
+    req.setTimeout(5000, () => req.destroy(new Error(`${method} ${path} timed out`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function parseTimeoutHeader(value) {
+  const match = String(value || '').match(/Second-(\d+)/i);
+  return match ? parseInt(match[1], 10) : DEFAULT_TIMEOUT_SECONDS;
+}
+
+function initialState(speaker) {
+  return {
+    uuid: speaker.uuid,
+    roomName: speaker.roomName,
+    ip: speaker.ip,
+    transportState: null,
+    playMode: null,
+    currentTrack: null,
+    volume: null,
+    mute: null,
+    updatedAt: null,
+  };
+}
+
+/**
+ * Parse a LastChange event document into { Name: value } pairs.
+ * Elements with a channel attribute (Volume, Mute, ...) become { Name: { Master: value } }.
+ */
+function parseLastChange(xml) {
+  const values = {};
+  const instance = xml.match(/<InstanceID\b[^>]*>([\s\S]*)<\/InstanceID>/);
+  const body = instance ? instance[1] : xml;
+  const pattern = /<(?:[\w-]+:)?([\w-]+)\s([^>]*?)\/?>/g;
+  let match = pattern.exec(body);
+  while (match) {
+    const [, name, attributes] = match;
+    const val = getAttribute(attributes, 'val');
+    if (val !== null) {
+      const channel = getAttribute(attributes, 'channel');
+      if (channel) {
+        values[name] = { ...values[name], [channel]: val };
+      } else {
+        values[name] = val;
+      }
+    }
+    match = pattern.exec(body);
+  }
+  return values;
+}
+
+function absoluteArtUri(uri, state) {
+  if (!uri || /^https?:/.test(uri)) return uri || null;
+  return `http://${state.ip}:${discovery.SONOS_SPEAKER_PORT}${uri}`;
+}
+
+/**
+ * Fold parsed LastChange values into a speaker's state.
+ */
+function applyChanges(state, service, values) {
+  const next = { ...state };
+  if (service === 'AVTransport') {
+    if (values.TransportState) next.transportState = values.TransportState;
+    if (values.CurrentPlayMode) next.playMode = values.CurrentPlayMode;
+    if ('CurrentTrackURI' in values || 'CurrentTrackMetaData' in values) {
+      const metadata = parseDidl(values.CurrentTrackMetaData)[0] || {};
+      next.currentTrack = {
+        number: parseInt(values.CurrentTrack, 10) || null,
+        uri: values.CurrentTrackURI || metadata.uri || null,
+        duration: values.CurrentTrackDuration || null,
+        title: metadata.streamContent || metadata.title || null,
+        artist: metadata.creator || null,
+        album: metadata.album || null,
+        albumArtUri: absoluteArtUri(metadata.albumArtUri, state),
+      };
+    }
+  } else if (service === 'RenderingControl') {
+    if (values.Volume && values.Volume.Master !== undefined) {
+      next.volume = parseInt(values.Volume.Master, 10);
+    }
+    if (values.Mute && values.Mute.Master !== undefined) {
+      next.mute = values.Mute.Master === '1';
+    }
+  }
+  next.updatedAt = new Date().toISOString();
+  return next;
+}
+
+/**
+ * Handle a NOTIFY request from a speaker.
+ *
+ * A NOTIFY for a subscription whose SUBSCRIBE response hasn't arrived yet is kept
+ * and applied once the SID is known.
+ *
+ * @param {object} notification - { uuid, service, sid, body }
+ * @returns {boolean} false when the SID is unknown (caller should answer 412)
+ */
+function handleNotify(notification) {
+  const {
+    uuid, service, sid, body,
+  } = notification;
+  const key = `${uuid}:${service}`;
+  const subscription = subscriptions.get(key);
+  if (!subscription && earlyNotifies.has(key)) {
+    earlyNotifies.get(key).push(notification);
+    return true;
+  }
+  if (!subscription || (sid && subscription.sid !== sid)) {
+    return false;
+  }
+
+  const lastChange = getTagValue(body, 'LastChange');
+  if (!lastChange) return true;
+
+  const speaker = discovery.getSpeakers().find((s) => s.uuid === uuid) || { uuid, roomName: uuid };
+  const previous = states.get(uuid) || initialState(speaker);
+  const changes = parseLastChange(lastChange);
+  const state = applyChanges(previous, service, changes);
+  states.set(uuid, state);
+
+  emitter.emit('change', {
+    uuid,
+    roomName: state.roomName,
+    service,
+    changes,
+    state,
+  });
+  return true;
+}
+
+/**
+ * Subscribe to one event service of a speaker (subscribeAndRenew keeps it renewed).
+ */
+async function subscribe(speaker, service) {
+  const key = `${speaker.uuid}:${service}`;
+  const callback = `${callbackBaseUrl}/upnp/notify/${encodeURIComponent(speaker.uuid)}/${service}`;
+  earlyNotifies.set(key, []);
+  let headers;
+  let early;
+  try {
+    headers = await genaRequest(speaker, 'SUBSCRIBE', EVENT_SERVICES[service], {
+      CALLBACK: `<${callback}>`,
+      NT: 'upnp:event',
+      TIMEOUT: `Second-${DEFAULT_TIMEOUT_SECONDS}`,
+    });
+  } finally {
+    early = earlyNotifies.get(key);
+    earlyNotifies.delete(key);
+  }
+
+  const timeoutSeconds = parseTimeoutHeader(headers.timeout);
+  subscriptions.set(key, {
+    sid: headers.sid,
+    uuid: speaker.uuid,
+    service,
+    timeoutSeconds,
+    expiresAt: Date.now() + timeoutSeconds * 1000,
+    renewTimer: null,
+  });
+  if (!states.has(speaker.uuid)) {
+    states.set(speaker.uuid, initialState(speaker));
+  }
+  console.log(`[Events] Subscribed to ${service} on ${speaker.roomName} (${headers.sid})`);
+  early.forEach((notification) => handleNotify(notification));
+  return subscriptions.get(key);
+}
+
+/**
+ * Renew a subscription; if the speaker no longer knows the SID, subscribe again.
+ */
+async function renew(key) {
+  const subscription = subscriptions.get(key);
+  if (!subscription) return;
+  const speaker = discovery.getSpeakers().find((s) => s.uuid === subscription.uuid);
+  if (!speaker) {
+    console.warn(`[Events] Speaker ${subscription.uuid} is gone, dropping ${subscription.service} subscription`);
+    subscriptions.delete(key);
+    return;
+  }
+
+  try {
+    const headers = await genaRequest(speaker, 'SUBSCRIBE', EVENT_SERVICES[subscription.service], {
+      SID: subscription.sid,
+      TIMEOUT: `Second-${DEFAULT_TIMEOUT_SECONDS}`,
+    });
+    subscription.timeoutSeconds = parseTimeoutHeader(headers.timeout);
+    subscription.expiresAt = Date.now() + subscription.timeoutSeconds * 1000;
+  } catch (err) {
+    console.warn(`[Events] Renewal of ${key} failed (${err.message}), re-subscribing...`);
+    subscriptions.delete(key);
+    try {
+      await subscribe(speaker, subscription.service);
+    } catch (subscribeErr) {
+      console.error(`[Events] Could not re-subscribe ${key}: ${subscribeErr.message}`);
+    }
+  }
+}
+
+/**
+ * Renew a subscription once RENEW_AT of its timeout has elapsed, and again after
+ * each renewal for as long as it exists.
+ */
+function scheduleRenewal(key) {
+  const subscription = subscriptions.get(key);
+  if (!subscription) return;
+  clearTimeout(subscription.renewTimer);
+  const delayMs = subscription.timeoutSeconds * 1000 * RENEW_AT;
+  subscription.renewTimer = setTimeout(() => renew(key).then(() => scheduleRenewal(key)), delayMs);
+  subscription.renewTimer.unref();
+}
+
+/**
+ * Subscribe to one event service of a speaker and keep the subscription renewed.
+ */
+async function subscribeAndRenew(speaker, service) {
+  const subscription = await subscribe(speaker, service);
+  scheduleRenewal(`${speaker.uuid}:${service}`);
+  return subscription;
+}
+
+/**
+ * Subscribe a speaker discovery found after subscribeAll() ran.
+ * Invisible devices (satellites, Subs) have no transport of their own and are skipped.
+ */
+function subscribeNewSpeaker(speaker) {
+  if (speaker.invisible) return;
+  Object.keys(EVENT_SERVICES).forEach((service) => {
+    if (subscriptions.has(`${speaker.uuid}:${service}`)) return;
+    subscribeAndRenew(speaker, service).catch((err) => {
+      console.error(`[Events] Subscription failed: ${err.message}`);
+    });
+  });
+}
+
+/**
+ * Subscribe to AVTransport and RenderingControl events on every visible discovered
+ * speaker that is not already subscribed, and on every speaker discovered from then on.
+ *
+ * @param {string} baseUrl - Base URL the speakers can reach the express app on
+ */
+async function subscribeAll(baseUrl) {
+  if (!callbackBaseUrl) discovery.emitter.on('speaker', subscribeNewSpeaker);
+  callbackBaseUrl = baseUrl.replace(/\/$/, '');
+  const pending = [];
+  discovery.getSpeakers().filter((speaker) => !speaker.invisible).forEach((speaker) => {
+    Object.keys(EVENT_SERVICES).forEach((service) => {
+      if (!subscriptions.has(`${speaker.uuid}:${service}`)) {
+        pending.push(subscribeAndRenew(speaker, service));
+      }
+    });
+  });
+
+  const results = await Promise.allSettled(pending);
+  results
+    .filter((r) => r.status === 'rejected')
+    .forEach((r) => console.error(`[Events] Subscription failed: ${r.reason.message}`));
+  return [...subscriptions.values()].map(({ renewTimer, ...rest }) => rest);
+}
+
+/**
+ * Cancel every subscription (e.g. on shutdown).
+ */
+async function unsubscribeAll() {
+  const pending = [...subscriptions.entries()].map(async ([key, subscription]) => {
+    clearTimeout(subscription.renewTimer);
+    subscriptions.delete(key);
+    const speaker = discovery.getSpeakers().find((s) => s.uuid === subscription.uuid);
+    if (!speaker) return;
+    await genaRequest(speaker, 'UNSUBSCRIBE', EVENT_SERVICES[subscription.service], {
+      SID: subscription.sid,
+    }).catch(() => {});
+  });
+  await Promise.all(pending);
+}
+
+/**
+ * The live state of a room's speaker, or of all speakers when no room is given.
+ */
+function getState(roomName) {
+  if (!roomName) {
+    return [...states.values()];
+  }
+  const wanted = roomName.toLowerCase();
+  return [...states.values()].find((s) => s.roomName.toLowerCase() === wanted) || null;
+}
+
+module.exports = {
+  subscribeAll,
+  unsubscribeAll,
+  handleNotify,
+  getState,
+  emitter,
+
+  // Parsing (exported for tests)
+  parseLastChange,
+
+  EVENT_SERVICES,
+};
@@ -0,0 +1,123 @@
+/**
+ * Forgiving name matching, e.g. for Sonos favorites spoken or typed by hand.
+ *
+ * Names are compared after normalization (case, diacritics, punctuation and
+ * spacing are ignored), then scored by edit distance and by how many of the
+ * query's words appear in the candidate.
+ */
+
+// Minimum score for a candidate to be picked automatically
+const DEFAULT_THRESHOLD = 0.75;
+// A runner-up this close to the best makes the match ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+// Candidates scoring below this aren't worth suggesting
+const SUGGESTION_THRESHOLD = 0.3;
+
+/**
+ * Lowercase, strip diacritics, turn punctuation into spaces and collapse whitespace.
+ * Letters and digits of any script are kept.
+ * "Café del Mar (Chill-Out)" -> "cafe del mar chill out"
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    // Recompose what's left, e.g. the Japanese voicing marks
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance (insertions, deletions and substitutions).
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of a query to a candidate name, from 0 (unrelated) to 1 (same name).
+ */
+function matchScore(query, candidate) {
+  const q = normalizeName(query);
+  const c = normalizeName(candidate);
+  if (!q || !c) return 0;
+  if (q === c) return 1;
+  // "Daylist" vs "Day List"
+  if (q.replace(/ /g, '') === c.replace(/ /g, '')) return 0.98;
+
+  const distance = editDistance(q, c);
+  const similarity = 1 - distance / Math.max(q.length, c.length);
+
+  // Word-by-word matching, tolerating a typo per longer word
+  const queryWords = q.split(' ');
+  const candidateWords = c.split(' ');
+  const wordMatches = queryWords.filter((qWord) => candidateWords.some((cWord) => (
+    cWord === qWord
+    || (qWord.length > 2 && cWord.startsWith(qWord))
+    || (qWord.length > 4 && editDistance(qWord, cWord) <= 1)
+  ))).length;
+  const coverage = wordMatches / queryWords.length;
+  // Every query word found: a strong match, slightly favouring shorter candidates
+  const wordScore = coverage === 1
+    ? 0.8 + 0.15 * (queryWords.length / candidateWords.length)
+    : 0.6 * coverage;
+
+  return Math.min(0.97, Math.max(similarity, wordScore));
+}
+
+/**
+ * Find the item whose name best matches a query.
+ *
+ * @param {string} query - Name as given by the caller
+ * @param {object[]} items - Candidates
+ * @param {object} options - { getName: (item) => string, threshold, limit }
+ * @returns {{match: object|null, score: number, candidates: Array<{name, score}>}}
+ *   match is null when nothing scores at least the threshold, or when another
+ *   candidate scores almost as well; candidates are the closest names, best first
+ */
+function findBestMatch(query, items, {
+  getName = (item) => item.name,
+  threshold = DEFAULT_THRESHOLD,
+  limit = 5,
+} = {}) {
+  const ranked = items
+    .map((item) => ({ item, name: getName(item), score: matchScore(query, getName(item)) }))
+    .sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = ranked;
+  const ambiguous = best && best.score < 1 && runnerUp
+    && best.score - runnerUp.score < AMBIGUITY_MARGIN;
+
+  return {
+    match: best && best.score >= threshold && !ambiguous ? best.item : null,
+    score: best ? Math.round(best.score * 100) / 100 : 0,
+    candidates: ranked
+      .filter((r) => r.score >= SUGGESTION_THRESHOLD)
+      .slice(0, limit)
+      .map((r) => ({ name: r.name, score: Math.round(r.score * 100) / 100 })),
+  };
+}
+
+module.exports = {
+  normalizeName,
+  editDistance,
+  matchScore,
+  findBestMatch,
+  DEFAULT_THRESHOLD,
+};
@@ -0,0 +1,187 @@
+/**
+ * Resilience for the Sonos cloud and Spotify axios instances.
+ *
+ * - Timeouts: every request gets a default timeout (a request can set its own).
+ * - 429: the request is retried after the Retry-After the API asked for.
+ * - 5xx, timeouts and network errors: retried with exponential backoff and jitter,
+ *   for GET/PUT/DELETE and requests that opt in with `retry: true`. Other POSTs
+ *   (e.g. skipToNextTrack) may already have been applied, so they are only retried
+ *   when the request never reached the API.
+ * - Circuit breaker: after repeated failures the API is considered down and
+ *   calls fail fast with CircuitOpenError, until a trial request succeeds.
+ *
+ * 401s are handled by the token manager (see token_manager.js).
+ */
+
+const { CircuitOpenError } = require('./errors');
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 10000,
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  // A 429 asking to wait longer than this is not retried
+  maxRetryAfterSeconds: 30,
+  failureThreshold: 5,
+  resetSeconds: 30,
+};
+const NETWORK_ERROR_CODES = [
+  'ECONNABORTED', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN', 'ENETUNREACH', 'ENOTFOUND',
+  'EHOSTUNREACH', 'EPIPE', 'ETIMEDOUT', 'ERR_NETWORK',
+];
+// Errors raised before a connection was made: the API never saw the request
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH', 'ENOTFOUND', 'EHOSTUNREACH'];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+/**
+ * Circuit breaker: closed (calls go through), open (calls fail fast) and, once
+ * resetSeconds have passed, half-open (one trial call decides).
+ */
+function createCircuitBreaker({
+  name, failureThreshold, resetSeconds, now = Date.now,
+}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  /**
+   * Throw CircuitOpenError unless a call may be made now.
+   */
+  function check() {
+    if (state === 'closed') return;
+    const waitedMs = now() - openedAt;
+    if (state === 'open' && waitedMs >= resetSeconds * 1000) {
+      state = 'half-open';
+    }
+    if (state === 'half-open' && !trialInFlight) {
+      trialInFlight = true;
+      return;
+    }
+    throw new CircuitOpenError(name, Math.max(1, Math.ceil(resetSeconds - waitedMs / 1000)));
+  }
+
+  function success() {
+    if (state !== 'closed') console.log(`[HTTP] ${name} is reachable again.`);
+    state = 'closed';
+    failures = 0;
+    trialInFlight = false;
+  }
+
+  function failure() {
+    failures += 1;
+    trialInFlight = false;
+    if (state === 'half-open' || (state === 'closed' && failures >= failureThreshold)) {
+      console.error(`[HTTP] ${name} is failing; failing fast for ${resetSeconds}s.`);
+      state = 'open';
+      openedAt = now();
+    }
+  }
+
+  return {
+    check, success, failure, state: () => state,
+  };
+}
+
+function isNetworkError(err) {
+  return !err.response && (NETWORK_ERROR_CODES.includes(err.code) || Boolean(err.request));
+}
+
+/**
+ * Whether a failed request may be sent again without risking a second effect.
+ */
+function isSafeToRetry(config, err) {
+  if (config.retry === true || IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase())) {
+    return true;
+  }
+  return !err.response && NOT_SENT_ERROR_CODES.includes(err.code);
+}
+
+/**
+ * Seconds a 429 asks to wait: Retry-After is either seconds or an HTTP date.
+ */
+function retryAfterSeconds(headers, now = Date.now) {
+  const value = headers && (typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after']);
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - now()) / 1000));
+}
+
+/**
+ * Add timeouts, retries and a circuit breaker to an axios instance.
+ *
+ * @param {object} api - axios instance
+ * @param {object} options - name (for logs and errors) and overrides of DEFAULT_OPTIONS,
+ *   plus sleep / random / now for tests. A request can opt out of retries with `retry: false`,
+ *   or opt a POST that is safe to repeat (e.g. setting an absolute volume) in with `retry: true`.
+ * @returns {object} The circuit breaker, e.g. for its state()
+ */
+function makeResilient(api, options = {}) {
+  const {
+    name = 'API',
+    timeoutMs,
+    maxRetries,
+    baseDelayMs,
+    maxDelayMs,
+    maxRetryAfterSeconds,
+    failureThreshold,
+    resetSeconds,
+    sleep = (ms) => new Promise((resolve) => {
+      setTimeout(resolve, ms);
+    }),
+    random = Math.random,
+    now = Date.now,
+  } = { ...DEFAULT_OPTIONS, ...options };
+  const breaker = createCircuitBreaker({
+    name, failureThreshold, resetSeconds, now,
+  });
+
+  api.interceptors.request.use((config) => {
+    breaker.check();
+    return config.timeout ? config : { ...config, timeout: timeoutMs };
+  });
+
+  api.interceptors.response.use((response) => {
+    breaker.success();
+    return response;
+  }, async (err) => {
+    if (err instanceof CircuitOpenError || !err.config) throw err;
+    const { config, response } = err;
+    const status = response && response.status;
+    const serverError = isNetworkError(err) || status >= 500;
+    if (response && !serverError) breaker.success();
+
+    const attempt = config.retryCount || 0;
+    let delayMs = null;
+    if (status === 429) {
+      const waitSeconds = retryAfterSeconds(response.headers, now) ?? baseDelayMs / 1000;
+      if (waitSeconds <= maxRetryAfterSeconds) delayMs = waitSeconds * 1000;
+    } else if (serverError && isSafeToRetry(config, err)) {
+      // Jitter (50-100% of the backoff), so clients don't retry in lockstep
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      delayMs = Math.round(backoff * (0.5 + random() / 2));
+    }
+
+    if (delayMs === null || attempt >= maxRetries || config.retry === false) {
+      if (serverError) breaker.failure();
+      throw err;
+    }
+    const reason = status || err.code || err.message;
+    console.warn(`[HTTP] ${name} ${config.method.toUpperCase()} ${config.url} failed (${reason}), `
+      + `retrying in ${(delayMs / 1000).toFixed(1)}s (${attempt + 1}/${maxRetries})`);
+    await sleep(delayMs);
+    return api.request({ ...config, retryCount: attempt + 1 });
+  });
+
+  return breaker;
+}
+
+module.exports = {
+  makeResilient,
+  createCircuitBreaker,
+  retryAfterSeconds,
+  DEFAULT_OPTIONS,
+};
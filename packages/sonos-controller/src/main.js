@@ -4,6 +4,7 @@ const open = require('open');
 const express = require('express');
 const path = require('path');
 const dotenv = require('dotenv');
+const yaml = require('js-yaml');
 
 const sonosHomeController = require('./sonos_home_controller')({
   axios,
@@ -12,6 +13,7 @@ const sonosHomeController = require('./sonos_home_controller')({
   express,
   path,
   dotenv,
+  yaml,
 });
 
 sonosHomeController.main();
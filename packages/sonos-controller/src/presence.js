@@ -0,0 +1,249 @@
+/**
+ * Household presence: who is home, and what happens when that changes.
+ *
+ * Arrivals and departures are reported per person. Rules map the household
+ * transitions to controller actions (the same ones schedules use):
+ *
+ * - firstArrival: the house was empty and someone arrived
+ * - arrival: someone arrived while others were already home
+ * - lastDeparture: the last person left
+ *
+ * A person can have their own `firstArrival` / `arrival` actions under
+ * `people`, which replace the household ones for them. An arrival of someone
+ * already home (or a departure of someone away) changes nothing and runs no
+ * actions. State and rules are persisted to a JSON file.
+ */
+
+const { validateAction } = require('./actions');
+
+const DEFAULT_RULES = {
+  firstArrival: [],
+  arrival: [],
+  lastDeparture: [{ type: 'pauseAll' }, { type: 'ungroup' }],
+  people: {},
+};
+const RULE_EVENTS = ['firstArrival', 'arrival', 'lastDeparture'];
+const PERSON_RULE_EVENTS = ['firstArrival', 'arrival'];
+
+function personKey(person) {
+  return String(person).trim().toLowerCase();
+}
+
+function validateActions(actions, label) {
+  if (!Array.isArray(actions)) return `"${label}" must be an array of actions`;
+  for (let i = 0; i < actions.length; i += 1) {
+    const error = validateAction(actions[i]);
+    if (error) return `${label}[${i}]: ${error}`;
+  }
+  return null;
+}
+
+// Rules with the per-person entries keyed like the people in the state
+function normalizeRules(definition) {
+  const people = Object.fromEntries(
+    Object.entries(definition.people || {}).map(([person, value]) => [personKey(person), value]),
+  );
+  return { ...DEFAULT_RULES, ...definition, people };
+}
+
+/**
+ * Every action of a rules definition (household and per-person), e.g. for extra checks.
+ */
+function ruleActions(rules) {
+  const listed = (value) => (Array.isArray(value) ? value : []);
+  return [
+    ...RULE_EVENTS.flatMap((event) => listed(rules[event])),
+    ...Object.values(rules.people || {}).flatMap((personRules) => PERSON_RULE_EVENTS
+      .flatMap((event) => listed(personRules?.[event]))),
+  ];
+}
+
+/**
+ * Check a rules definition. Returns an error message, or null when it is valid.
+ */
+function validateRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'Rules must be an object';
+  }
+  const unknown = Object.keys(rules).filter((key) => ![...RULE_EVENTS, 'people'].includes(key));
+  if (unknown.length > 0) {
+    return `Unknown rule '${unknown[0]}' (expected ${[...RULE_EVENTS, 'people'].join(', ')})`;
+  }
+  const eventError = RULE_EVENTS
+    .filter((event) => rules[event] !== undefined)
+    .map((event) => validateActions(rules[event], event))
+    .find(Boolean);
+  if (eventError) return eventError;
+
+  const people = rules.people || {};
+  if (typeof people !== 'object' || Array.isArray(people)) return '"people" must be an object';
+  return Object.entries(people)
+    .map(([person, personRules]) => {
+      if (!personRules || typeof personRules !== 'object' || Array.isArray(personRules)) {
+        return `"people.${person}" must be an object`;
+      }
+      const unknownEvent = Object.keys(personRules)
+        .find((key) => !PERSON_RULE_EVENTS.includes(key));
+      if (unknownEvent) {
+        return `Unknown rule 'people.${person}.${unknownEvent}' (expected ${PERSON_RULE_EVENTS.join(', ')})`;
+      }
+      return PERSON_RULE_EVENTS
+        .filter((event) => personRules[event] !== undefined)
+        .map((event) => validateActions(personRules[event], `people.${person}.${event}`))
+        .find(Boolean);
+    })
+    .find(Boolean) || null;
+}
+
+/**
+ * Create the presence tracker.
+ *
+ * @param {object} options
+ * @param {object} options.fs - fs module (injected like the controller's dependencies)
+ * @param {string} options.filePath - JSON file the state and rules are kept in
+ * @param {Function} options.runAction - (action) => Promise<{success, error?}>
+ * @param {number} options.arrivalDelayMs - Wait before running arrival actions
+ */
+function createPresence({
+  fs, filePath, runAction, arrivalDelayMs = 0,
+}) {
+  // person key -> { name, home, since, lastArrival, lastDeparture }
+  let people = {};
+  let rules = { ...DEFAULT_RULES };
+
+  function load() {
+    if (!fs.existsSync(filePath)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      people = saved.people || {};
+      rules = normalizeRules(saved.rules || {});
+    } catch (err) {
+      console.error(`[Presence] Could not read ${filePath}: ${err.message}`);
+    }
+  }
+
+  function save() {
+    try {
+      fs.writeFileSync(filePath, JSON.stringify({ people, rules }, null, 2));
+    } catch (err) {
+      console.error(`[Presence] Could not save presence: ${err.message}`);
+    }
+  }
+
+  function whoIsHome() {
+    return Object.values(people).filter((p) => p.home).map((p) => p.name);
+  }
+
+  function actionsFor(event, key) {
+    const own = PERSON_RULE_EVENTS.includes(event) && rules.people[key] && rules.people[key][event];
+    return own || rules[event] || [];
+  }
+
+  async function runActions(event, actions, delayMs) {
+    if (actions.length === 0) return [];
+    if (delayMs > 0) {
+      await new Promise((resolve) => {
+        setTimeout(resolve, delayMs);
+      });
+    }
+    const results = [];
+    // In order: e.g. pause everything before ungrouping
+    for (let i = 0; i < actions.length; i += 1) {
+      const action = actions[i];
+      let result;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        result = await runAction(action);
+      } catch (err) {
+        result = { success: false, error: err.message };
+      }
+      if (!result.success) {
+        console.error(`[Presence] ${event} action '${action.type}' failed: ${result.error}`);
+      }
+      results.push({ type: action.type, ...result });
+    }
+    return results;
+  }
+
+  /**
+   * Record a change and run the matching rule.
+   * @returns {{person, event, home: string[], actions: object[], done: Promise<object[]>}}
+   *   event is firstArrival, arrival, lastDeparture, departure or null (no change);
+   *   done resolves with the action results
+   */
+  function transition(person, arriving) {
+    const key = personKey(person);
+    const now = new Date().toISOString();
+    const entry = people[key] || { name: String(person).trim(), home: false };
+
+    if (entry.home === arriving) {
+      return {
+        person: entry.name, event: null, home: whoIsHome(), actions: [], done: Promise.resolve([]),
+      };
+    }
+
+    const othersHome = whoIsHome().filter((name) => personKey(name) !== key).length;
+    let event;
+    if (arriving) {
+      event = othersHome === 0 ? 'firstArrival' : 'arrival';
+    } else {
+      event = othersHome === 0 ? 'lastDeparture' : 'departure';
+    }
+
+    people[key] = {
+      ...entry,
+      home: arriving,
+      since: now,
+      [arriving ? 'lastArrival' : 'lastDeparture']: now,
+    };
+    save();
+
+    const actions = event === 'departure' ? [] : actionsFor(event, key);
+    console.log(`[Presence] ${entry.name} ${arriving ? 'arrived' : 'left'} (${event}), `
+      + `${actions.length} action(s)`);
+    return {
+      person: entry.name,
+      event,
+      home: whoIsHome(),
+      actions,
+      done: runActions(event, actions, arriving ? arrivalDelayMs : 0),
+    };
+  }
+
+  function getState() {
+    const home = whoIsHome();
+    return {
+      occupied: home.length > 0,
+      home,
+      people: Object.values(people),
+    };
+  }
+
+  /**
+   * Replace the rules. Throws when the definition is invalid (see validateRules).
+   */
+  function setRules(definition) {
+    const error = validateRules(definition);
+    if (error) throw new Error(error);
+    rules = normalizeRules(definition);
+    save();
+    return rules;
+  }
+
+  load();
+
+  return {
+    arrive: (person) => transition(person, true),
+    leave: (person) => transition(person, false),
+    getState,
+    getRules: () => rules,
+    setRules,
+  };
+}
+
+module.exports = {
+  createPresence,
+  validateRules,
+  ruleActions,
+  DEFAULT_RULES,
+};
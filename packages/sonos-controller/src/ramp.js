@@ -0,0 +1,152 @@
+/**
+ * Gradual volume ramps, at most one per room.
+ *
+ * On the UPnP path the speaker ramps itself with RampToVolume. Where that
+ * isn't available (or a specific duration is asked for), the volume is
+ * stepped with a caller-supplied setVolume, e.g. cloud groupVolume calls.
+ * Starting a ramp on a room cancels the one already running there.
+ */
+
+const upnp = require('./upnp');
+const { UPnPError } = require('./errors');
+
+const DEFAULT_RAMP_SECONDS = 30;
+// Minimum time between stepped volume changes, to stay well inside API rate limits
+const MIN_STEP_MS = 500;
+
+// room key -> { method, cancel() }
+const activeRamps = new Map();
+
+function roomKey(room) {
+  return String(room || upnp.defaultRoom() || '').toLowerCase();
+}
+
+/**
+ * Cancel the ramp running on a room, if any.
+ * @returns {Promise<boolean>} true when a ramp was cancelled
+ */
+async function cancelRamp(room) {
+  const key = roomKey(room);
+  const ramp = activeRamps.get(key);
+  if (!ramp) return false;
+  activeRamps.delete(key);
+  await ramp.cancel();
+  console.log(`[Ramp] Cancelled ${ramp.method} ramp on ${key || 'default room'}`);
+  return true;
+}
+
+/**
+ * Step the volume from `from` to `to` over durationSeconds.
+ *
+ * @param {string} room - Room the ramp belongs to (for cancellation)
+ * @param {object} options - { from, to, durationSeconds, setVolume: (volume) => Promise }
+ * @returns {Promise<{method: string, rampTimeSeconds: number, done: Promise<boolean>}>}
+ *   done resolves true when the target was reached, false when cancelled or failed
+ */
+async function rampStepped(room, {
+  from, to, durationSeconds = DEFAULT_RAMP_SECONDS, setVolume,
+}) {
+  await cancelRamp(room);
+  const key = roomKey(room);
+  const durationMs = Math.max(0, durationSeconds * 1000);
+  const steps = Math.max(1, Math.min(Math.abs(to - from), Math.floor(durationMs / MIN_STEP_MS)));
+  const intervalMs = durationMs / steps;
+
+  const ramp = { method: 'stepped', cancelled: false, timer: null };
+  const done = new Promise((resolve) => {
+    let step = 0;
+    const finish = (reached) => {
+      if (activeRamps.get(key) === ramp) activeRamps.delete(key);
+      resolve(reached);
+    };
+    const tick = async () => {
+      step += 1;
+      const volume = Math.round(from + ((to - from) * step) / steps);
+      try {
+        await setVolume(volume);
+      } catch (err) {
+        console.warn(`[Ramp] Volume step to ${volume} failed: ${err.message}`);
+        finish(false);
+        return;
+      }
+      if (ramp.cancelled) {
+        finish(false);
+      } else if (step >= steps) {
+        finish(true);
+      } else {
+        ramp.timer = setTimeout(tick, intervalMs);
+      }
+    };
+    ramp.cancel = () => {
+      ramp.cancelled = true;
+      clearTimeout(ramp.timer);
+      finish(false);
+    };
+    ramp.timer = setTimeout(tick, intervalMs);
+  });
+
+  activeRamps.set(key, ramp);
+  console.log(`[Ramp] Stepping volume ${from} -> ${to} over ${durationSeconds}s (${steps} steps)`);
+  return { method: 'stepped', rampTimeSeconds: durationSeconds, done };
+}
+
+/**
+ * Ramp a room's speaker to a volume over UPnP.
+ *
+ * Uses RampToVolume when a ramp type is given or no duration is, so the speaker
+ * controls the ramp; otherwise (or when the speaker rejects RampToVolume) the
+ * volume is stepped from its current level with SetVolume.
+ *
+ * @param {string} room - Room name
+ * @param {object} options - { volume, durationSeconds, type }
+ */
+async function rampUpnp(room, { volume, durationSeconds, type }) {
+  await cancelRamp(room);
+
+  if (type || !durationSeconds) {
+    try {
+      const { rampTimeSeconds } = await upnp.rampToVolume(volume, type || 'ALARM', room);
+      const key = roomKey(room);
+      const ramp = { method: 'native', timer: null };
+      // Setting the current volume again stops the speaker's ramp where it is
+      ramp.cancel = () => {
+        clearTimeout(ramp.timer);
+        return upnp.getVolume(room)
+          .then((current) => upnp.setVolume(current, room))
+          .catch((err) => console.warn(`[Ramp] Could not stop ramp: ${err.message}`));
+      };
+      ramp.timer = setTimeout(() => {
+        if (activeRamps.get(key) === ramp) activeRamps.delete(key);
+      }, rampTimeSeconds * 1000);
+      ramp.timer.unref();
+      activeRamps.set(key, ramp);
+      return { method: 'native', rampTimeSeconds, done: Promise.resolve(true) };
+    } catch (err) {
+      if (!(err instanceof UPnPError)) throw err;
+      console.warn(`[Ramp] RampToVolume unavailable (${err.message}), stepping instead`);
+    }
+  }
+
+  const from = await upnp.getVolume(room);
+  return rampStepped(room, {
+    from,
+    to: volume,
+    durationSeconds: durationSeconds || DEFAULT_RAMP_SECONDS,
+    setVolume: (v) => upnp.setVolume(v, room),
+  });
+}
+
+/**
+ * Whether a ramp is running on a room.
+ */
+function isRamping(room) {
+  return activeRamps.has(roomKey(room));
+}
+
+module.exports = {
+  rampUpnp,
+  rampStepped,
+  cancelRamp,
+  isRamping,
+  DEFAULT_RAMP_SECONDS,
+};
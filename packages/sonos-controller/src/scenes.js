@@ -0,0 +1,193 @@
+/**
+ * Scenes: named, ordered lists of controller actions, run with one request.
+ *
+ * Scenes are defined in a JSON file (or a YAML file, by its .yaml/.yml extension)
+ * that is re-read on every run, so edits take effect without a restart:
+ *
+ *   {
+ *     "evening": {
+ *       "onError": "continue",
+ *       "steps": [
+ *         { "type": "lineIn", "room": "Living Room" },
+ *         { "type": "volume", "volume": 25, "room": "Living Room" },
+ *         { "type": "ungroup", "room": "Kitchen" }
+ *       ]
+ *     }
+ *   }
+ *
+ * Steps are the controller actions (see actions.js), plus `wait` ({ "seconds": n }). A failed
+ * step stops the scene unless its `onError` is "continue".
+ */
+
+const { validateAction, ACTION_TYPES } = require('./actions');
+const { SceneDefinitionError } = require('./errors');
+
+const ON_ERROR_MODES = ['stop', 'continue'];
+const MAX_WAIT_SECONDS = 600;
+
+function validateStep(step) {
+  if (step && step.type === 'wait') {
+    const { seconds } = step;
+    return typeof seconds === 'number' && seconds >= 0 && seconds <= MAX_WAIT_SECONDS
+      ? null
+      : `A wait step needs "seconds" between 0 and ${MAX_WAIT_SECONDS}.`;
+  }
+  if (!step || !ACTION_TYPES[step.type]) {
+    return `"type" must be wait or one of ${Object.keys(ACTION_TYPES).join(', ')}`;
+  }
+  return validateAction(step);
+}
+
+/**
+ * Check a scene definition. Returns an error message, or null when it is valid.
+ */
+function validateScene(scene) {
+  if (!scene || !Array.isArray(scene.steps) || scene.steps.length === 0) {
+    return 'A scene needs a non-empty "steps" array';
+  }
+  if (scene.onError !== undefined && !ON_ERROR_MODES.includes(scene.onError)) {
+    return `"onError" must be one of ${ON_ERROR_MODES.join(', ')}`;
+  }
+  for (let i = 0; i < scene.steps.length; i += 1) {
+    const error = validateStep(scene.steps[i]);
+    if (error) return `Step ${i + 1}: ${error}`;
+  }
+  return null;
+}
+
+/**
+ * HTTP status for a scene run: 200 when every step succeeded, 207 (with the
+ * per-step statuses) when only some did, and 502 when no step succeeded.
+ */
+function sceneResultStatus(result) {
+  if (result.success) return 200;
+  return result.steps.some((step) => step.status === 'ok') ? 207 : 502;
+}
+
+/**
+ * Create the scene runner.
+ *
+ * @param {object} options
+ * @param {object} options.fs - fs module (injected like the controller's dependencies)
+ * @param {object} options.yaml - js-yaml module, for scene files ending in .yaml or .yml
+ * @param {string} options.filePath - JSON or YAML file the scenes are defined in
+ * @param {Function} options.runAction - (action) => Promise<{success, error?}>
+ * @param {Function} options.validate - Optional extra (step) => error|null check
+ */
+function createScenes({
+  fs, yaml, filePath, runAction, validate = () => null,
+}) {
+  const isYaml = /\.ya?ml$/i.test(filePath);
+
+  function parse(text) {
+    if (!isYaml) return JSON.parse(text);
+    if (!yaml) throw new Error('YAML scene files need the js-yaml package');
+    return yaml.load(text);
+  }
+
+  /**
+   * Read the scenes file. Throws SceneDefinitionError when it is malformed.
+   * @returns {Object<string, object>} scene name (lowercase) -> { name, onError, steps }
+   */
+  function load() {
+    if (!fs.existsSync(filePath)) return {};
+    let definitions;
+    try {
+      definitions = parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new SceneDefinitionError(`Could not read scenes from ${filePath}: ${err.message}`);
+    }
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+      throw new SceneDefinitionError(`${filePath} must contain an object of scenes`);
+    }
+    return Object.fromEntries(Object.entries(definitions).map(([name, scene]) => [
+      name.toLowerCase(),
+      { name, onError: 'stop', ...scene },
+    ]));
+  }
+
+  function list() {
+    return Object.values(load());
+  }
+
+  function get(name) {
+    return load()[String(name).toLowerCase()] || null;
+  }
+
+  /**
+   * Run a scene's steps in order.
+   *
+   * @param {string} name - Scene name (case-insensitive)
+   * @param {object} options - { onError } overrides the scene's setting
+   * @returns {Promise<{scene, success, onError, steps: object[]}|null>} null when there is
+   *   no such scene. Each step result is { step, type, status, error?, durationMs },
+   *   status being ok, failed or skipped.
+   * @throws {SceneDefinitionError} When the scene is invalid (nothing is run)
+   */
+  async function run(name, { onError } = {}) {
+    const scene = get(name);
+    if (!scene) return null;
+    const error = validateScene(scene)
+      || scene.steps.map((step, i) => {
+        const stepError = step.type === 'wait' ? null : validate(step);
+        return stepError && `Step ${i + 1}: ${stepError}`;
+      }).find(Boolean);
+    if (error) throw new SceneDefinitionError(`Scene '${scene.name}' is invalid. ${error}`);
+
+    const mode = onError || scene.onError;
+    const results = [];
+    let stopped = false;
+    console.log(`[Scenes] Running '${scene.name}' (${scene.steps.length} steps, on error: ${mode})`);
+
+    for (let i = 0; i < scene.steps.length; i += 1) {
+      const step = scene.steps[i];
+      const result = { step: i + 1, type: step.type };
+      if (stopped) {
+        results.push({ ...result, status: 'skipped' });
+      } else {
+        const startedAt = Date.now();
+        let outcome;
+        try {
+          if (step.type === 'wait') {
+            // eslint-disable-next-line no-await-in-loop
+            await new Promise((resolve) => {
+              setTimeout(resolve, step.seconds * 1000);
+            });
+            outcome = { success: true };
+          } else {
+            // eslint-disable-next-line no-await-in-loop
+            outcome = await runAction(step);
+          }
+        } catch (err) {
+          outcome = { success: false, error: err.message };
+        }
+        const durationMs = Date.now() - startedAt;
+        if (outcome.success) {
+          results.push({ ...result, status: 'ok', durationMs });
+        } else {
+          console.error(`[Scenes] '${scene.name}' step ${i + 1} (${step.type}) failed: ${outcome.error}`);
+          results.push({
+            ...result, status: 'failed', error: outcome.error, durationMs,
+          });
+          stopped = mode === 'stop';
+        }
+      }
+    }
+
+    return {
+      scene: scene.name,
+      success: results.every((r) => r.status === 'ok'),
+      onError: mode,
+      steps: results,
+    };
+  }
+
+  return { list, get, run };
+}
+
+module.exports = {
+  createScenes,
+  validateScene,
+  sceneResultStatus,
+  ON_ERROR_MODES,
+};
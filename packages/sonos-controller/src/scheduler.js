@@ -0,0 +1,450 @@
+/**
+ * Built-in scheduler for timed playback.
+ *
+ * Schedules are cron-style expressions (minute hour day-of-month month day-of-week)
+ * evaluated in a timezone, each triggering one controller action (see actions.js).
+ * They are persisted to a JSON file and a single timer is armed for the earliest next run.
+ */
+
+const crypto = require('crypto');
+const { validateAction } = require('./actions');
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+  },
+  {
+    name: 'dayOfWeek',
+    min: 0,
+    max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+  },
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+// Re-check at least this often, so long waits survive clock changes
+const MAX_TIMER_MS = 60 * 60 * 1000;
+// Give up looking for a next run after this long (covers Feb 29 schedules)
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function parseCronValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value '${value}'`);
+  }
+  return parseInt(value, 10);
+}
+
+function parseCronField(expression, field) {
+  const values = new Set();
+  expression.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step '${stepText}' in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseCronValue(from, field);
+      end = parseCronValue(to, field);
+    } else {
+      start = parseCronValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+    if (start < field.min || end > field.max || start > end) {
+      throw new Error(`${field.name} '${part}' is out of range ${field.min}-${field.max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Day of week 7 is Sunday, like 0
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (or @hourly / @daily / @weekly / @monthly / @yearly).
+ * Supports *, lists, ranges, steps and month / weekday names. Throws on invalid input.
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(
+      `Cron expression '${text}' must have 5 fields: minute hour day-of-month month day-of-week`,
+    );
+  }
+
+  const cron = {};
+  CRON_FIELDS.forEach((field, i) => {
+    cron[field.name] = parseCronField(parts[i], field);
+  });
+  // Standard cron: when both day fields are restricted, either may match. A field
+  // starting with * (including steps such as */2) doesn't count as restricted.
+  cron.dayOfMonthRestricted = !parts[2].startsWith('*');
+  cron.dayOfWeekRestricted = !parts[4].startsWith('*');
+  return cron;
+}
+
+const zonedFormatters = new Map();
+
+/**
+ * Calendar fields of an instant in a timezone.
+ * @returns {{year, month, day, hour, minute, weekday}} weekday is 0 (Sunday) - 6
+ */
+function zonedParts(date, timezone) {
+  if (!zonedFormatters.has(timezone)) {
+    zonedFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  const parts = {};
+  zonedFormatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+}
+
+function dayMatches(cron, parts) {
+  const dom = cron.dayOfMonth.has(parts.day);
+  const dow = cron.dayOfWeek.has(parts.weekday);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * The first minute after `after` that matches a parsed cron expression in a timezone,
+ * or null if there is none within five years.
+ */
+function nextRunTime(cron, timezone, after = new Date()) {
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const limit = time + MAX_LOOKAHEAD_MS;
+
+  while (time < limit) {
+    const parts = zonedParts(new Date(time), timezone);
+    if (!cron.month.has(parts.month) || !dayMatches(cron, parts)) {
+      // Jump towards the end of the local day without overshooting midnight on DST days
+      time += Math.max(60 - parts.minute, (22 - parts.hour) * 60 + (60 - parts.minute)) * MINUTE_MS;
+    } else if (!cron.hour.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE_MS;
+    } else if (!cron.minute.has(parts.minute)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
+
+/**
+ * Format an instant as "YYYY-MM-DD HH:mm" in a timezone.
+ */
+function formatLocal(date, timezone) {
+  const p = zonedParts(date, timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Check a schedule definition. Returns an error message, or null when it is valid.
+ *
+ * @param {object} definition - { cron, timezone, action }
+ * @param {object} [options]
+ * @param {string[]} [options.rooms] - Known room names; action.room must be one of them
+ */
+function validateSchedule({ cron, timezone, action }, { rooms } = {}) {
+  try {
+    parseCron(cron);
+  } catch (err) {
+    return err.message;
+  }
+  if (timezone && !isValidTimezone(timezone)) {
+    return `Unknown timezone '${timezone}'`;
+  }
+  const error = validateAction(action);
+  if (error) return error;
+  if (action.room && rooms && rooms.length > 0) {
+    const wanted = String(action.room).toLowerCase();
+    if (!rooms.some((room) => room.toLowerCase() === wanted)) {
+      return `Unknown room '${action.room}'. Valid rooms: ${rooms.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create the scheduler.
+ *
+ * @param {object} options
+ * @param {object} options.fs - fs module (injected like the controller's dependencies)
+ * @param {string} options.filePath - JSON file the schedules are kept in
+ * @param {Function} options.runAction - (action) => Promise<{success, error?}>
+ * @param {string} options.defaultTimezone - Timezone for schedules that don't name one
+ */
+function createScheduler({
+  fs, filePath, runAction, defaultTimezone,
+}) {
+  const timezone = defaultTimezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  let schedules = [];
+  // id -> Date of the next occurrence (skipped or not)
+  const nextRuns = new Map();
+  let timer = null;
+
+  function load() {
+    if (!fs.existsSync(filePath)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      console.error(`[Scheduler] Could not read ${filePath}: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Write a schedule list and make it the current one. Throws when the write fails,
+   * leaving the current list as it was.
+   */
+  function save(next = schedules) {
+    fs.writeFileSync(filePath, JSON.stringify(next, null, 2));
+    schedules = next;
+  }
+
+  function occurrenceAfter(schedule, after) {
+    return nextRunTime(parseCron(schedule.cron), schedule.timezone || timezone, after);
+  }
+
+  /**
+   * A schedule with its computed next run (in UTC and in its timezone).
+   */
+  function describe(schedule) {
+    const tz = schedule.timezone || timezone;
+    let next = nextRuns.get(schedule.id) || null;
+    let skippedRun = null;
+    if (next && schedule.skipOccurrence === next.toISOString()) {
+      skippedRun = next;
+      next = occurrenceAfter(schedule, next);
+    }
+    return {
+      ...schedule,
+      timezone: tz,
+      nextRun: schedule.enabled === false || !next ? null : next.toISOString(),
+      nextRunLocal: schedule.enabled === false || !next ? null : formatLocal(next, tz),
+      skippedRun: skippedRun ? skippedRun.toISOString() : null,
+    };
+  }
+
+  function plan(schedule, after = new Date()) {
+    const next = schedule.enabled === false ? null : occurrenceAfter(schedule, after);
+    if (next) {
+      nextRuns.set(schedule.id, next);
+    } else {
+      nextRuns.delete(schedule.id);
+    }
+  }
+
+  /**
+   * Run a schedule's action for an occurrence (unless it is skipped) and return the
+   * schedule as it should be saved afterwards.
+   */
+  async function fire(schedule, occurrence) {
+    if (schedule.skipOccurrence === occurrence.toISOString()) {
+      console.log(`[Scheduler] Skipping '${schedule.name}' at ${occurrence.toISOString()}`);
+      const { skipOccurrence, ...rest } = schedule;
+      return rest;
+    }
+
+    console.log(`[Scheduler] Running '${schedule.name}' (${schedule.action.type})`);
+    let result;
+    try {
+      result = await runAction(schedule.action);
+    } catch (err) {
+      result = { success: false, error: err.message };
+    }
+    const lastResult = { success: Boolean(result && result.success) };
+    if (result && result.error) lastResult.error = result.error;
+    if (!lastResult.success) {
+      console.error(`[Scheduler] '${schedule.name}' failed: ${lastResult.error || 'unknown error'}`);
+    }
+    return { ...schedule, lastRun: new Date().toISOString(), lastResult };
+  }
+
+  async function tick() {
+    const now = Date.now();
+    const due = schedules.filter((s) => nextRuns.has(s.id) && nextRuns.get(s.id).getTime() <= now);
+    if (due.length === 0) return;
+
+    const updated = new Map(await Promise.all(due.map(async (schedule) => {
+      const occurrence = nextRuns.get(schedule.id);
+      // Plan the following run from this occurrence so it can't fire twice
+      plan(schedule, occurrence);
+      return [schedule.id, await fire(schedule, occurrence)];
+    })));
+
+    // Schedules added or removed while the actions ran are kept as they are
+    schedules = schedules.map((s) => updated.get(s.id) || s);
+    try {
+      save();
+    } catch (err) {
+      console.error(`[Scheduler] Could not save schedules: ${err.message}`);
+    }
+  }
+
+  function arm() {
+    clearTimeout(timer);
+    const upcoming = [...nextRuns.values()].map((d) => d.getTime());
+    if (upcoming.length === 0) return;
+    const delay = Math.min(Math.max(0, Math.min(...upcoming) - Date.now()), MAX_TIMER_MS);
+    timer = setTimeout(() => tick().then(arm), delay);
+    timer.unref();
+  }
+
+  /**
+   * Load the persisted schedules and arm the timer. Runs missed while stopped are not caught up.
+   */
+  function start() {
+    schedules = load();
+    schedules.forEach((schedule) => {
+      try {
+        plan(schedule);
+      } catch (err) {
+        console.error(`[Scheduler] Ignoring schedule '${schedule.name}': ${err.message}`);
+      }
+    });
+    arm();
+    console.log(`[Scheduler] ${schedules.length} schedule(s) loaded (default timezone ${timezone})`);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function list() {
+    return schedules.map(describe);
+  }
+
+  function get(id) {
+    const schedule = schedules.find((s) => s.id === id);
+    return schedule ? describe(schedule) : null;
+  }
+
+  /**
+   * Add a schedule. Throws when the definition is invalid (see validateSchedule)
+   * or when it can't be saved.
+   */
+  function add({
+    name, cron, timezone: scheduleTimezone, action, enabled = true,
+  }) {
+    const error = validateSchedule({ cron, timezone: scheduleTimezone, action });
+    if (error) throw new Error(error);
+
+    const schedule = {
+      id: crypto.randomBytes(4).toString('hex'),
+      name: name || `${action.type} at ${cron}`,
+      cron: String(cron).trim(),
+      ...(scheduleTimezone && { timezone: scheduleTimezone }),
+      action,
+      enabled: enabled !== false,
+      createdAt: new Date().toISOString(),
+    };
+    save([...schedules, schedule]);
+    plan(schedule);
+    arm();
+    return describe(schedule);
+  }
+
+  /**
+   * Delete a schedule. Returns false when there is no schedule with that id.
+   * Throws when the change can't be saved.
+   */
+  function remove(id) {
+    if (!schedules.some((s) => s.id === id)) return false;
+    save(schedules.filter((s) => s.id !== id));
+    nextRuns.delete(id);
+    arm();
+    return true;
+  }
+
+  /**
+   * Skip (or, with skip = false, un-skip) the next occurrence of a schedule.
+   * Returns the updated schedule, or null when there is no schedule with that id.
+   * Throws when the change can't be saved.
+   */
+  function skipNext(id, skip = true) {
+    const schedule = schedules.find((s) => s.id === id);
+    if (!schedule) return null;
+    const next = nextRuns.get(id);
+    const { skipOccurrence, ...rest } = schedule;
+    const updated = skip && next ? { ...rest, skipOccurrence: next.toISOString() } : rest;
+    save(schedules.map((s) => (s.id === id ? updated : s)));
+    return describe(updated);
+  }
+
+  return {
+    start,
+    stop,
+    list,
+    get,
+    add,
+    remove,
+    skipNext,
+    timezone,
+  };
+}
+
+module.exports = {
+  createScheduler,
+  validateSchedule,
+
+  // Cron evaluation (exported for tests)
+  parseCron,
+  nextRunTime,
+  formatLocal,
+};
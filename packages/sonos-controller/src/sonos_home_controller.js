@@ -1,8 +1,25 @@
 const upnp = require('./upnp');
+const discovery = require('./discovery');
+const events = require('./events');
+const ramps = require('./ramp');
+const announcements = require('./announce');
+const { createScheduler, validateSchedule } = require('./scheduler');
+const { createPresence, ruleActions } = require('./presence');
+const { createScenes, sceneResultStatus, ON_ERROR_MODES } = require('./scenes');
+const { findBestMatch, matchScore, DEFAULT_THRESHOLD } = require('./fuzzy');
+const { loadApiKeys, createAuthMiddleware } = require('./auth');
+const { createTokenStore, defaultTokenDir } = require('./token_store');
+const { createTokenManager } = require('./token_manager');
+const { createTopologyCache, DEFAULT_TTL_SECONDS } = require('./topology');
+const { makeResilient, DEFAULT_OPTIONS: HTTP_DEFAULTS } = require('./http_client');
+const { createRequestGuards, parseDebounceWindows, DEFAULT_DEBOUNCE_SECONDS } = require('./dedupe');
+const {
+  UnknownRoomError, UPnPError, httpStatusForError, httpStatusForUPnPError,
+} = require('./errors');
 
 module.exports = (dependencies) => {
   const {
-    axios, fs, open, express, path, dotenv,
+    axios, fs, open, express, path, dotenv, yaml,
   } = dependencies;
 
   dotenv.config();
@@ -17,6 +34,20 @@ module.exports = (dependencies) => {
     TARGET_DEVICE_NAME,
     ARRIVAL_DELAY_SECONDS,
     SERVER_PORT,
+    CALLBACK_BASE_URL,
+    SCHEDULE_TIMEZONE,
+    CLIPS_DIR,
+    ANNOUNCE_VOLUME,
+    API_KEY,
+    API_KEYS_FILE,
+    DEBOUNCE_SECONDS,
+    DEBOUNCE_WINDOWS,
+    SCENES_FILE,
+    TOKEN_ENCRYPTION_KEY,
+    TOKEN_STORE_DIR,
+    SONOS_HOUSEHOLD,
+    TOPOLOGY_CACHE_SECONDS,
+    TOPOLOGY_POLL_SECONDS,
   } = process.env;
 
   if (!SONOS_CLIENT_ID || !SONOS_CLIENT_SECRET || !TARGET_DEVICE_NAME) {
@@ -26,247 +57,701 @@ module.exports = (dependencies) => {
     process.exit(1);
   }
 
-  const SONOS_TOKEN_PATH = path.join(__dirname, '.sonos_tokens.json');
-  const SPOTIFY_TOKEN_PATH = path.join(__dirname, '.spotify_tokens.json');
+  // Plaintext token files of older versions, moved into the token store on start
+  const LEGACY_SONOS_TOKEN_PATH = path.join(__dirname, '.sonos_tokens.json');
+  const LEGACY_SPOTIFY_TOKEN_PATH = path.join(__dirname, '.spotify_tokens.json');
+  const SCHEDULES_PATH = path.join(__dirname, '.schedules.json');
+  const PRESENCE_PATH = path.join(__dirname, '.presence.json');
+  const SCENES_PATH = SCENES_FILE || path.join(__dirname, '..', 'scenes.json');
+  const API_KEYS_PATH = API_KEYS_FILE || path.join(__dirname, '.api_keys.json');
+  // Audio clips served to the speakers for /announce
+  const CLIPS_PATH = CLIPS_DIR || path.join(__dirname, '..', 'clips');
+  const CLIP_NAME_PATTERN = /^[\w-][\w .-]*\.(mp3|wav|ogg|flac|m4a|aac)$/i;
+  const MAX_CLIP_BYTES = '10mb';
   const AUTH_PORT = 8888;
+  // Playlist scopes are needed to find the user's own playlists for /playlist
+  const SPOTIFY_SCOPES = 'user-modify-playback-state playlist-read-private playlist-read-collaborative';
   const WEBHOOK_PORT = SERVER_PORT || 5001;
+  // Volume playback starts at (and the default ramp target)
+  const DEFAULT_PLAY_VOLUME = 30;
+  // How long the 'My Sonos' favorites list is reused before fetching it again
+  const FAVORITES_CACHE_MS = 5 * 60 * 1000;
+  // Spotify /albums requests in flight at once when building an artist's discography mix
+  const ALBUM_BATCH_CONCURRENCY = 3;
+  // How often the cloud groups are re-read to notice changes made in the Sonos app
+  const DEFAULT_TOPOLOGY_POLL_SECONDS = 60;
+  // Whole seconds from an env var: unset or non-numeric values get the default, 0 is kept
+  const envSeconds = (value, fallback) => {
+    const seconds = parseInt(value, 10);
+    return Number.isNaN(seconds) ? fallback : seconds;
+  };
   const DELAY_MS = (parseInt(ARRIVAL_DELAY_SECONDS, 10) || 0) * 1000;
   const SONOS_REDIRECT_URI_FULL = SONOS_REDIRECT_URI || `http://localhost:${AUTH_PORT}/sonos_callback`;
   const SPOTIFY_REDIRECT_URI_FULL = SPOTIFY_REDIRECT_URI || `http://localhost:${AUTH_PORT}/spotify_callback`;
 
+  let tokenStore;
+  try {
+    tokenStore = createTokenStore({
+      fs,
+      dir: TOKEN_STORE_DIR || defaultTokenDir(),
+      secret: TOKEN_ENCRYPTION_KEY,
+    });
+  } catch (err) {
+    console.error(
+      `FATAL ERROR: ${err.message}. Set TOKEN_ENCRYPTION_KEY in the .env file (e.g. openssl rand -hex 32).`,
+    );
+    process.exit(1);
+  }
+
   const app = express();
-  app.use(express.json());
+  // Named speaker snapshots for /snapshot and /restore (in memory: name -> snapshot)
+  const snapshots = new Map();
+  // Sonos favorites per household: householdId -> { items, fetchedAt }
+  const favoritesCache = new Map();
   const sonosApi = axios.create({ baseURL: 'https://api.ws.sonos.com/control/api/v1' });
   const spotifyApi = axios.create({ baseURL: 'https://api.spotify.com/v1' });
+  // OAuth tokens, refreshed shortly before they expire or after a 401
+  const oauthHttp = axios.create({ timeout: HTTP_DEFAULTS.timeoutMs });
+  const sonosAuth = createTokenManager({
+    name: 'sonos',
+    label: 'Sonos',
+    store: tokenStore,
+    http: oauthHttp,
+    tokenUrl: 'https://api.sonos.com/login/v3/oauth/access',
+    clientId: SONOS_CLIENT_ID,
+    clientSecret: SONOS_CLIENT_SECRET,
+    validate: (tokens) => (tokens.scope && tokens.scope.includes('playback-control-all')
+      ? null
+      : 'invalid or missing scope'),
+  });
+  const spotifyAuth = createTokenManager({
+    name: 'spotify',
+    label: 'Spotify',
+    store: tokenStore,
+    http: oauthHttp,
+    tokenUrl: 'https://accounts.spotify.com/api/token',
+    clientId: SPOTIFY_CLIENT_ID,
+    clientSecret: SPOTIFY_CLIENT_SECRET,
+  });
+  sonosAuth.attach(sonosApi);
+  spotifyAuth.attach(spotifyApi);
+  // Household, groups and players, reused between requests
+  const topologyCache = createTopologyCache({
+    api: sonosApi,
+    household: SONOS_HOUSEHOLD,
+    ttlSeconds: envSeconds(TOPOLOGY_CACHE_SECONDS, DEFAULT_TTL_SECONDS),
+  });
+  topologyCache.attach(sonosApi);
+  // Timeouts, retries (429 Retry-After, backoff on 5xx/network errors) and circuit breakers
+  const sonosBreaker = makeResilient(sonosApi, { name: 'Sonos cloud API' });
+  const spotifyBreaker = makeResilient(spotifyApi, { name: 'Spotify API' });
+
+  /**
+   * Base URL the speakers can reach this server on (event callbacks, hosted clips).
+   */
+  function publicBaseUrl(speakerIp) {
+    if (CALLBACK_BASE_URL) return CALLBACK_BASE_URL.replace(/\/$/, '');
+    return `http://${discovery.getLocalAddress(speakerIp)}:${WEBHOOK_PORT}`;
+  }
+
+  /**
+   * Move plaintext token files left by older versions into the encrypted store.
+   */
+  function importLegacyTokens() {
+    [['sonos', LEGACY_SONOS_TOKEN_PATH], ['spotify', LEGACY_SPOTIFY_TOKEN_PATH]]
+      .forEach(([name, legacyFile]) => {
+        try {
+          tokenStore.importLegacy(name, legacyFile);
+        } catch (err) {
+          console.error(`Could not import ${legacyFile}: ${err.message}`);
+        }
+      });
+  }
 
-  function saveSonosTokens(tokens) {
+  async function pauseSpotify() {
+    console.log('Attempting to pause Spotify...');
     try {
-      fs.writeFileSync(SONOS_TOKEN_PATH, JSON.stringify(tokens, null, 2));
-      console.log('Sonos tokens saved to .sonos_tokens.json');
+      await spotifyApi.put('/me/player/pause');
+      console.log('Successfully paused Spotify.');
     } catch (err) {
-      console.error('Error saving Sonos tokens:', err);
+      const errorData = err.response ? err.response.data : err.message;
+      if (err.response && err.response.status === 404) {
+        console.log('No active Spotify device found to pause.');
+      } else {
+        console.error(
+          'An error occurred during Spotify pause attempt:',
+          JSON.stringify(errorData, null, 2),
+        );
+      }
     }
   }
 
-  function saveSpotifyTokens(tokens) {
-    try {
-      fs.writeFileSync(SPOTIFY_TOKEN_PATH, JSON.stringify(tokens, null, 2));
-      console.log('Spotify tokens saved to .spotify_tokens.json');
-    } catch (err) {
-      console.error('Error saving Spotify tokens:', err);
+  /**
+   * The household and its groups/players from the Sonos cloud (cached, see topology.js).
+   * @param {object} options - { refresh: true } to bypass the cache, e.g. after regrouping
+   */
+  async function fetchSonosTopology(options) {
+    const sonosReady = await sonosAuth.ensureFresh();
+    if (!sonosReady) {
+      console.error('Aborting: no usable Sonos token.');
+      return null;
+    }
+    return topologyCache.get(options);
+  }
+
+  /**
+   * Find the group a room belongs to: either the group name itself,
+   * or the group whose members include a player with that name.
+   */
+  function findGroupForRoom(topology, roomName) {
+    const wanted = roomName.toLowerCase();
+    const byName = topology.groups.find((g) => g.name.toLowerCase() === wanted);
+    if (byName) return byName;
+
+    const player = topology.players.find((p) => p.name.toLowerCase() === wanted);
+    if (!player) return null;
+    return topology.groups.find((g) => (g.playerIds || []).includes(player.id)) || null;
+  }
+
+  /**
+   * The fields of a cloud group the routes use, including its coordinator's room name
+   * (the target of group-wide UPnP commands) and how many players it has.
+   */
+  function describeGroup(topology, group) {
+    const coordinator = topology.players.find((p) => p.id === group.coordinatorId);
+    return {
+      householdId: topology.householdId,
+      groupId: group.id,
+      name: group.name,
+      coordinator: coordinator ? coordinator.name : null,
+      playerCount: (group.playerIds || []).length,
+    };
+  }
+
+  /**
+   * Rooms known to the Sonos cloud (player names) and to UPnP discovery.
+   */
+  function listRoomNames(topology) {
+    const names = new Set(discovery.getSpeakers().map((s) => s.roomName));
+    if (topology) {
+      topology.players.forEach((p) => names.add(p.name));
     }
+    return [...names].sort((a, b) => a.localeCompare(b));
   }
 
-  function loadSonosTokens() {
-    if (!fs.existsSync(SONOS_TOKEN_PATH)) {
+  /**
+   * Resolve a room name (defaults to TARGET_DEVICE_NAME) to its Sonos cloud group.
+   */
+  async function getSonosGroup(room) {
+    const roomName = room || TARGET_DEVICE_NAME;
+    const topology = await fetchSonosTopology();
+    if (!topology) return null;
+
+    const { groups } = topology;
+    const targetGroup = findGroupForRoom(topology, roomName);
+
+    if (!targetGroup) {
+      console.warn(`Could not find a Sonos speaker or group named '${roomName}'.`);
+      console.log(
+        'Available groups:',
+        groups.map((g) => g.name),
+      );
       return null;
     }
-    try {
-      const tokens = JSON.parse(fs.readFileSync(SONOS_TOKEN_PATH, 'utf8'));
-      if (!tokens.scope || !tokens.scope.includes('playback-control-all')) {
-        console.error(
-          'Error: Stored Sonos token has an invalid or missing scope. Deleting it to force re-authentication.',
-        );
-        fs.unlinkSync(SONOS_TOKEN_PATH);
-        return null;
+    const groupId = targetGroup.id;
+    console.log(`Found target group '${targetGroup.name}' with ID: ${groupId}`);
+    return describeGroup(topology, targetGroup);
+  }
+
+  /**
+   * Resolve a per-request room on the sides a route needs: the Sonos cloud group
+   * and/or the UPnP speaker. Throws UnknownRoomError listing the valid rooms.
+   *
+   * @param {string} room - Room name from the request; falls back to the configured defaults
+   * @param {object} sides - { cloud: boolean, upnp: boolean }
+   */
+  async function resolveRoom(room, { cloud = true, upnp: needsUpnp = true } = {}) {
+    const resolved = { room };
+    let topology = null;
+
+    if (cloud) {
+      const roomName = room || TARGET_DEVICE_NAME;
+      topology = await fetchSonosTopology();
+      if (!topology) {
+        throw new Error('Could not reach the Sonos cloud to resolve the room.');
       }
-      sonosApi.defaults.headers.common.Authorization = `Bearer ${tokens.access_token}`;
-      console.log('Sonos tokens loaded from file with valid scope.');
-      return tokens;
-    } catch (err) {
-      console.error('Error loading or parsing Sonos token file. It might be corrupted.', err);
+      const group = findGroupForRoom(topology, roomName);
+      if (!group) {
+        throw new UnknownRoomError(roomName, listRoomNames(topology));
+      }
+      resolved.group = describeGroup(topology, group);
+    }
+
+    if (needsUpnp) {
+      const roomName = room || upnp.defaultRoom();
       try {
-        fs.unlinkSync(SONOS_TOKEN_PATH);
-      } catch (deleteErr) {
-        console.error('Error deleting corrupted Sonos token file:', deleteErr);
+        resolved.speaker = await discovery.resolveSpeaker(roomName);
+      } catch (err) {
+        if (!topology) {
+          topology = await fetchSonosTopology().catch(() => null);
+        }
+        throw new UnknownRoomError(roomName, listRoomNames(topology));
       }
-      return null;
     }
+
+    return resolved;
   }
 
-  function loadSpotifyTokens() {
-    if (!fs.existsSync(SPOTIFY_TOKEN_PATH)) {
-      return null;
+  /**
+   * HTTP status for a failed playback result, mapping UPnP fault codes when present.
+   */
+  function failureStatus(result) {
+    return result.upnpError ? httpStatusForUPnPError(result.upnpError) : 500;
+  }
+
+  /**
+   * Send the result of a music library play (searchAndPlayLibrary / playLibraryItem).
+   */
+  function sendLibraryResult(res, result) {
+    if (result.notFound) {
+      return res.status(404).json({
+        success: false, error: result.error, candidates: result.candidates,
+      });
+    }
+    if (!result.success) {
+      return res.status(failureStatus(result)).json({
+        success: false, error: result.error, upnpError: result.upnpError,
+      });
     }
+    const { item, trackCount } = result;
+    return res.status(200).json({
+      success: true,
+      message: `Now playing from the music library: ${item.title}`
+        + `${item.artist ? ` by ${item.artist}` : ''} (${trackCount} tracks)`,
+      item,
+      trackCount,
+      ramp: result.ramp,
+    });
+  }
+
+  /**
+   * Resolve the optional `room` (query or body) of a request. Sends a 404 listing
+   * the valid rooms and returns null when the room is unknown.
+   */
+  async function resolveRequestRoom(req, res, sides) {
+    const room = req.query.room || req.body?.room || undefined;
     try {
-      const tokens = JSON.parse(fs.readFileSync(SPOTIFY_TOKEN_PATH, 'utf8'));
-      spotifyApi.defaults.headers.common.Authorization = `Bearer ${tokens.access_token}`;
-      console.log('Spotify tokens loaded from file.');
-      return tokens;
+      return await resolveRoom(room, sides);
     } catch (err) {
-      console.error('Error loading or parsing Spotify token file. It might be corrupted.', err);
-      try {
-        fs.unlinkSync(SPOTIFY_TOKEN_PATH);
-      } catch (deleteErr) {
-        console.error('Error deleting corrupted Spotify token file:', deleteErr);
+      if (err instanceof UnknownRoomError) {
+        res.status(404).json({
+          success: false,
+          error: err.message,
+          room: err.room,
+          validRooms: err.validRooms,
+        });
+        return null;
       }
-      return null;
+      throw err;
     }
   }
 
-  async function refreshSonosToken() {
-    console.log('Refreshing Sonos token...');
-    const currentTokens = loadSonosTokens();
-    if (!currentTokens || !currentTokens.refresh_token) {
-      console.error('No valid Sonos refresh token found. Cannot refresh. Please re-authenticate.');
-      return false;
-    }
-
-    const authHeader = `Basic ${Buffer.from(`${SONOS_CLIENT_ID}:${SONOS_CLIENT_SECRET}`).toString('base64')}`;
+  /**
+   * Transport commands: the UPnP call and the Sonos cloud playback equivalent.
+   * The cloud API has no stop, so stop falls back to pause.
+   */
+  const TRANSPORT_COMMANDS = {
+    play: {
+      upnp: (value, room) => upnp.play(room),
+      cloud: (groupId) => sonosApi.post(`/groups/${groupId}/playback/play`),
+    },
+    pause: {
+      upnp: (value, room) => upnp.pause(room),
+      cloud: (groupId) => sonosApi.post(`/groups/${groupId}/playback/pause`),
+    },
+    stop: {
+      upnp: (value, room) => upnp.stop(room),
+      cloud: (groupId) => sonosApi.post(`/groups/${groupId}/playback/pause`),
+    },
+    next: {
+      upnp: (value, room) => upnp.next(room),
+      cloud: (groupId) => sonosApi.post(`/groups/${groupId}/playback/skipToNextTrack`),
+    },
+    previous: {
+      upnp: (value, room) => upnp.previous(room),
+      cloud: (groupId) => sonosApi.post(`/groups/${groupId}/playback/skipToPreviousTrack`),
+    },
+    seek: {
+      upnp: (seconds, room) => upnp.seek(seconds, room),
+      cloud: (groupId, seconds) => sonosApi.post(`/groups/${groupId}/playback/seek`, {
+        positionMillis: Math.round(seconds * 1000),
+      }, { retry: true }),
+    },
+    playMode: {
+      upnp: (mode, room) => upnp.setPlayMode(mode, room),
+      cloud: (groupId, mode) => {
+        const { shuffle, repeat } = upnp.PLAY_MODES[mode];
+        return sonosApi.post(`/groups/${groupId}/playback/playMode`, {
+          playModes: { shuffle, repeat: repeat === 'all', repeatOne: repeat === 'one' },
+        }, { retry: true });
+      },
+    },
+    shuffle: {
+      upnp: (enabled, room) => upnp.setShuffle(enabled, room),
+      cloud: (groupId, enabled) => sonosApi.post(`/groups/${groupId}/playback/playMode`, {
+        playModes: { shuffle: enabled },
+      }, { retry: true }),
+    },
+    repeat: {
+      upnp: (repeat, room) => upnp.setRepeat(repeat, room),
+      cloud: (groupId, repeat) => sonosApi.post(`/groups/${groupId}/playback/playMode`, {
+        playModes: { repeat: repeat === 'all', repeatOne: repeat === 'one' },
+      }, { retry: true }),
+    },
+    crossfade: {
+      upnp: (enabled, room) => upnp.setCrossfadeMode(enabled, room),
+      cloud: (groupId, enabled) => sonosApi.post(`/groups/${groupId}/playback/playMode`, {
+        playModes: { crossfade: enabled },
+      }, { retry: true }),
+    },
+  };
 
+  /**
+   * Run a transport command over UPnP, falling back to the Sonos cloud API when the
+   * command certainly didn't reach a speaker (no speaker found, or no connection made).
+   * Anything else is surfaced: a UPnP fault means the speaker refused, and after a
+   * response timeout it may already have run the command (a second next would skip twice).
+   *
+   * @returns {Promise<{via: string}>} 'upnp' or 'cloud'
+   */
+  async function runTransportCommand(command, value, room) {
+    const { upnp: viaUpnp, cloud: viaCloud } = TRANSPORT_COMMANDS[command];
     try {
-      const response = await axios.post(
-        'https://api.sonos.com/login/v3/oauth/access',
-        new URLSearchParams({
-          grant_type: 'refresh_token',
-          refresh_token: currentTokens.refresh_token,
-        }),
-        {
-          headers: {
-            Authorization: authHeader,
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-        },
-      );
+      await viaUpnp(value, room);
+      return { via: 'upnp' };
+    } catch (err) {
+      if (!err.notSent) throw err;
+      console.warn(`[Transport] UPnP ${command} failed (${err.message}), using the Sonos cloud API...`);
+      const { group } = await resolveRoom(room, { cloud: true, upnp: false });
+      await viaCloud(group.groupId, value);
+      return { via: 'cloud' };
+    }
+  }
 
-      const newTokens = response.data;
-      saveSonosTokens(newTokens);
-      sonosApi.defaults.headers.common.Authorization = `Bearer ${newTokens.access_token}`;
-      console.log('Sonos token refreshed successfully.');
-      return true;
+  /**
+   * Current transport state of a room: UPnP when reachable, otherwise the cloud playback status.
+   */
+  async function getTransportStatus(room) {
+    try {
+      const [transport, position, settings, crossfade] = await Promise.all([
+        upnp.getTransportInfo(room),
+        upnp.getPositionInfo(room),
+        upnp.getTransportSettings(room),
+        upnp.getCrossfadeMode(room),
+      ]);
+      return {
+        via: 'upnp',
+        state: transport.state,
+        track: position.track,
+        positionSeconds: position.relTimeSeconds,
+        durationSeconds: position.durationSeconds,
+        playMode: settings.playMode,
+        shuffle: settings.shuffle,
+        repeat: settings.repeat,
+        crossfade,
+      };
     } catch (err) {
-      console.error(
-        'Could not refresh Sonos token. You may need to re-authenticate.',
-        err.response ? err.response.data : err.message,
-      );
-      if (err.response && (err.response.status === 400 || err.response.status === 401)) {
-        fs.unlinkSync(SONOS_TOKEN_PATH);
-        console.log('Invalid Sonos token file deleted.');
-      }
-      return false;
+      if (err instanceof UPnPError) throw err;
+      const { group } = await resolveRoom(room, { cloud: true, upnp: false });
+      const { data } = await sonosApi.get(`/groups/${group.groupId}/playback`);
+      const playModes = data.playModes || {};
+      let repeat = 'none';
+      if (playModes.repeatOne) repeat = 'one';
+      else if (playModes.repeat) repeat = 'all';
+      return {
+        via: 'cloud',
+        state: data.playbackState,
+        positionSeconds: Math.floor((data.positionMillis || 0) / 1000),
+        playMode: upnp.playModeFor({ shuffle: playModes.shuffle, repeat }),
+        shuffle: Boolean(playModes.shuffle),
+        repeat,
+        crossfade: Boolean(playModes.crossfade),
+      };
     }
   }
 
-  async function refreshSpotifyToken() {
-    console.log('Refreshing Spotify token...');
-    const currentTokens = loadSpotifyTokens();
-    if (!currentTokens || !currentTokens.refresh_token) {
-      console.error('No valid Spotify refresh token found. Cannot refresh. Please re-authenticate.');
-      return false;
+  /**
+   * Find a player in the cloud topology by room name (case-insensitive).
+   * Throws UnknownRoomError listing the valid rooms.
+   */
+  function findPlayer(topology, roomName) {
+    const wanted = String(roomName || '').toLowerCase();
+    const player = topology.players.find((p) => p.name.toLowerCase() === wanted);
+    if (!player) {
+      throw new UnknownRoomError(roomName, listRoomNames(topology));
     }
+    return player;
+  }
 
-    const authHeader = `Basic ${Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString('base64')}`;
+  function groupOfPlayer(topology, playerId) {
+    return topology.groups.find((g) => (g.playerIds || []).includes(playerId)) || null;
+  }
 
-    try {
-      const response = await axios.post(
-        'https://accounts.spotify.com/api/token',
-        new URLSearchParams({
-          grant_type: 'refresh_token',
-          refresh_token: currentTokens.refresh_token,
-        }),
-        {
-          headers: {
-            Authorization: authHeader,
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-        },
-      );
+  /**
+   * Summarise the cloud topology as [{ id, name, coordinator, members }] with room names.
+   */
+  function describeCloudGroups(topology) {
+    const names = new Map(topology.players.map((p) => [p.id, p.name]));
+    return topology.groups.map((g) => ({
+      id: g.id,
+      name: g.name,
+      coordinator: names.get(g.coordinatorId) || g.coordinatorId,
+      members: (g.playerIds || []).map((id) => names.get(id) || id),
+    }));
+  }
 
-      const newTokens = { ...currentTokens, ...response.data };
-      saveSpotifyTokens(newTokens);
-      spotifyApi.defaults.headers.common.Authorization = `Bearer ${newTokens.access_token}`;
-      console.log('Spotify token refreshed successfully.');
-      return true;
-    } catch (err) {
-      console.error(
-        'Could not refresh Spotify token. You may need to re-authenticate.',
-        err.response ? err.response.data : err.message,
-      );
-      if (err.response && (err.response.status === 400 || err.response.status === 401)) {
-        fs.unlinkSync(SPOTIFY_TOKEN_PATH);
-        console.log('Invalid Spotify token file deleted.');
-      }
-      return false;
-    }
+  /**
+   * Summarise the UPnP zone group state in the same shape as describeCloudGroups.
+   */
+  async function describeUpnpGroups(room) {
+    const groups = await upnp.getZoneGroupState(room);
+    return groups.map((g) => {
+      const coordinator = g.members.find((m) => m.uuid === g.coordinator) || g.members[0];
+      return {
+        id: g.id,
+        name: g.members.length > 1
+          ? `${coordinator.roomName} + ${g.members.length - 1}`
+          : coordinator.roomName,
+        coordinator: coordinator.roomName,
+        members: g.members.map((m) => m.roomName),
+      };
+    });
   }
 
-  async function pauseSpotify() {
-    console.log('Attempting to pause Spotify...');
+  /**
+   * Apply a grouping change through the Sonos cloud, falling back to UPnP when the
+   * cloud can't be reached. Unknown rooms are not retried over UPnP.
+   *
+   * @param {string} action - Label for logging
+   * @param {Function} viaCloud - (topology) => Promise
+   * @param {Function} viaUpnp - () => Promise resolving with a room to read groups from,
+   *   or with { room, failed } when some rooms could not be regrouped
+   * @returns {Promise<{via: string, groups: Array, failed?: Array}>}
+   */
+  async function changeGrouping(action, viaCloud, viaUpnp) {
     try {
-      await spotifyApi.put('/me/player/pause');
-      console.log('Successfully paused Spotify.');
-    } catch (err) {
-      const errorData = err.response ? err.response.data : err.message;
-      if (err.response && err.response.status === 404) {
-        console.log('No active Spotify device found to pause.');
-      } else {
-        console.error(
-          'An error occurred during Spotify pause attempt:',
-          JSON.stringify(errorData, null, 2),
-        );
+      const topology = await fetchSonosTopology();
+      if (topology) {
+        await viaCloud(topology);
+        const updated = await fetchSonosTopology({ refresh: true });
+        return { via: 'cloud', groups: describeCloudGroups(updated) };
       }
+    } catch (err) {
+      if (err instanceof UnknownRoomError) throw err;
+      const errorData = err.response ? JSON.stringify(err.response.data) : err.message;
+      console.warn(`[Grouping] Sonos cloud ${action} failed (${errorData}), using UPnP...`);
     }
+
+    const upnpResult = await viaUpnp();
+    const { room, failed = [] } = typeof upnpResult === 'object' ? upnpResult : { room: upnpResult };
+    return {
+      via: 'upnp',
+      groups: await describeUpnpGroups(room),
+      ...(failed.length > 0 && { failed }),
+    };
   }
 
-  async function getSonosGroup() {
-    const sonosRefreshed = await refreshSonosToken();
-    if (!sonosRefreshed) {
-      console.error('Aborting due to Sonos token refresh failure.');
-      return null;
-    }
+  /**
+   * Join rooms to the group of a coordinator room.
+   */
+  async function groupRooms(coordinatorRoom, memberRooms) {
+    return changeGrouping(
+      'group',
+      async (topology) => {
+        const coordinator = findPlayer(topology, coordinatorRoom);
+        const group = groupOfPlayer(topology, coordinator.id);
+        const playerIdsToAdd = memberRooms
+          .map((room) => findPlayer(topology, room).id)
+          .filter((id) => !group.playerIds.includes(id));
+        if (playerIdsToAdd.length === 0) return;
+        console.log(`Adding ${memberRooms.join(', ')} to group '${group.name}'...`);
+        await sonosApi.post(`/groups/${group.id}/groups/modifyGroupMembers`, { playerIdsToAdd });
+      },
+      async () => {
+        const { speaker } = await resolveRoom(coordinatorRoom, { cloud: false, upnp: true });
+        const members = await Promise.all(
+          memberRooms.map((room) => resolveRoom(room, { cloud: false, upnp: true })),
+        );
+        await Promise.all(
+          members
+            .filter((m) => m.speaker.uuid !== speaker.uuid)
+            .map((m) => upnp.joinGroup(speaker.uuid, m.speaker.roomName)),
+        );
+        return speaker.roomName;
+      },
+    );
+  }
 
-    console.log('Fetching Sonos households...');
-    const {
-      data: { households },
-    } = await sonosApi.get('/households');
-    if (!households || households.length === 0) {
-      console.error('No Sonos households found on this account.');
-      return null;
-    }
-    const householdId = households[0].id;
-    console.log(`Found household ID: ${householdId}`);
+  /**
+   * Split a room off from its group.
+   */
+  async function ungroupRoom(room) {
+    return changeGrouping(
+      'ungroup',
+      async (topology) => {
+        const player = findPlayer(topology, room);
+        const group = groupOfPlayer(topology, player.id);
+        if (!group || group.playerIds.length < 2) return;
+        console.log(`Removing ${player.name} from group '${group.name}'...`);
+        await sonosApi.post(`/groups/${group.id}/groups/modifyGroupMembers`, {
+          playerIdsToRemove: [player.id],
+        });
+      },
+      async () => {
+        const { speaker } = await resolveRoom(room, { cloud: false, upnp: true });
+        await upnp.leaveGroup(speaker.roomName);
+        return speaker.roomName;
+      },
+    );
+  }
 
-    console.log('Fetching groups/speakers in household...');
-    const {
-      data: { groups },
-    } = await sonosApi.get(`/households/${householdId}/groups`);
-    const targetGroup = groups.find(
-      (g) => g.name.toLowerCase() === TARGET_DEVICE_NAME.toLowerCase(),
+  /**
+   * Party mode: group every room with the coordinator room, keeping its music playing.
+   */
+  async function partyMode(coordinatorRoom) {
+    return changeGrouping(
+      'party',
+      async (topology) => {
+        const coordinator = findPlayer(topology, coordinatorRoom);
+        const group = groupOfPlayer(topology, coordinator.id);
+        const playerIds = [
+          coordinator.id,
+          ...topology.players.map((p) => p.id).filter((id) => id !== coordinator.id),
+        ];
+        console.log(`Grouping all ${playerIds.length} rooms with ${coordinator.name}...`);
+        await sonosApi.post(`/households/${topology.householdId}/groups/createGroup`, {
+          playerIds,
+          ...(group && { musicContextGroupId: group.id }),
+        });
+      },
+      async () => {
+        const { speaker } = await resolveRoom(coordinatorRoom, { cloud: false, upnp: true });
+        await discovery.discover();
+        // One join per room: satellites and stereo partners share their room's name
+        // (and join with it), and the coordinator's own room must not join itself
+        const coordinatorName = speaker.roomName.toLowerCase();
+        const rooms = [...new Set(discovery.getSpeakers()
+          .filter((s) => !s.invisible && s.roomName.toLowerCase() !== coordinatorName)
+          .map((s) => s.roomName))];
+        const results = await Promise.allSettled(
+          rooms.map((room) => upnp.joinGroup(speaker.uuid, room)),
+        );
+        const failed = results
+          .map((result, i) => ({ room: rooms[i], result }))
+          .filter(({ result }) => result.status === 'rejected')
+          .map(({ room, result }) => ({ room, error: result.reason.message }));
+        failed.forEach(({ room, error }) => console.warn(`[Grouping] ${room} could not join: ${error}`));
+        return { room: speaker.roomName, failed };
+      },
     );
+  }
 
-    if (!targetGroup) {
-      console.warn(`Could not find a Sonos speaker or group named '${TARGET_DEVICE_NAME}'.`);
-      console.log(
-        'Available groups:',
-        groups.map((g) => g.name),
-      );
-      return null;
+  /**
+   * Split every group back into single rooms.
+   */
+  async function ungroupAllRooms() {
+    return changeGrouping(
+      'ungroup all',
+      async (topology) => {
+        const grouped = topology.groups.filter((g) => (g.playerIds || []).length > 1);
+        console.log(`Splitting ${grouped.length} group(s)...`);
+        await Promise.all(grouped.map((g) => sonosApi.post(
+          `/groups/${g.id}/groups/modifyGroupMembers`,
+          { playerIdsToRemove: g.playerIds.filter((id) => id !== g.coordinatorId) },
+        )));
+      },
+      async () => {
+        const groups = await upnp.getZoneGroupState();
+        await Promise.all(groups.flatMap((g) => g.members
+          .filter((m) => m.uuid !== g.coordinator)
+          .map((m) => upnp.leaveGroup(m.roomName))));
+        return upnp.defaultRoom();
+      },
+    );
+  }
+
+  /**
+   * Pause every group in the household. Groups that can't be paused (e.g. nothing
+   * loaded) are logged and skipped.
+   * @returns {Promise<{via: string, paused: string[]}>}
+   */
+  async function pauseAllRooms() {
+    const pauseEach = async (groups, pauseGroup) => {
+      const results = await Promise.allSettled(groups.map(pauseGroup));
+      return groups.filter((group, i) => {
+        if (results[i].status === 'fulfilled') return true;
+        const { reason } = results[i];
+        const errorData = reason.response ? JSON.stringify(reason.response.data) : reason.message;
+        console.warn(`Could not pause '${group.name}': ${errorData}`);
+        return false;
+      }).map((group) => group.name);
+    };
+
+    try {
+      const topology = await fetchSonosTopology();
+      if (topology) {
+        const paused = await pauseEach(
+          topology.groups,
+          (g) => sonosApi.post(`/groups/${g.id}/playback/pause`),
+        );
+        return { via: 'cloud', paused };
+      }
+    } catch (err) {
+      const errorData = err.response ? JSON.stringify(err.response.data) : err.message;
+      console.warn(`Sonos cloud unavailable for pause all (${errorData}), using UPnP...`);
     }
-    const groupId = targetGroup.id;
-    console.log(`Found target group '${targetGroup.name}' with ID: ${groupId}`);
-    return { householdId, groupId };
+
+    const groups = (await describeUpnpGroups()).map((g) => ({ ...g, name: g.coordinator }));
+    const paused = await pauseEach(groups, (g) => upnp.pause(g.coordinator));
+    return { via: 'upnp', paused };
   }
 
-  async function setVolume(volume) {
+  async function setVolume(volume, room) {
     console.log(`Attempting to set volume to ${volume}...`);
+    await ramps.cancelRamp(room);
     try {
-      const group = await getSonosGroup();
+      const group = await getSonosGroup(room);
       if (!group) {
         console.error('Could not get Sonos group. Aborting volume change.');
-        return;
+        return false;
       }
       const { groupId } = group;
-      await sonosApi.post(`/groups/${groupId}/groupVolume`, { volume });
+      await sonosApi.post(`/groups/${groupId}/groupVolume`, { volume }, { retry: true });
       console.log(`Successfully set volume to ${volume}.`);
+      return true;
     } catch (err) {
       const errorData = err.response ? err.response.data : err.message;
       console.error(
         'An error occurred during volume change attempt:',
         JSON.stringify(errorData, null, 2),
       );
+      return false;
     }
   }
 
+  /**
+   * Score how well a lowercased artist name matches a lowercased wanted name:
+   * exact (+100), one containing the other (+50), and +80 when only the spacing
+   * differs (e.g. "day6" vs "day 6"). 0 when nothing is wanted.
+   */
+  function scoreNameMatch(name, wanted) {
+    if (!wanted) return 0;
+    if (name === wanted) return 100;
+    let score = name.includes(wanted) || wanted.includes(name) ? 50 : 0;
+    if (name.replace(/\s+/g, '') === wanted.replace(/\s+/g, '')) score += 80;
+    return score;
+  }
+
   /**
    * Rank search results by relevance (exact match) and popularity.
    * Scoring: exact artist match (+50), exact track match (+50), popularity (0-100)
@@ -403,58 +888,270 @@ module.exports = (dependencies) => {
         tracks: tracksResponse.data.items,
       };
     } catch (err) {
-      if (err.response && err.response.status === 401) {
-        console.log('Spotify token expired, refreshing...');
-        const refreshed = await refreshSpotifyToken();
-        if (refreshed) return searchSpotifyAlbum(query, artist);
-      }
       console.error('Album search error:', err.response ? err.response.data : err.message);
       throw err;
     }
   }
 
   /**
-   * Search Spotify for tracks matching a query.
-   * Returns ranked results preferring exact matches and popular tracks.
+   * Fetch every page of a Spotify paging object, following `next` links.
+   * @param {string} url - First page URL (relative to the Spotify API base)
+   * @param {object} params - Query params for the first page
    */
-  async function searchSpotify(query, options = {}) {
-    const { artist, track, limit = 10 } = options;
-
-    // Build search query - supports both free-form and structured searches
-    let searchQuery = query || '';
-    if (artist && track) {
-      searchQuery = `artist:${artist} track:${track}`;
-    } else if (artist) {
-      searchQuery = `artist:${artist}`;
-    } else if (track) {
-      searchQuery = `track:${track}`;
-    }
-
-    if (!searchQuery.trim()) {
-      console.error('Search error: No query provided.');
-      return { tracks: [], bestMatch: null };
+  async function fetchAllSpotifyPages(url, params = {}) {
+    const items = [];
+    let response = await spotifyApi.get(url, { params });
+    items.push(...response.data.items);
+    while (response.data.next) {
+      // eslint-disable-next-line no-await-in-loop
+      response = await spotifyApi.get(response.data.next);
+      items.push(...response.data.items);
     }
+    return items;
+  }
 
-    console.log(`Searching Spotify for: "${searchQuery}"`);
+  /**
+   * Find a Spotify playlist by name and return all of its tracks.
+   * The user's own (and followed) playlists are searched first, then public search.
+   * @param {string} name - Playlist name
+   */
+  async function searchSpotifyPlaylist(name) {
+    const wanted = name.toLowerCase().trim();
+    console.log(`Searching Spotify for playlist: "${name}"`);
 
     try {
-      const response = await spotifyApi.get('/search', {
-        params: {
-          q: searchQuery,
-          type: 'track',
-          limit,
-          market: 'GB', // Use GB market for UK-based results
-        },
-      });
-
-      const tracks = response.data.tracks.items;
+      const ownPlaylists = await fetchAllSpotifyPages('/me/playlists', { limit: 50 });
+      let playlist = ownPlaylists.find((p) => p.name.toLowerCase().trim() === wanted)
+        || ownPlaylists.find((p) => p.name.toLowerCase().includes(wanted));
+      let source = 'library';
+
+      if (!playlist) {
+        const response = await spotifyApi.get('/search', {
+          params: {
+            q: name,
+            type: 'playlist',
+            limit: 10,
+            market: 'GB',
+          },
+        });
+        // Spotify can return null entries in playlist search results
+        const results = (response.data.playlists.items || []).filter(Boolean);
+        playlist = results.find((p) => p.name.toLowerCase().trim() === wanted) || results[0];
+        source = 'search';
+      }
 
-      if (!tracks || tracks.length === 0) {
-        console.log('No tracks found for query.');
-        return { tracks: [], bestMatch: null };
+      if (!playlist) {
+        console.log('No playlists found for query.');
+        return null;
       }
 
-      // Rank tracks by relevance and popularity
+      console.log(`Playlist matched (${source}): "${playlist.name}" by ${playlist.owner?.display_name} [${playlist.id}]`);
+
+      const items = await fetchAllSpotifyPages(`/playlists/${playlist.id}/tracks`, {
+        limit: 100,
+        market: 'GB',
+      });
+      // Skip local files, podcast episodes and unavailable tracks
+      const tracks = items
+        .map((item) => item.track)
+        .filter((t) => t && t.id && t.type === 'track' && !t.is_local);
+
+      return {
+        playlist: {
+          id: playlist.id,
+          name: playlist.name,
+          owner: playlist.owner?.display_name || '',
+          imageUrl: playlist.images?.[0]?.url || '',
+          totalTracks: playlist.tracks?.total ?? tracks.length,
+          source,
+        },
+        tracks,
+      };
+    } catch (err) {
+      console.error('Playlist search error:', err.response ? err.response.data : err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Rank artist search results by name match (see scoreNameMatch) plus popularity.
+   */
+  function rankArtistResults(artists, name) {
+    const normalizedName = (name || '').toLowerCase().trim();
+
+    return artists
+      .map((a) => ({
+        ...a,
+        relevanceScore: (a.popularity || 0) + scoreNameMatch(a.name.toLowerCase(), normalizedName),
+      }))
+      .sort((a, b) => b.relevanceScore - a.relevanceScore);
+  }
+
+  /**
+   * Search Spotify for an artist by name and return the best-ranked match.
+   * @param {string} name - Artist name
+   */
+  async function searchSpotifyArtist(name) {
+    console.log(`Searching Spotify for artist: "${name}"`);
+
+    try {
+      const response = await spotifyApi.get('/search', {
+        params: {
+          q: name,
+          type: 'artist',
+          limit: 10,
+          market: 'GB',
+        },
+      });
+
+      const artists = response.data.artists.items;
+      if (!artists || artists.length === 0) {
+        console.log('No artists found for query.');
+        return null;
+      }
+
+      const [bestArtist] = rankArtistResults(artists, name);
+      console.log(`Artist matched: "${bestArtist.name}" [${bestArtist.id}] (relevance: ${bestArtist.relevanceScore})`);
+      return bestArtist;
+    } catch (err) {
+      console.error('Artist search error:', err.response ? err.response.data : err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Get an artist's top tracks.
+   */
+  async function getArtistTopTracks(artistId) {
+    const response = await spotifyApi.get(`/artists/${artistId}/top-tracks`, {
+      params: { market: 'GB' },
+    });
+    return response.data.tracks;
+  }
+
+  /**
+   * Build a random mix of tracks from an artist's albums and singles.
+   * @param {object} artist - Spotify artist object
+   * @param {number} count - Maximum number of tracks to return
+   */
+  async function getArtistDiscographyMix(artist, count = 50) {
+    const releases = await fetchAllSpotifyPages(`/artists/${artist.id}/albums`, {
+      include_groups: 'album,single',
+      limit: 50,
+      market: 'GB',
+    });
+
+    // Skip re-releases (deluxe editions etc. usually share the base name)
+    const seen = new Set();
+    const uniqueReleases = releases.filter((r) => {
+      const key = r.name.toLowerCase().replace(/\s*[([].*$/, '');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    // The several-albums endpoint accepts up to 20 IDs per request
+    const batches = [];
+    for (let i = 0; i < uniqueReleases.length; i += 20) {
+      batches.push(uniqueReleases.slice(i, i + 20).map((r) => r.id));
+    }
+    // A few requests at a time: a large discography would otherwise burst the rate limit
+    const responses = new Array(batches.length);
+    let nextBatch = 0;
+    const fetchBatches = async () => {
+      while (nextBatch < batches.length) {
+        const index = nextBatch;
+        nextBatch += 1;
+        // eslint-disable-next-line no-await-in-loop
+        responses[index] = await spotifyApi.get('/albums', {
+          params: { ids: batches[index].join(','), market: 'GB' },
+        });
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(ALBUM_BATCH_CONCURRENCY, batches.length) }, fetchBatches),
+    );
+
+    const tracks = responses
+      .flatMap((response) => response.data.albums)
+      .filter(Boolean)
+      .flatMap((album) => album.tracks.items.map((t) => ({
+        ...t,
+        album: { name: album.name, images: album.images },
+      })))
+      .filter((t) => t.id && t.artists.some((a) => a.id === artist.id));
+
+    return upnp.shuffleArray(tracks).slice(0, count);
+  }
+
+  /**
+   * Spotify scopes the stored tokens were not granted, e.g. the playlist scopes for
+   * tokens authorized before /playlist existed. Empty when the tokens don't say.
+   */
+  function missingSpotifyScopes() {
+    const tokens = spotifyAuth.load();
+    if (!tokens || typeof tokens.scope !== 'string') return [];
+    const granted = tokens.scope.split(/\s+/);
+    return SPOTIFY_SCOPES.split(' ').filter((scope) => !granted.includes(scope));
+  }
+
+  /**
+   * Resolve a "start at track" option to a 0-based index into a track list.
+   * Accepts a 1-based position or a (partial, case-insensitive) track name.
+   */
+  function resolveStartIndex(tracks, startTrack) {
+    if (startTrack === undefined || startTrack === null || startTrack === '') return 0;
+    const position = Number(startTrack);
+    if (Number.isInteger(position)) {
+      return position >= 1 && position <= tracks.length ? position - 1 : -1;
+    }
+    const wanted = String(startTrack).toLowerCase();
+    const exact = tracks.findIndex((t) => t.name.toLowerCase() === wanted);
+    return exact !== -1 ? exact : tracks.findIndex((t) => t.name.toLowerCase().includes(wanted));
+  }
+
+  /**
+   * Search Spotify for tracks matching a query.
+   * Returns ranked results preferring exact matches and popular tracks.
+   */
+  async function searchSpotify(query, options = {}) {
+    const { artist, track, limit = 10 } = options;
+
+    // Build search query - supports both free-form and structured searches
+    let searchQuery = query || '';
+    if (artist && track) {
+      searchQuery = `artist:${artist} track:${track}`;
+    } else if (artist) {
+      searchQuery = `artist:${artist}`;
+    } else if (track) {
+      searchQuery = `track:${track}`;
+    }
+
+    if (!searchQuery.trim()) {
+      console.error('Search error: No query provided.');
+      return { tracks: [], bestMatch: null };
+    }
+
+    console.log(`Searching Spotify for: "${searchQuery}"`);
+
+    try {
+      const response = await spotifyApi.get('/search', {
+        params: {
+          q: searchQuery,
+          type: 'track',
+          limit,
+          market: 'GB', // Use GB market for UK-based results
+        },
+      });
+
+      const tracks = response.data.tracks.items;
+
+      if (!tracks || tracks.length === 0) {
+        console.log('No tracks found for query.');
+        return { tracks: [], bestMatch: null };
+      }
+
+      // Rank tracks by relevance and popularity
       const rankedTracks = rankSearchResults(tracks, query, artist, track);
 
       console.log(
@@ -466,20 +1163,106 @@ module.exports = (dependencies) => {
         bestMatch: rankedTracks[0],
       };
     } catch (err) {
-      // If 401, try refreshing token and retry once
-      if (err.response && err.response.status === 401) {
-        console.log('Spotify token expired, refreshing...');
-        const refreshed = await refreshSpotifyToken();
-        if (refreshed) {
-          return searchSpotify(query, options);
-        }
-      }
       const errorData = err.response ? err.response.data : err.message;
       console.error('Spotify search error:', JSON.stringify(errorData, null, 2));
       throw err;
     }
   }
 
+  /**
+   * Read the volume ramp options of a request: `ramp` (seconds, or true for the
+   * speaker's own ramp), `rampType` (SLEEP_TIMER / ALARM / AUTOPLAY) and `volume`
+   * (target, default 30). Returns null when no ramp was asked for, or { error }.
+   */
+  function parseRampOptions(params) {
+    const { ramp: rampParam, rampType } = params;
+    if ((rampParam === undefined || rampParam === false || rampParam === 'false') && !rampType) {
+      return null;
+    }
+
+    const volume = params.volume === undefined ? DEFAULT_PLAY_VOLUME : Number(params.volume);
+    if (!Number.isInteger(volume) || volume < 0 || volume > 100) {
+      return { error: '"volume" must be an integer between 0 and 100.' };
+    }
+
+    const type = rampType ? String(rampType).toUpperCase() : undefined;
+    if (type && !upnp.RAMP_TYPES[type]) {
+      return { error: `"rampType" must be one of ${Object.keys(upnp.RAMP_TYPES).join(', ')}.` };
+    }
+
+    let durationSeconds;
+    if (rampParam !== undefined && rampParam !== true && rampParam !== 'true' && rampParam !== '') {
+      durationSeconds = Number(rampParam);
+      if (!(durationSeconds > 0)) {
+        return { error: '"ramp" must be a number of seconds or true.' };
+      }
+    }
+    return { volume, durationSeconds, type };
+  }
+
+  /**
+   * Start a UPnP volume ramp once playback has begun. Failures are logged rather
+   * than thrown: the music is already playing.
+   */
+  async function startUpnpRamp(room, ramp) {
+    try {
+      const { method, rampTimeSeconds } = await ramps.rampUpnp(room, ramp);
+      return { method, volume: ramp.volume, rampTimeSeconds };
+    } catch (err) {
+      console.warn(`Volume ramp failed: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Start a volume ramp after cloud playback, which set the group volume to 0.
+   * A single speaker ramps itself over UPnP when reachable. A group with several
+   * players is stepped as a whole: GroupRenderingControl on its coordinator, or cloud
+   * groupVolume calls when the coordinator can't be reached over UPnP.
+   *
+   * @param {string} room - Room the ramp belongs to (for cancellation)
+   * @param {object} group - Cloud group, as returned by getSonosGroup
+   * @param {object} ramp - { volume, durationSeconds, type }
+   */
+  async function startCloudRamp(room, group, ramp) {
+    const cloudGroupVolume = (volume) => sonosApi.post(
+      `/groups/${group.groupId}/groupVolume`,
+      { volume },
+      { retry: true },
+    );
+
+    if (group.playerCount > 1) {
+      let setGroupVolume = cloudGroupVolume;
+      try {
+        await discovery.resolveSpeaker(group.coordinator);
+        setGroupVolume = (volume) => upnp.setGroupVolume(volume, group.coordinator);
+      } catch (err) {
+        console.warn(`Group coordinator unreachable over UPnP (${err.message}), stepping groupVolume...`);
+      }
+      const { method, rampTimeSeconds } = await ramps.rampStepped(room, {
+        from: 0,
+        to: ramp.volume,
+        durationSeconds: ramp.durationSeconds,
+        setVolume: setGroupVolume,
+      });
+      return { method, volume: ramp.volume, rampTimeSeconds };
+    }
+
+    try {
+      const { method, rampTimeSeconds } = await ramps.rampUpnp(room, ramp);
+      return { method, volume: ramp.volume, rampTimeSeconds };
+    } catch (err) {
+      console.warn(`UPnP volume ramp unavailable (${err.message}), stepping groupVolume...`);
+      const { method, rampTimeSeconds } = await ramps.rampStepped(room, {
+        from: 0,
+        to: ramp.volume,
+        durationSeconds: ramp.durationSeconds,
+        setVolume: cloudGroupVolume,
+      });
+      return { method, volume: ramp.volume, rampTimeSeconds };
+    }
+  }
+
   /**
    * Play a Spotify track on Sonos using UPnP/SOAP (direct speaker control).
    *
@@ -488,8 +1271,17 @@ module.exports = (dependencies) => {
    *
    * @param {string} trackUri - Spotify URI (e.g., spotify:track:XXXXX)
    * @param {object} trackInfo - Track metadata for display
+   * @param {string} room - Optional room name
+   * @param {object} options - { ramp }: ({ volume, durationSeconds, type }) to fade in
+   *   instead of starting at the default volume
    */
-  async function playSpotifyTrackOnSonos(trackUri, trackInfo = {}) {
+  async function playSpotifyTrackOnSonos(
+    trackUri,
+    trackInfo = {},
+    room = upnp.defaultRoom(),
+    options = {},
+  ) {
+    const { ramp } = options;
     console.log(`Attempting to play Spotify track on Sonos via UPnP: ${trackUri}`);
 
     // Pause Spotify app playback to avoid conflicts
@@ -505,12 +1297,13 @@ module.exports = (dependencies) => {
           album: trackInfo.album || 'Unknown Album',
           albumArtUri: trackInfo.imageUrl || trackInfo.albumArtUri || '',
         },
-        30,
-      ); // Set volume to 30
+        ramp ? 0 : DEFAULT_PLAY_VOLUME,
+        room,
+      );
 
       if (result.success) {
         console.log(`Successfully started playback of "${trackInfo.name || trackUri}" via UPnP.`);
-        return { success: true };
+        return { success: true, ramp: ramp ? await startUpnpRamp(room, ramp) : undefined };
       }
 
       console.error('UPnP playback failed:', result.error);
@@ -526,7 +1319,10 @@ module.exports = (dependencies) => {
    * Pass options.radio = true to auto-queue similar tracks via Spotify Radio after playing.
    */
   async function searchAndPlay(query, options = {}) {
-    const { artist, track, radio = true } = options;
+    const {
+      artist, track, radio = true, room, ramp,
+    } = options;
+    await ramps.cancelRamp(room);
 
     console.log(
       `Search and play request: query="${query}", artist="${artist || ''}", track="${track || ''}", radio=${radio}`,
@@ -566,8 +1362,11 @@ module.exports = (dependencies) => {
             artist: trackInfo.artist,
             album: trackInfo.album,
             albumArtUri: trackInfo.imageUrl,
-          })
-        : await playSpotifyTrackOnSonos(trackUri, trackInfo);
+          }, ramp ? 0 : null, room)
+        : await playSpotifyTrackOnSonos(trackUri, trackInfo, room, { ramp });
+      if (radio && ramp && playResult.success) {
+        playResult.ramp = await startUpnpRamp(room, ramp);
+      }
 
       return {
         success: playResult.success,
@@ -585,7 +1384,9 @@ module.exports = (dependencies) => {
           artist: t.artists[0].name,
           uri: t.uri,
         })),
+        ramp: playResult.ramp,
         error: playResult.error,
+        upnpError: playResult.upnpError,
       };
     } catch (err) {
       console.error('Search and play error:', err.message);
@@ -597,55 +1398,335 @@ module.exports = (dependencies) => {
     }
   }
 
-  async function playFavoriteAfterDelay(favoriteName) {
+  /**
+   * Find an album on Spotify and queue all of its tracks.
+   * @returns {Promise<object>} { success, album, trackCount, ramp } or
+   *   { success: false, error, upnpError?, notFound? }
+   */
+  async function searchAndPlayAlbum(query, artist, options = {}) {
+    const { room, ramp } = options;
+    await ramps.cancelRamp(room);
+
+    const result = await searchSpotifyAlbum(query, artist);
+    if (!result) {
+      return { success: false, notFound: true, error: 'Album not found on Spotify' };
+    }
+
+    const { album, tracks } = result;
+    const playResult = await upnp.playAlbum(tracks, album, ramp ? 0 : null, room);
+    if (!playResult.success) {
+      return playResult;
+    }
+    return {
+      success: true,
+      album,
+      trackCount: tracks.length,
+      ramp: ramp ? await startUpnpRamp(room, ramp) : undefined,
+    };
+  }
+
+  /**
+   * Sonos playlists of the household: the cloud list when the Sonos cloud is reachable,
+   * otherwise the speaker's saved queues (SQ:) over UPnP.
+   * @returns {Promise<{via: string, playlists: Array<{id, name, trackCount?}>}>}
+   */
+  async function listSonosPlaylists(room) {
+    try {
+      const topology = await fetchSonosTopology();
+      if (topology) {
+        const { data } = await sonosApi.get(`/households/${topology.householdId}/playlists`);
+        return {
+          via: 'cloud',
+          playlists: (data.playlists || []).map(({ id, name, trackCount }) => ({
+            id, name, trackCount,
+          })),
+        };
+      }
+    } catch (err) {
+      const errorData = err.response ? JSON.stringify(err.response.data) : err.message;
+      console.warn(`Sonos cloud playlists unavailable (${errorData}), using UPnP...`);
+    }
+    const { items } = await upnp.browseLibrary('playlists', {}, room || upnp.defaultRoom());
+    return { via: 'upnp', playlists: items.map((item) => ({ id: item.id, name: item.title })) };
+  }
+
+  /**
+   * Play a Sonos playlist by name (matched like favorites).
+   * @param {object} options - { room, shuffle, ramp }
+   * @returns {Promise<object>} { success, via, playlist, ramp } or { success: false, error,
+   *   notFound, candidates }
+   */
+  async function playSonosPlaylist(name, options = {}) {
+    const { room, shuffle = false, ramp } = options;
+    await ramps.cancelRamp(room);
+
+    const { via, playlists } = await listSonosPlaylists(room);
+    const { match, candidates } = findBestMatch(name, playlists);
+    if (!match) {
+      return {
+        success: false, notFound: true, error: `No Sonos playlist matching '${name}'`, candidates,
+      };
+    }
+
+    if (via === 'cloud') {
+      const group = await getSonosGroup(room);
+      if (!group) {
+        return { success: false, error: 'Could not get Sonos group' };
+      }
+      if (ramp) {
+        await sonosApi.post(`/groups/${group.groupId}/groupVolume`, { volume: 0 }, { retry: true });
+      }
+      await sonosApi.post(`/groups/${group.groupId}/playlists`, {
+        playlistId: match.id,
+        action: 'REPLACE',
+        playOnCompletion: true,
+        playModes: { shuffle },
+      }, { retry: true });
+      console.log(`Playing Sonos playlist '${match.name}' on '${group.name}'.`);
+      return {
+        success: true,
+        via,
+        playlist: match,
+        ramp: ramp ? await startCloudRamp(room, group, ramp) : undefined,
+      };
+    }
+
+    const upnpRoom = room || upnp.defaultRoom();
+    const item = await upnp.getLibraryItem(match.id, upnpRoom);
+    const result = await upnp.playLibraryItem(item || { title: match.name }, {
+      room: upnpRoom,
+      shuffle,
+      volume: ramp ? 0 : null,
+    });
+    if (!result.success) return result;
+    return {
+      success: true,
+      via,
+      playlist: { ...match, trackCount: result.trackCount },
+      ramp: ramp ? await startUpnpRamp(upnpRoom, ramp) : undefined,
+    };
+  }
+
+  /**
+   * Library search terms to try, most specific first: the whole query as typed (the
+   * speaker compares accents literally, so "Café" must not become "cafe"), then its
+   * longest word.
+   */
+  function librarySearchTerms(query) {
+    const whole = String(query || '').trim();
+    const longest = whole
+      .split(/[^\p{L}\p{N}]+/u)
+      .reduce((best, word) => (word.length > best.length ? word : best), '');
+    return [...new Set([whole, longest].filter(Boolean))];
+  }
+
+  /**
+   * Search the music library (e.g. a NAS share) with the speaker's own name search,
+   * then pick the best match like favorites. Without a query, the artist itself is
+   * looked up (an album artist container, which plays all their music).
+   *
+   * @param {string} category - tracks, albums, artists, ... (see upnp.LIBRARY_ROOTS)
+   * @param {string} query - Name to look for
+   * @param {object} options - { artist: only items whose creator matches, room }
+   * @returns {Promise<{item: object|null, candidates: Array}>}
+   */
+  async function findLibraryItem(category, query, options = {}) {
+    const { artist } = options;
+    const room = options.room || upnp.defaultRoom();
+    const artistCategory = ['artists', 'albumArtists'].includes(category);
+    let searchCategory = category;
+    if (!query && !artistCategory) searchCategory = 'albumArtists';
+    const name = query || artist;
+    // Artist items have no creator to filter on: they are the artist
+    const filterByArtist = Boolean(artist && query && !artistCategory);
+
+    let candidates = [];
+    const terms = librarySearchTerms(name);
+    for (let i = 0; i < terms.length; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const { items } = await upnp.browseLibrary(
+        searchCategory,
+        { term: terms[i], count: 200 },
+        room,
+      );
+      const eligible = filterByArtist
+        ? items.filter((item) => matchScore(artist, item.creator) >= DEFAULT_THRESHOLD)
+        : items;
+      const result = findBestMatch(name, eligible, { getName: (item) => item.title });
+      if (result.match) return { item: result.match, candidates: result.candidates };
+      if (candidates.length === 0) ({ candidates } = result);
+    }
+    return { item: null, candidates };
+  }
+
+  /**
+   * Find a track or album in the music library and play it.
+   * @param {object} options - { artist, room, shuffle, ramp }
+   */
+  async function searchAndPlayLibrary(category, query, options = {}) {
+    const { artist, shuffle = false, ramp } = options;
+    const room = options.room || upnp.defaultRoom();
+    await ramps.cancelRamp(room);
+
+    const { item, candidates } = await findLibraryItem(category, query, { artist, room });
+    if (!item) {
+      return {
+        success: false,
+        notFound: true,
+        error: `Nothing in the music library matching '${[query, artist].filter(Boolean).join(' / ')}'`,
+        candidates,
+      };
+    }
+    const result = await upnp.playLibraryItem(item, { room, shuffle, volume: ramp ? 0 : null });
+    if (!result.success) return result;
+    return {
+      success: true,
+      item: {
+        id: item.id, title: item.title, artist: item.creator, album: item.album,
+      },
+      trackCount: result.trackCount,
+      ramp: ramp ? await startUpnpRamp(room, ramp) : undefined,
+    };
+  }
+
+  /**
+   * Pick the Spotify track a request refers to: an explicit `uri` (spotify:track:...)
+   * or the best search match for q / artist / track (query or JSON body).
+   * Returns null when the request names no track or the search finds nothing.
+   */
+  async function resolveRequestTrack(req) {
+    const params = { ...req.query, ...req.body };
+    const {
+      uri, q, artist, track,
+    } = params;
+
+    if (uri) {
+      return {
+        uri,
+        title: params.title,
+        artist,
+        album: params.album,
+      };
+    }
+    if (!q && !artist && !track) return null;
+
+    const { bestMatch } = await searchSpotify(q || '', { artist, track });
+    if (!bestMatch) return null;
+    return {
+      uri: bestMatch.uri,
+      title: bestMatch.name,
+      artist: bestMatch.artists[0].name,
+      album: bestMatch.album?.name,
+      albumArtUri: bestMatch.album?.images?.[0]?.url,
+    };
+  }
+
+  /**
+   * The household's 'My Sonos' favorites, cached for FAVORITES_CACHE_MS.
+   * @returns {Promise<{items: object[], fetchedAt: number}>}
+   */
+  async function getFavorites(householdId, { refresh = false } = {}) {
+    const cached = favoritesCache.get(householdId);
+    if (!refresh && cached && Date.now() - cached.fetchedAt < FAVORITES_CACHE_MS) {
+      return cached;
+    }
+    console.log("Fetching 'My Sonos' favorites...");
+    const {
+      data: { items = [] },
+    } = await sonosApi.get(`/households/${householdId}/favorites`);
+    const entry = { items, fetchedAt: Date.now() };
+    favoritesCache.set(householdId, entry);
+    return entry;
+  }
+
+  /**
+   * Match a favorite name: an exact case-insensitive match wins, otherwise the fuzzy best match.
+   */
+  function matchFavorite(name, items) {
+    const wanted = String(name || '').toLowerCase();
+    const exact = items.find((item) => String(item.name).toLowerCase() === wanted);
+    if (exact) {
+      return { match: exact, score: 1, candidates: [{ name: exact.name, score: 1 }] };
+    }
+    return findBestMatch(name, items);
+  }
+
+  /**
+   * Find a favorite by name, ignoring case, punctuation and diacritics and allowing
+   * small typos. A miss on a cached list is retried once on a fresh one, in case the
+   * favorite was only just added.
+   *
+   * @returns {Promise<{favorite: object|null, score: number, candidates: Array, total: number}>}
+   *   favorite is null when nothing matches well enough; candidates are the closest names
+   */
+  async function findFavorite(householdId, name) {
+    let favorites = await getFavorites(householdId);
+    let result = matchFavorite(name, favorites.items);
+    if (!result.match && Date.now() - favorites.fetchedAt > 1000) {
+      favorites = await getFavorites(householdId, { refresh: true });
+      result = matchFavorite(name, favorites.items);
+    }
+    return {
+      favorite: result.match,
+      score: result.score,
+      candidates: result.candidates,
+      total: favorites.items.length,
+    };
+  }
+
+  /**
+   * Play a Sonos favorite after the arrival delay.
+   * Pass options.ramp ({ volume, durationSeconds, type }) to fade in the whole group
+   * (see startCloudRamp), and options.group when the room's group is already resolved.
+   */
+  async function playFavoriteAfterDelay(favoriteName, room, options = {}) {
+    const { ramp, delayMs = DELAY_MS } = options;
     if (!favoriteName) {
       console.error('Playback error: No favorite name was provided.');
-      return;
+      return false;
     }
+    await ramps.cancelRamp(room);
 
     console.log(
-      `Request received to play '${favoriteName}'. Pausing Spotify and waiting for ${DELAY_MS / 1000} seconds...`,
+      `Request received to play '${favoriteName}'. Pausing Spotify and waiting for ${delayMs / 1000} seconds...`,
     );
 
     await pauseSpotify();
     await new Promise((resolve) => {
-      setTimeout(resolve, DELAY_MS);
+      setTimeout(resolve, delayMs);
     });
 
     console.log(`Wait finished. Attempting to play '${favoriteName}' on Sonos.`);
 
     try {
-      const group = await getSonosGroup();
+      const group = options.group || await getSonosGroup(room);
       if (!group) {
         console.error('Could not get Sonos group. Aborting playback.');
-        return;
+        return false;
       }
       const { householdId, groupId } = group;
-      await sonosApi.post(`/groups/${groupId}/groupVolume`, { volume: 30 });
+      await sonosApi.post(`/groups/${groupId}/groupVolume`, {
+        volume: ramp ? 0 : DEFAULT_PLAY_VOLUME,
+      }, { retry: true });
 
-      console.log("Fetching 'My Sonos' favorites...");
       const {
-        data: { items: favorites },
-      } = await sonosApi.get(`/households/${householdId}/favorites`);
+        favorite: targetFavorite, candidates, total,
+      } = await findFavorite(householdId, favoriteName);
 
-      if (!favorites || favorites.length === 0) {
+      if (total === 0) {
         console.error(
           "No favorites found in 'My Sonos'. Please add the desired playlist to your Sonos Favorites using the Sonos app.",
         );
-        return;
+        return false;
       }
 
-      const targetFavorite = favorites.find(
-        (fav) => fav.name.toLowerCase() === favoriteName.toLowerCase(),
-      );
-
       if (!targetFavorite) {
-        console.error(`Could not find a favorite named '${favoriteName}'.`);
+        console.error(`Could not find a favorite matching '${favoriteName}'.`);
         console.log(
-          'Available favorites:',
-          favorites.map((fav) => fav.name),
+          'Closest favorites:',
+          candidates.map((c) => c.name),
         );
-        return;
+        return false;
       }
       const favoriteId = targetFavorite.id;
       console.log(`Found target favorite '${targetFavorite.name}' with ID: ${favoriteId}`);
@@ -658,29 +1739,36 @@ module.exports = (dependencies) => {
       });
 
       console.log(
-        `Successfully requested playback of favorite '${favoriteName}' on '${TARGET_DEVICE_NAME}'.`,
+        `Successfully requested playback of favorite '${favoriteName}' on '${group.name}'.`,
       );
+
+      if (ramp) {
+        await startCloudRamp(room, group, ramp);
+      }
+      return true;
     } catch (err) {
       const errorData = err.response ? err.response.data : err.message;
       console.error(
         'An error occurred during Sonos playback attempt:',
         JSON.stringify(errorData, null, 2),
       );
+      return false;
     }
   }
 
-  async function switchToLineIn() {
+  async function switchToLineIn(room) {
     console.log('Request received to switch to Line-In. Pausing Spotify...');
+    await ramps.cancelRamp(room);
 
     await pauseSpotify();
 
     console.log('Attempting to switch to Line-In on Sonos.');
 
     try {
-      const group = await getSonosGroup();
+      const group = await getSonosGroup(room);
       if (!group) {
         console.error('Could not get Sonos group. Aborting switch to Line-In.');
-        return;
+        return false;
       }
       const { groupId } = group;
 
@@ -691,111 +1779,141 @@ module.exports = (dependencies) => {
       await sonosApi.post(`/groups/${groupId}/playback/lineIn`);
       await sonosApi.post(`/groups/${groupId}/playback/play`);
 
-      console.log(`Successfully requested switch to Line-In on '${TARGET_DEVICE_NAME}'.`);
+      console.log(`Successfully requested switch to Line-In on '${group.name}'.`);
+      return true;
     } catch (err) {
       const errorData = err.response ? err.response.data : err.message;
       console.error(
         'An error occurred during the switch to Line-In attempt:',
         JSON.stringify(errorData, null, 2),
       );
+      return false;
     }
   }
 
-  const handleSonosCallback = async (req, res) => {
-    const { code } = req.query;
-    if (!code) {
-      return res
-        .status(400)
-        .send('<h1>Error</h1><p>No authorization code provided in the Sonos callback.</p>');
+  /**
+   * Run an action described as data ({ type, room, ... }), as stored in schedules.
+   * Types: favorite { name }, search { q, artist, track, radio }, album { q, artist },
+   * lineIn, volume { volume } and pause. favorite, search and album accept ramp options.
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async function runAction(action) {
+    const { type, room } = action;
+    const ramp = type === 'volume' ? null : parseRampOptions(action);
+    if (ramp?.error) {
+      return { success: false, error: ramp.error };
     }
 
-    console.log('Received Sonos authorization code, exchanging for tokens...');
-    const authHeader = `Basic ${Buffer.from(`${SONOS_CLIENT_ID}:${SONOS_CLIENT_SECRET}`).toString('base64')}`;
+    switch (type) {
+      case 'favorite': {
+        const success = await playFavoriteAfterDelay(action.name, room, { ramp, delayMs: 0 });
+        return success ? { success } : { success, error: `Could not play favorite '${action.name}'` };
+      }
+      case 'search': {
+        const { success, error } = await searchAndPlay(action.q || '', {
+          artist: action.artist,
+          track: action.track,
+          radio: action.radio !== false,
+          room,
+          ramp,
+        });
+        return { success, error };
+      }
+      case 'album': {
+        const { success, error } = await searchAndPlayAlbum(action.q || '', action.artist || '', {
+          room,
+          ramp,
+        });
+        return { success, error };
+      }
+      case 'lineIn': {
+        const success = await switchToLineIn(room);
+        return success ? { success } : { success, error: 'Could not switch to Line-In' };
+      }
+      case 'volume': {
+        const success = await setVolume(action.volume, room);
+        return success ? { success } : { success, error: 'Could not set volume' };
+      }
+      case 'pause':
+        await runTransportCommand('pause', undefined, room);
+        return { success: true };
+      case 'crossfade':
+        await runTransportCommand('crossfade', action.enabled, room);
+        return { success: true };
+      case 'pauseAll': {
+        const { via, paused } = await pauseAllRooms();
+        return { success: true, via, paused };
+      }
+      case 'ungroup': {
+        const { via } = room ? await ungroupRoom(room) : await ungroupAllRooms();
+        return { success: true, via };
+      }
+      default:
+        return { success: false, error: `Unknown action type '${type}'` };
+    }
+  }
 
-    try {
-      const response = await axios.post(
-        'https://api.sonos.com/login/v3/oauth/access',
-        new URLSearchParams({
-          grant_type: 'authorization_code',
-          code,
-          redirect_uri: SONOS_REDIRECT_URI_FULL,
-        }),
-        {
-          headers: {
-            Authorization: authHeader,
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-        },
-      );
-
-      saveSonosTokens(response.data);
-      sonosApi.defaults.headers.common.Authorization = `Bearer ${response.data.access_token}`;
-
-      res.send(
-        '<h1>Success!</h1><p>Sonos authentication complete. You can close this window.</p><script>setTimeout(() => window.close(), 2000);</script>',
-      );
-      console.log('Sonos authentication successful! Please restart the server.');
-      return res;
-    } catch (err) {
-      console.error(
-        'Error exchanging code for Sonos tokens:',
-        err.response ? err.response.data : err.message,
-      );
-      return res
-        .status(500)
-        .send('<h1>Error</h1><p>Could not get Sonos tokens. Check the console for details.</p>');
-    }
-  };
-
-  const handleSpotifyCallback = async (req, res) => {
-    const { code } = req.query;
-    if (!code) {
-      return res
-        .status(400)
-        .send('<h1>Error</h1><p>No authorization code provided in the Spotify callback.</p>');
-    }
-
-    console.log('Received Spotify authorization code, exchanging for tokens...');
-    const authHeader = `Basic ${Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString('base64')}`;
+  const scheduler = createScheduler({
+    fs,
+    filePath: SCHEDULES_PATH,
+    runAction,
+    defaultTimezone: SCHEDULE_TIMEZONE,
+  });
+
+  const presence = createPresence({
+    fs,
+    filePath: PRESENCE_PATH,
+    runAction,
+    arrivalDelayMs: DELAY_MS,
+  });
+
+  const scenes = createScenes({
+    fs,
+    yaml,
+    filePath: SCENES_PATH,
+    runAction,
+    validate: (step) => (step.type !== 'volume' && parseRampOptions(step)?.error) || null,
+  });
 
-    try {
-      const response = await axios.post(
-        'https://accounts.spotify.com/api/token',
-        new URLSearchParams({
-          grant_type: 'authorization_code',
-          code,
-          redirect_uri: SPOTIFY_REDIRECT_URI_FULL,
-        }),
-        {
-          headers: {
-            Authorization: authHeader,
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-        },
-      );
+  /**
+   * Handler for an OAuth redirect: exchange the authorization code for tokens.
+   */
+  function oauthCallback(label, auth, redirectUri) {
+    return async (req, res) => {
+      const { code } = req.query;
+      if (!code) {
+        return res
+          .status(400)
+          .send(`<h1>Error</h1><p>No authorization code provided in the ${label} callback.</p>`);
+      }
 
-      saveSpotifyTokens(response.data);
-      spotifyApi.defaults.headers.common.Authorization = `Bearer ${response.data.access_token}`;
+      console.log(`Received ${label} authorization code, exchanging for tokens...`);
+      try {
+        await auth.exchangeCode(code, redirectUri);
+        res.send(
+          `<h1>Success!</h1><p>${label} authentication complete. You can close this window.</p><script>setTimeout(() => window.close(), 2000);</script>`,
+        );
+        console.log(`${label} authentication successful! Please restart the server.`);
+        return res;
+      } catch (err) {
+        console.error(
+          `Error exchanging code for ${label} tokens:`,
+          err.response ? err.response.data : err.message,
+        );
+        return res
+          .status(500)
+          .send(`<h1>Error</h1><p>Could not get ${label} tokens. Check the console for details.</p>`);
+      }
+    };
+  }
 
-      res.send(
-        '<h1>Success!</h1><p>Spotify authentication complete. You can close this window.</p><script>setTimeout(() => window.close(), 2000);</script>',
-      );
-      console.log('Spotify authentication successful! Please restart the server.');
-      return res;
-    } catch (err) {
-      console.error(
-        'Error exchanging code for Spotify tokens:',
-        err.response ? err.response.data : err.message,
-      );
-      return res
-        .status(500)
-        .send('<h1>Error</h1><p>Could not get Spotify tokens. Check the console for details.</p>');
-    }
-  };
+  const handleSonosCallback = oauthCallback('Sonos', sonosAuth, SONOS_REDIRECT_URI_FULL);
+  const handleSpotifyCallback = oauthCallback('Spotify', spotifyAuth, SPOTIFY_REDIRECT_URI_FULL);
 
   async function main() {
-    const sonosTokens = loadSonosTokens();
-    const spotifyTokens = loadSpotifyTokens();
+    importLegacyTokens();
+    const sonosTokens = sonosAuth.hasTokens();
+    const spotifyTokens = spotifyAuth.hasTokens();
 
     if (!sonosTokens || !spotifyTokens) {
       const authApp = express();
@@ -816,7 +1934,7 @@ module.exports = (dependencies) => {
         if (!spotifyTokens) {
           // prettier-ignore
           // eslint-disable-next-line max-len
-          const spotifyAuthUrl = `https://accounts.spotify.com/authorize?client_id=${SPOTIFY_CLIENT_ID}&response_type=code&redirect_uri=${encodeURIComponent(SPOTIFY_REDIRECT_URI_FULL)}&scope=user-modify-playback-state`;
+          const spotifyAuthUrl = `https://accounts.spotify.com/authorize?client_id=${SPOTIFY_CLIENT_ID}&response_type=code&redirect_uri=${encodeURIComponent(SPOTIFY_REDIRECT_URI_FULL)}&scope=${encodeURIComponent(SPOTIFY_SCOPES)}`;
           console.log('--- FIRST-TIME SPOTIFY SETUP ---');
           console.log('Please visit this URL to authorize with Spotify:');
           console.log(spotifyAuthUrl);
@@ -825,27 +1943,282 @@ module.exports = (dependencies) => {
       });
     } else {
       console.log('Sonos and Spotify tokens found. Starting dynamic webhook server.');
+      const missingScopes = missingSpotifyScopes();
+      if (missingScopes.length) {
+        console.warn(
+          `Spotify was authorized without ${missingScopes.join(', ')}, so /playlist can't find your `
+          + 'own playlists. Delete spotify_tokens.enc (and .bak) from the token directory and '
+          + 'restart to authorize again.',
+        );
+      }
 
-      const sonosExpiresIn = (sonosTokens.expires_in || 3600) * 1000;
-      setInterval(refreshSonosToken, sonosExpiresIn * 0.9);
+      const pollSeconds = envSeconds(TOPOLOGY_POLL_SECONDS, DEFAULT_TOPOLOGY_POLL_SECONDS);
+      if (pollSeconds > 0) {
+        topologyCache.startPolling(pollSeconds);
+      }
+
+      let apiKeys;
+      try {
+        apiKeys = loadApiKeys({ fs, filePath: API_KEYS_PATH, envKey: API_KEY });
+      } catch (err) {
+        console.error(`FATAL ERROR: Could not load API keys: ${err.message}`);
+        process.exit(1);
+      }
+      console.log(`Loaded ${apiKeys.length} API key(s).`);
+      const auth = createAuthMiddleware(apiKeys);
+      // The key, timestamp and route are checked before any body is read. The signature
+      // covers the body, so it is checked once the body is parsed (kept raw for that).
+      app.use(auth.beforeBody);
+      app.post('/clips', express.raw({
+        type: () => true,
+        limit: MAX_CLIP_BYTES,
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
+      }));
+      app.use(express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
+      }));
+      app.use(auth);
 
-      const spotifyExpiresIn = (spotifyTokens.expires_in || 3600) * 1000;
-      setInterval(refreshSpotifyToken, spotifyExpiresIn * 0.9);
+      let guards;
+      try {
+        guards = createRequestGuards({
+          defaultWindowSeconds: DEBOUNCE_SECONDS === undefined
+            ? DEFAULT_DEBOUNCE_SECONDS
+            : Number(DEBOUNCE_SECONDS),
+          windows: parseDebounceWindows(DEBOUNCE_WINDOWS),
+        });
+      } catch (err) {
+        console.error(`FATAL ERROR: ${err.message}`);
+        process.exit(1);
+      }
+      const { debounce } = guards;
+      app.use(guards.idempotency);
 
-      app.post('/play/:favoriteName', (req, res) => {
+      app.post('/play/:favoriteName', debounce('play'), async (req, res) => {
         const { favoriteName } = req.params;
         console.log(`Received webhook trigger for favorite: ${favoriteName}`);
         const cleanedName = favoriteName.replace(/%20/g, ' ').replace(/_/g, ' ');
-        playFavoriteAfterDelay(cleanedName);
-        // prettier-ignore
-        // eslint-disable-next-line max-len
-        res.status(202).send(`Webhook for '${cleanedName}' accepted. Processing playback request.`);
+        const ramp = parseRampOptions({ ...req.query, ...req.body });
+        if (ramp?.error) {
+          return res.status(400).send(ramp.error);
+        }
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: true, upnp: false });
+          if (!target) return res;
+          const { favorite, candidates } = await findFavorite(
+            target.group.householdId,
+            cleanedName,
+          );
+          if (!favorite) {
+            return res.status(404).json({
+              success: false,
+              error: `No favorite matching '${cleanedName}'`,
+              candidates,
+            });
+          }
+          playFavoriteAfterDelay(favorite.name, target.room, { ramp, group: target.group });
+          // prettier-ignore
+          // eslint-disable-next-line max-len
+          return res.status(202).send(`Webhook for '${favorite.name}' accepted. Processing playback request.`);
+        } catch (err) {
+          console.error('Play endpoint error:', err);
+          return res.status(httpStatusForError(err)).send(err.message);
+        }
+      });
+
+      // GET /favorites lists the 'My Sonos' favorites (cached; ?refresh=true refetches).
+      // GET /favorites?q=cafe del mar shows how a name would be matched.
+      app.get('/favorites', async (req, res) => {
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: true, upnp: false });
+          if (!target) return res;
+          const { householdId } = target.group;
+          const { items, fetchedAt } = await getFavorites(householdId, {
+            refresh: req.query.refresh === 'true',
+          });
+          const favorites = items.map((fav) => ({
+            id: fav.id,
+            name: fav.name,
+            description: fav.description,
+            service: fav.service?.name,
+          }));
+          const lookup = req.query.q && await findFavorite(householdId, req.query.q);
+          return res.status(200).json({
+            success: true,
+            fetchedAt: new Date(fetchedAt).toISOString(),
+            favorites,
+            ...(lookup && {
+              match: lookup.favorite ? lookup.favorite.name : null,
+              score: lookup.score,
+              candidates: lookup.candidates,
+            }),
+          });
+        } catch (err) {
+          const errorData = err.response ? JSON.stringify(err.response.data) : err.message;
+          console.error('Favorites error:', errorData);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      });
+
+      // GET /playlists lists the Sonos playlists (not Spotify ones; see POST /playlist)
+      app.get('/playlists', async (req, res) => {
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: false });
+          if (!target) return res;
+          const { via, playlists } = await listSonosPlaylists(target.room);
+          return res.status(200).json({ success: true, via, playlists });
+        } catch (err) {
+          console.error('Playlists error:', err.message);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
       });
 
-      app.post('/line-in', (req, res) => {
+      // Usage: POST /playlists/Dinner/play?shuffle=true
+      app.post('/playlists/:name/play', debounce('sonos-playlist'), async (req, res) => {
+        const { name } = req.params;
+        const shuffleParam = req.query.shuffle ?? req.body?.shuffle;
+        const shuffle = shuffleParam === 'true' || shuffleParam === true;
+        const ramp = parseRampOptions({ ...req.query, ...req.body });
+        if (ramp?.error) {
+          return res.status(400).json({ success: false, error: ramp.error });
+        }
+        console.log(`Sonos playlist play request: '${name}' (shuffle: ${shuffle})`);
+
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: false });
+          if (!target) return res;
+          const result = await playSonosPlaylist(name, { room: target.room, shuffle, ramp });
+          if (result.notFound) {
+            return res.status(404).json({
+              success: false, error: result.error, candidates: result.candidates,
+            });
+          }
+          if (!result.success) {
+            return res.status(failureStatus(result)).json({
+              success: false, error: result.error, upnpError: result.upnpError,
+            });
+          }
+          return res.status(200).json({
+            success: true,
+            message: `Now playing Sonos playlist: ${result.playlist.name}`,
+            via: result.via,
+            playlist: result.playlist,
+            ramp: result.ramp,
+          });
+        } catch (err) {
+          console.error('Sonos playlist endpoint error:', err);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      });
+
+      // Music library (UPnP ContentDirectory of the speaker, e.g. a NAS share).
+      // Usage: GET /library/browse?id=A:ALBUM/Origin%20of%20Symmetry
+      app.get('/library/browse', async (req, res) => {
+        const { id } = req.query;
+        if (!id) {
+          return res.status(400).json({ success: false, error: 'Missing "id" query parameter.' });
+        }
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          const start = parseInt(req.query.start, 10) || 0;
+          const count = Math.min(parseInt(req.query.count, 10) || 100, 1000);
+          const result = await upnp.browse(id, { start, count }, target.room);
+          return res.status(200).json({ success: true, id, ...result });
+        } catch (err) {
+          console.error('Library browse error:', err.message);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      });
+
+      // Usage: GET /library/albums?q=symmetry or GET /library/playlists
+      app.get('/library/:category', async (req, res) => {
+        const { category } = req.params;
+        if (!upnp.LIBRARY_ROOTS[category]) {
+          return res.status(404).json({
+            success: false,
+            error: `Unknown library category '${category}'`,
+            categories: Object.keys(upnp.LIBRARY_ROOTS),
+          });
+        }
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          const start = parseInt(req.query.start, 10) || 0;
+          const count = Math.min(parseInt(req.query.count, 10) || 100, 1000);
+          const result = await upnp.browseLibrary(category, {
+            term: req.query.q, start, count,
+          }, target.room);
+          return res.status(200).json({ success: true, category, ...result });
+        } catch (err) {
+          console.error('Library error:', err.message);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      });
+
+      // Usage: POST /library/play with { "id": "A:ALBUM/Origin%20of%20Symmetry" }
+      //    or: POST /library/play with { "category": "albums", "q": "origin", "artist": "Muse" }
+      app.post('/library/play', debounce('library'), async (req, res) => {
+        const params = { ...req.query, ...req.body };
+        const { id, category = 'tracks', artist } = params;
+        const shuffle = params.shuffle === 'true' || params.shuffle === true;
+        if (!id && !params.q && !artist) {
+          return res.status(400).json({
+            success: false,
+            error: 'Provide "id", or "q" / "artist" with an optional "category".',
+          });
+        }
+        const ramp = parseRampOptions(params);
+        if (ramp?.error) {
+          return res.status(400).json({ success: false, error: ramp.error });
+        }
+
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          const room = target.room || upnp.defaultRoom();
+          let result;
+          if (id) {
+            const item = await upnp.getLibraryItem(id, room);
+            if (!item) {
+              return res.status(404).json({ success: false, error: `No library object '${id}'` });
+            }
+            await ramps.cancelRamp(room);
+            result = await upnp.playLibraryItem(item, { room, shuffle, volume: ramp ? 0 : null });
+            if (result.success) {
+              result = {
+                ...result,
+                item: { id: item.id, title: item.title, artist: item.creator },
+                ramp: ramp ? await startUpnpRamp(room, ramp) : undefined,
+              };
+            }
+          } else {
+            result = await searchAndPlayLibrary(category, params.q, {
+              artist, room, shuffle, ramp,
+            });
+          }
+          return sendLibraryResult(res, result);
+        } catch (err) {
+          console.error('Library play endpoint error:', err);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      });
+
+      app.post('/line-in', debounce('line-in'), async (req, res) => {
         console.log('Received webhook trigger for line-in.');
-        switchToLineIn();
-        res.status(202).send('Webhook for line-in accepted. Processing switch request.');
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: true, upnp: false });
+          if (!target) return res;
+          switchToLineIn(target.room);
+          return res.status(202).send('Webhook for line-in accepted. Processing switch request.');
+        } catch (err) {
+          console.error('Line-in endpoint error:', err);
+          return res.status(httpStatusForError(err)).send(err.message);
+        }
       });
 
       app.post('/volume', async (req, res) => {
@@ -856,15 +2229,22 @@ module.exports = (dependencies) => {
             .send('Invalid "volume" in request body. It must be a number between 0 and 100.');
         }
         console.log(`Received volume change request: ${volume}`);
-        await setVolume(volume);
-        return res.status(202).send(`Volume change request for '${volume}' accepted.`);
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: true, upnp: false });
+          if (!target) return res;
+          await setVolume(volume, target.room);
+          return res.status(202).send(`Volume change request for '${volume}' accepted.`);
+        } catch (err) {
+          console.error('Volume endpoint error:', err);
+          return res.status(httpStatusForError(err)).send(err.message);
+        }
       });
 
       // Spotify search and play endpoint
       // Usage: POST /search?q=artist+song
       //    or: POST /search?artist=Muse&track=Starlight
       //    or: POST /search with JSON body { "q": "...", "artist": "...", "track": "..." }
-      app.post('/search', async (req, res) => {
+      app.post('/search', debounce('search'), async (req, res) => {
         // Accept query params OR JSON body
         const q = req.query.q || req.body?.q || '';
         const artist = req.query.artist || req.body?.artist || '';
@@ -886,27 +2266,45 @@ module.exports = (dependencies) => {
           });
         }
 
+        const ramp = parseRampOptions({ ...req.query, ...req.body });
+        if (ramp?.error) {
+          return res.status(400).json({ success: false, error: ramp.error });
+        }
+
         const logMsg = `Received search request: q="${q}", artist="${artist}", track="${track}", radio=${radio}`;
         console.log(logMsg);
 
         try {
-          const result = await searchAndPlay(q, { artist, track, radio });
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          if ((req.query.source || req.body?.source) === 'library') {
+            const result = await searchAndPlayLibrary('tracks', track || q, {
+              artist, room: target.room, ramp,
+            });
+            return sendLibraryResult(res, result);
+          }
+          const result = await searchAndPlay(q, {
+            artist, track, radio, room: target.room, ramp,
+          });
           if (result.success) {
             return res.status(200).json({
               success: true,
               message: `Now playing: ${result.track.name} by ${result.track.artist}`,
               track: result.track,
               alternatives: result.alternatives,
+              ramp: result.ramp,
             });
           }
-          return res.status(result.error === 'No matching tracks found' ? 404 : 500).json({
+          const status = result.error === 'No matching tracks found' ? 404 : failureStatus(result);
+          return res.status(status).json({
             success: false,
             error: result.error,
+            upnpError: result.upnpError,
             query: result.query,
           });
         } catch (err) {
           console.error('Search endpoint error:', err);
-          return res.status(500).json({
+          return res.status(httpStatusForError(err)).json({
             success: false,
             error: err.message || 'Internal server error',
           });
@@ -916,7 +2314,7 @@ module.exports = (dependencies) => {
       // Album search and play endpoint
       // Usage: POST /album?q=black+holes+and+revelations&artist=muse
       //    or: POST /album?q=black+holes+and+revelations+muse
-      app.post('/album', async (req, res) => {
+      app.post('/album', debounce('album'), async (req, res) => {
         const q = req.query.q || req.body?.q || '';
         const artist = req.query.artist || req.body?.artist || '';
 
@@ -927,31 +2325,729 @@ module.exports = (dependencies) => {
           });
         }
 
+        const ramp = parseRampOptions({ ...req.query, ...req.body });
+        if (ramp?.error) {
+          return res.status(400).json({ success: false, error: ramp.error });
+        }
+
         console.log(`Album play request: q="${q}", artist="${artist}"`);
 
         try {
-          const result = await searchSpotifyAlbum(q, artist);
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          if ((req.query.source || req.body?.source) === 'library') {
+            const result = await searchAndPlayLibrary('albums', q, {
+              artist, room: target.room, ramp,
+            });
+            return sendLibraryResult(res, result);
+          }
+          const playResult = await searchAndPlayAlbum(q, artist, { room: target.room, ramp });
+
+          if (playResult.notFound) {
+            return res.status(404).json({ success: false, error: playResult.error });
+          }
+          if (playResult.success) {
+            const { album, trackCount } = playResult;
+            return res.status(200).json({
+              success: true,
+              message: `Now playing album: ${album.name} by ${album.artist} (${trackCount} tracks)`,
+              album,
+              trackCount,
+              ramp: playResult.ramp,
+            });
+          }
+
+          return res.status(failureStatus(playResult)).json({
+            success: false,
+            error: playResult.error,
+            upnpError: playResult.upnpError,
+          });
+        } catch (err) {
+          console.error('Album endpoint error:', err);
+          return res.status(httpStatusForError(err)).json({
+            success: false,
+            error: err.message || 'Internal server error',
+          });
+        }
+      });
+
+      // Spotify playlist play endpoint
+      // Usage: POST /playlist?name=Discover+Weekly
+      //    or: POST /playlist with JSON body { "name": "...", "shuffle": true, "startTrack": 5 }
+      app.post('/playlist', debounce('playlist'), async (req, res) => {
+        const name = req.query.name || req.query.q || req.body?.name || req.body?.q || '';
+        const shuffleParam = req.query.shuffle ?? req.body?.shuffle;
+        const shuffle = shuffleParam === 'true' || shuffleParam === true;
+        const startTrack = req.query.startTrack ?? req.body?.startTrack;
+
+        if (!name) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing playlist name. Provide ?name=playlist+name or JSON body { "name": "..." }',
+          });
+        }
+
+        console.log(`Playlist play request: name="${name}", shuffle=${shuffle}, startTrack=${startTrack ?? ''}`);
+
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          await ramps.cancelRamp(target.room);
+          const result = await searchSpotifyPlaylist(name);
 
           if (!result) {
-            return res.status(404).json({ success: false, error: 'Album not found on Spotify' });
+            return res.status(404).json({ success: false, error: 'Playlist not found on Spotify' });
+          }
+
+          const { playlist, tracks } = result;
+          const startIndex = resolveStartIndex(tracks, startTrack);
+          if (startIndex === -1) {
+            return res.status(400).json({
+              success: false,
+              error: `Start track '${startTrack}' is not in playlist '${playlist.name}'`,
+            });
           }
 
-          const { album, tracks } = result;
-          const playResult = await upnp.playAlbum(tracks, album);
+          await pauseSpotify();
+          const playResult = await upnp.playTracks(tracks, playlist, {
+            room: target.room,
+            shuffle,
+            startIndex,
+          });
 
           if (playResult.success) {
             return res.status(200).json({
               success: true,
-              message: `Now playing album: ${album.name} by ${album.artist} (${tracks.length} tracks)`,
-              album,
+              message: `Now playing playlist: ${playlist.name} (${tracks.length} tracks)`,
+              playlist,
               trackCount: tracks.length,
+              shuffle,
+              startTrack: tracks[startIndex].name,
             });
           }
 
-          return res.status(500).json({ success: false, error: playResult.error });
+          const status = playResult.error === 'No playable tracks' ? 422 : failureStatus(playResult);
+          return res.status(status).json({
+            success: false,
+            error: playResult.error,
+            upnpError: playResult.upnpError,
+          });
         } catch (err) {
-          console.error('Album endpoint error:', err);
-          return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+          console.error('Playlist endpoint error:', err);
+          return res.status(httpStatusForError(err)).json({
+            success: false,
+            error: err.message || 'Internal server error',
+          });
+        }
+      });
+
+      // Artist play endpoint
+      // Usage: POST /artist?name=Muse&mode=top
+      //    or: POST /artist with JSON body { "name": "Muse", "mode": "shuffle", "count": 40 }
+      // Modes: top (top tracks), shuffle (random mix from albums), radio (Sonos artist radio)
+      app.post('/artist', debounce('artist'), async (req, res) => {
+        const name = req.query.name || req.query.q || req.body?.name || req.body?.q || '';
+        const mode = String(req.query.mode || req.body?.mode || 'top').toLowerCase();
+        const count = parseInt(req.query.count || req.body?.count, 10) || 50;
+
+        if (!name) {
+          return res.status(400).json({
+            success: false,
+            error: 'Missing artist name. Provide ?name=artist or JSON body { "name": "..." }',
+          });
+        }
+        if (!['top', 'shuffle', 'radio'].includes(mode)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid mode '${mode}'. Use one of: top, shuffle, radio.`,
+          });
+        }
+
+        console.log(`Artist play request: name="${name}", mode=${mode}`);
+
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          await ramps.cancelRamp(target.room);
+          const bestArtist = await searchSpotifyArtist(name);
+
+          if (!bestArtist) {
+            return res.status(404).json({ success: false, error: 'Artist not found on Spotify' });
+          }
+
+          const artist = {
+            id: bestArtist.id,
+            name: bestArtist.name,
+            uri: bestArtist.uri,
+            genres: bestArtist.genres,
+            popularity: bestArtist.popularity,
+            relevanceScore: bestArtist.relevanceScore,
+            imageUrl: bestArtist.images?.[0]?.url || '',
+          };
+
+          await pauseSpotify();
+
+          let playResult;
+          let trackCount = null;
+          if (mode === 'radio') {
+            playResult = await upnp.playSpotifyArtistRadio(artist.id, artist, null, target.room);
+          } else {
+            const tracks = mode === 'top'
+              ? await getArtistTopTracks(artist.id)
+              : await getArtistDiscographyMix(bestArtist, count);
+            trackCount = tracks.length;
+            playResult = await upnp.playTracks(tracks, artist, { room: target.room });
+          }
+
+          if (playResult.success) {
+            return res.status(200).json({
+              success: true,
+              message: mode === 'radio'
+                ? `Now playing ${artist.name} Radio`
+                : `Now playing ${artist.name} (${mode}, ${trackCount} tracks)`,
+              mode,
+              artist,
+              trackCount,
+            });
+          }
+
+          const status = playResult.error === 'No playable tracks' ? 422 : failureStatus(playResult);
+          return res.status(status).json({
+            success: false,
+            error: playResult.error,
+            upnpError: playResult.upnpError,
+          });
+        } catch (err) {
+          console.error('Artist endpoint error:', err);
+          return res.status(httpStatusForError(err)).json({
+            success: false,
+            error: err.message || 'Internal server error',
+          });
+        }
+      });
+
+      // Queue management (UPnP)
+      // GET /queue?start=0&count=100 reads the queue via ContentDirectory Browse of Q:0
+      app.get('/queue', async (req, res) => {
+        const start = parseInt(req.query.start, 10) || 0;
+        const count = parseInt(req.query.count, 10) || 100;
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          const queue = await upnp.getQueue({ start, count }, target.room);
+          return res.status(200).json({ success: true, ...queue });
+        } catch (err) {
+          console.error('Queue read error:', err);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      });
+
+      // POST /queue appends, POST /queue/next plays after the current track.
+      // Body/query: { "uri": "spotify:track:..." } or search params { "q" } / { "artist", "track" }
+      const enqueueHandler = (next) => async (req, res) => {
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+
+          const params = { ...req.query, ...req.body };
+          if (!params.uri && !params.q && !params.artist && !params.track) {
+            return res.status(400).json({
+              success: false,
+              error: 'Provide a "uri" (spotify:track:XXXXX) or search params (q, artist, track).',
+            });
+          }
+          if (params.uri && !params.uri.startsWith('spotify:track:')) {
+            return res.status(400).json({
+              success: false,
+              error: 'Invalid "uri". Must be spotify:track:XXXXX format.',
+            });
+          }
+
+          const track = await resolveRequestTrack(req);
+          if (!track) {
+            return res.status(404).json({ success: false, error: 'No matching tracks found' });
+          }
+
+          const result = await upnp.enqueueSpotifyTrack(track.uri, track, {
+            next,
+            room: target.room,
+          });
+          return res.status(200).json({
+            success: true,
+            message: `Queued${next ? ' next' : ''}: ${track.title || track.uri}`,
+            track,
+            position: result.firstTrackNumberEnqueued,
+            queueLength: result.newQueueLength,
+          });
+        } catch (err) {
+          console.error('Enqueue error:', err);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      };
+      app.post('/queue', enqueueHandler(false));
+      app.post('/queue/next', enqueueHandler(true));
+
+      // DELETE /queue/:index removes the track at a 1-indexed position
+      app.delete('/queue/:index', async (req, res) => {
+        const index = parseInt(req.params.index, 10);
+        if (!Number.isInteger(index) || index < 1) {
+          return res.status(400).json({ success: false, error: 'Queue index must be a positive integer (1-indexed).' });
+        }
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          await upnp.removeTrackFromQueue(index, target.room);
+          return res.status(200).json({ success: true, message: `Removed track ${index} from the queue` });
+        } catch (err) {
+          console.error('Queue remove error:', err);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      });
+
+      // POST /queue/move { "from": 5, "to": 2, "count": 1 } moves tracks before position `to`
+      app.post('/queue/move', async (req, res) => {
+        const from = parseInt(req.body?.from ?? req.query.from, 10);
+        const to = parseInt(req.body?.to ?? req.query.to, 10);
+        const count = parseInt(req.body?.count ?? req.query.count, 10) || 1;
+        if (!(from >= 1) || !(to >= 1) || count < 1) {
+          return res.status(400).json({
+            success: false,
+            error: '"from" and "to" must be positive queue positions (1-indexed); "count" defaults to 1.',
+          });
+        }
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          await upnp.reorderTracksInQueue(from, count, to, target.room);
+          return res.status(200).json({
+            success: true,
+            message: `Moved ${count} track(s) from position ${from} to before ${to}`,
+          });
+        } catch (err) {
+          console.error('Queue move error:', err);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      });
+
+      // DELETE /queue clears the queue
+      app.delete('/queue', async (req, res) => {
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          await upnp.clearQueue(target.room);
+          return res.status(200).json({ success: true, message: 'Queue cleared' });
+        } catch (err) {
+          console.error('Queue clear error:', err);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      });
+
+      // Transport control: UPnP first, Sonos cloud API fallback
+      const sendTransportError = (res, err, command) => {
+        console.error(`Transport ${command} error:`, err.message);
+        return res.status(httpStatusForError(err)).json({
+          success: false,
+          error: err.message,
+          ...(err instanceof UPnPError && { upnpError: err.toJSON() }),
+          ...(err instanceof UnknownRoomError && { room: err.room, validRooms: err.validRooms }),
+        });
+      };
+
+      // Parse and validate the command's value from the query or JSON body.
+      // Returns { value } or { error } (answered with 400).
+      const parseBoolean = (raw) => {
+        if (raw === true || raw === 'true' || raw === 'on' || raw === '1' || raw === 1) return true;
+        if (raw === false || raw === 'false' || raw === 'off' || raw === '0' || raw === 0) return false;
+        return undefined;
+      };
+      const TRANSPORT_PARAMS = {
+        seek: (params) => {
+          const raw = params.position;
+          const seconds = /^\d+:\d{1,2}(:\d{1,2})?$/.test(String(raw))
+            ? String(raw).split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0)
+            : Number(raw);
+          return Number.isFinite(seconds) && seconds >= 0
+            ? { value: seconds }
+            : { error: '"position" must be seconds or MM:SS / H:MM:SS.' };
+        },
+        playMode: (params) => {
+          const mode = String(params.mode || '').toUpperCase();
+          return upnp.PLAY_MODES[mode]
+            ? { value: mode }
+            : { error: `"mode" must be one of ${Object.keys(upnp.PLAY_MODES).join(', ')}.` };
+        },
+        shuffle: (params) => {
+          const enabled = parseBoolean(params.enabled ?? true);
+          return enabled === undefined ? { error: '"enabled" must be true or false.' } : { value: enabled };
+        },
+        repeat: (params) => {
+          const repeat = String(params.mode || 'all').toLowerCase();
+          return ['none', 'all', 'one'].includes(repeat)
+            ? { value: repeat }
+            : { error: '"mode" must be none, all or one.' };
+        },
+        crossfade: (params) => {
+          const enabled = parseBoolean(params.enabled ?? true);
+          return enabled === undefined ? { error: '"enabled" must be true or false.' } : { value: enabled };
+        },
+      };
+
+      // POST /transport/play, /pause, /stop, /next, /previous, /seek, /playmode, /shuffle, ...
+      Object.keys(TRANSPORT_COMMANDS).forEach((command) => {
+        app.post(`/transport/${command.toLowerCase()}`, async (req, res) => {
+          const room = req.query.room || req.body?.room || undefined;
+          const params = { ...req.query, ...req.body };
+          const { value, error } = TRANSPORT_PARAMS[command]
+            ? TRANSPORT_PARAMS[command](params)
+            : {};
+          if (error) {
+            return res.status(400).json({ success: false, error });
+          }
+          try {
+            const { via } = await runTransportCommand(command, value, room);
+            return res.status(200).json({
+              success: true,
+              command,
+              ...(value !== undefined && { value }),
+              via,
+            });
+          } catch (err) {
+            return sendTransportError(res, err, command);
+          }
+        });
+      });
+
+      // GET /transport reports state, position and play mode of a room
+      app.get('/transport', async (req, res) => {
+        try {
+          const status = await getTransportStatus(req.query.room || undefined);
+          return res.status(200).json({ success: true, ...status });
+        } catch (err) {
+          return sendTransportError(res, err, 'status');
+        }
+      });
+
+      // Grouping: Sonos cloud first, UPnP fallback. Responses carry the resulting groups.
+      const sendGroupingResult = async (res, action, change) => {
+        try {
+          const result = await change();
+          // 207: the grouping changed, but some rooms (listed in `failed`) didn't follow
+          return res.status(result.failed ? 207 : 200).json({ success: true, ...result });
+        } catch (err) {
+          console.error(`Grouping ${action} error:`, err.message);
+          return res.status(httpStatusForError(err)).json({
+            success: false,
+            error: err.message,
+            ...(err instanceof UPnPError && { upnpError: err.toJSON() }),
+            ...(err instanceof UnknownRoomError && { room: err.room, validRooms: err.validRooms }),
+          });
+        }
+      };
+
+      // POST /group { "coordinator": "Kitchen", "rooms": ["Lounge", "Study"] }
+      // rooms may also be a comma-separated string (?rooms=Lounge,Study)
+      app.post('/group', (req, res) => {
+        const params = { ...req.query, ...req.body };
+        const coordinator = params.coordinator || params.room || upnp.defaultRoom();
+        const rooms = (Array.isArray(params.rooms) ? params.rooms : String(params.rooms || '').split(','))
+          .map((r) => String(r).trim())
+          .filter(Boolean);
+        if (!coordinator || rooms.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Provide "rooms" to join and a "coordinator" room.',
+          });
+        }
+        return sendGroupingResult(res, 'group', () => groupRooms(coordinator, rooms));
+      });
+
+      // POST /ungroup?room=Lounge
+      app.post('/ungroup', (req, res) => {
+        const room = req.query.room || req.body?.room;
+        if (!room) {
+          return res.status(400).json({ success: false, error: 'Provide the "room" to ungroup.' });
+        }
+        return sendGroupingResult(res, 'ungroup', () => ungroupRoom(room));
+      });
+
+      // POST /party groups every room with the coordinator (default room if not given)
+      app.post('/party', (req, res) => {
+        const coordinator = req.query.coordinator || req.body?.coordinator
+          || req.query.room || req.body?.room || upnp.defaultRoom();
+        return sendGroupingResult(res, 'party', () => partyMode(coordinator));
+      });
+
+      // Schedules: cron-style timed actions, persisted next to the token files
+      app.get('/schedules', (req, res) => res.status(200).json({
+        success: true,
+        timezone: scheduler.timezone,
+        schedules: scheduler.list(),
+      }));
+
+      app.get('/schedules/:id', (req, res) => {
+        const schedule = scheduler.get(req.params.id);
+        if (!schedule) {
+          return res.status(404).json({ success: false, error: `No schedule '${req.params.id}'` });
+        }
+        return res.status(200).json({ success: true, schedule });
+      });
+
+      // POST /schedules
+      // { "name": "Wake up", "cron": "30 6 * * mon-fri", "timezone": "Europe/London",
+      //   "action": { "type": "favorite", "name": "Morning", "room": "Bedroom", "ramp": true } }
+      app.post('/schedules', async (req, res) => {
+        const definition = req.body || {};
+        const topology = definition.action?.room
+          ? await fetchSonosTopology().catch(() => null)
+          : null;
+        const error = validateSchedule(definition, { rooms: listRoomNames(topology) })
+          || (definition.action?.type !== 'volume' && parseRampOptions(definition.action)?.error);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+        try {
+          const schedule = scheduler.add(definition);
+          console.log(`Schedule '${schedule.name}' added, next run ${schedule.nextRunLocal}`);
+          return res.status(201).json({ success: true, schedule });
+        } catch (err) {
+          console.error('Schedule error:', err.message);
+          return res.status(500).json({ success: false, error: err.message });
+        }
+      });
+
+      app.delete('/schedules/:id', (req, res) => {
+        try {
+          if (!scheduler.remove(req.params.id)) {
+            return res.status(404).json({ success: false, error: `No schedule '${req.params.id}'` });
+          }
+          return res.status(200).json({ success: true, message: `Schedule '${req.params.id}' deleted` });
+        } catch (err) {
+          console.error('Schedule error:', err.message);
+          return res.status(500).json({ success: false, error: err.message });
+        }
+      });
+
+      // POST skips the next occurrence, DELETE un-skips it
+      const skipHandler = (skip) => (req, res) => {
+        try {
+          const schedule = scheduler.skipNext(req.params.id, skip);
+          if (!schedule) {
+            return res.status(404).json({ success: false, error: `No schedule '${req.params.id}'` });
+          }
+          return res.status(200).json({ success: true, schedule });
+        } catch (err) {
+          console.error('Schedule error:', err.message);
+          return res.status(500).json({ success: false, error: err.message });
+        }
+      };
+      app.post('/schedules/:id/skip', skipHandler(true));
+      app.delete('/schedules/:id/skip', skipHandler(false));
+
+      // POST /snapshot/:name saves the room's current state under a name
+      app.post('/snapshot/:name', async (req, res) => {
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          const snapshot = await upnp.takeSnapshot(target.speaker.roomName);
+          snapshots.set(req.params.name, snapshot);
+          return res.status(200).json({ success: true, name: req.params.name, snapshot });
+        } catch (err) {
+          console.error('Snapshot error:', err.message);
+          return res.status(httpStatusForError(err)).json({
+            success: false,
+            error: err.message,
+            ...(err instanceof UPnPError && { upnpError: err.toJSON() }),
+          });
+        }
+      });
+
+      // POST /restore/:name puts the snapshot's room back the way it was
+      // (?room= restores it to another room instead). Snapshots are kept for reuse.
+      app.post('/restore/:name', async (req, res) => {
+        const snapshot = snapshots.get(req.params.name);
+        if (!snapshot) {
+          return res.status(404).json({
+            success: false,
+            error: `No snapshot named '${req.params.name}'`,
+            snapshots: [...snapshots.keys()],
+          });
+        }
+        try {
+          let { room } = snapshot;
+          if (req.query.room || req.body?.room) {
+            const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+            if (!target) return res;
+            room = target.speaker.roomName;
+          }
+          await ramps.cancelRamp(room);
+          const result = await upnp.restoreSnapshot(snapshot, room);
+          return res.status(200).json({
+            success: true,
+            name: req.params.name,
+            room,
+            warnings: result.warnings,
+          });
+        } catch (err) {
+          console.error('Restore error:', err.message);
+          return res.status(httpStatusForError(err)).json({
+            success: false,
+            error: err.message,
+            ...(err instanceof UPnPError && { upnpError: err.toJSON() }),
+          });
+        }
+      });
+
+      // Presence: who is home, with rules for the first arrival and the last departure
+      app.get('/presence', (req, res) => res.status(200).json({
+        success: true,
+        ...presence.getState(),
+        rules: presence.getRules(),
+      }));
+
+      app.post('/presence/rules', (req, res) => {
+        const definition = req.body || {};
+        const rampError = ruleActions(definition)
+          .map((action) => action?.type !== 'volume' && parseRampOptions(action)?.error)
+          .find(Boolean);
+        try {
+          if (rampError) throw new Error(rampError);
+          const rules = presence.setRules(definition);
+          return res.status(200).json({ success: true, rules });
+        } catch (err) {
+          return res.status(400).json({ success: false, error: err.message });
+        }
+      });
+
+      // POST /presence/:person/arrive and /presence/:person/leave. Rule actions run in
+      // the background (arrivals after ARRIVAL_DELAY_SECONDS), so this responds right away.
+      const presenceHandler = (arriving) => (req, res) => {
+        const { done, ...result } = arriving
+          ? presence.arrive(req.params.person)
+          : presence.leave(req.params.person);
+        done.then((results) => {
+          const failed = results.filter((r) => !r.success);
+          if (results.length > 0) {
+            console.log(`[Presence] ${result.event} actions done, ${failed.length} failed`);
+          }
+        });
+        return res.status(result.actions.length > 0 ? 202 : 200).json({
+          success: true,
+          ...result,
+          actions: result.actions.map((action) => action.type),
+        });
+      };
+      app.post('/presence/:person/arrive', presenceHandler(true));
+      app.post('/presence/:person/leave', presenceHandler(false));
+
+      // Scenes: named lists of steps from SCENES_FILE
+      app.get('/scenes', (req, res) => {
+        try {
+          return res.status(200).json({ success: true, scenes: scenes.list() });
+        } catch (err) {
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+      });
+
+      // POST /scene/evening  or  POST /scene/evening?onError=continue
+      // Responds once every step has run, with a result per step.
+      app.post('/scene/:name', debounce('scene'), async (req, res) => {
+        const onError = req.query.onError || req.body?.onError;
+        if (onError !== undefined && !ON_ERROR_MODES.includes(onError)) {
+          return res.status(400).json({
+            success: false,
+            error: `"onError" must be one of ${ON_ERROR_MODES.join(', ')}`,
+          });
+        }
+        let result;
+        try {
+          result = await scenes.run(req.params.name, { onError });
+        } catch (err) {
+          // The scenes file is broken or the scene is invalid (422): nothing was run
+          console.error('Scene error:', err.message);
+          return res.status(httpStatusForError(err)).json({ success: false, error: err.message });
+        }
+        if (!result) {
+          const available = scenes.list().map((scene) => scene.name);
+          return res.status(404).json({
+            success: false,
+            error: `No scene '${req.params.name}'`,
+            scenes: available,
+          });
+        }
+        return res.status(sceneResultStatus(result)).json(result);
+      });
+
+      // Clips: served to the speakers from CLIPS_DIR, uploaded with POST /clips
+      app.get('/clips', (req, res) => {
+        const clips = fs.existsSync(CLIPS_PATH)
+          ? fs.readdirSync(CLIPS_PATH).filter((name) => CLIP_NAME_PATTERN.test(name))
+          : [];
+        return res.status(200).json({ success: true, clips });
+      });
+      app.use('/clips', express.static(CLIPS_PATH));
+
+      // POST /clips?name=doorbell.mp3 with the audio file as the request body
+      app.post('/clips', (req, res) => {
+        const name = req.query.name || req.get('X-Clip-Name');
+        if (!name || !CLIP_NAME_PATTERN.test(name)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Provide ?name=<file> ending in .mp3, .wav, .ogg, .flac, .m4a or .aac',
+          });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+          return res.status(400).json({ success: false, error: 'The request body must be the audio file' });
+        }
+        try {
+          fs.mkdirSync(CLIPS_PATH, { recursive: true });
+          fs.writeFileSync(path.join(CLIPS_PATH, name), req.body);
+          console.log(`Saved clip '${name}' (${req.body.length} bytes)`);
+          return res.status(201).json({ success: true, clip: name, bytes: req.body.length });
+        } catch (err) {
+          console.error('Clip upload error:', err.message);
+          return res.status(500).json({ success: false, error: err.message });
+        }
+      });
+
+      // POST /announce { "clip": "doorbell.mp3", "room": "Kitchen", "volume": 50 }
+      // or { "url": "http://..." }. Responds once the clip has played and playback is restored.
+      app.post('/announce', async (req, res) => {
+        const params = { ...req.query, ...req.body };
+        const { clip, url } = params;
+        if (!clip && !url) {
+          return res.status(400).json({ success: false, error: 'Provide a "clip" name or a "url".' });
+        }
+        const clipMissing = clip
+          && (!CLIP_NAME_PATTERN.test(clip) || !fs.existsSync(path.join(CLIPS_PATH, clip)));
+        if (clipMissing) {
+          return res.status(404).json({ success: false, error: `No clip named '${clip}'` });
+        }
+        const volume = params.volume === undefined
+          ? parseInt(ANNOUNCE_VOLUME, 10) || announcements.DEFAULT_ANNOUNCE_VOLUME
+          : Number(params.volume);
+        if (!Number.isInteger(volume) || volume < 0 || volume > 100) {
+          return res.status(400).json({ success: false, error: '"volume" must be between 0 and 100.' });
+        }
+
+        try {
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          const clipUri = url
+            || `${publicBaseUrl(target.speaker.ip)}/clips/${encodeURIComponent(clip)}`;
+          await ramps.cancelRamp(target.room);
+          const result = await announcements.announce(target.speaker.roomName, clipUri, {
+            volume,
+            durationSeconds: Number(params.duration) || undefined,
+            timeoutSeconds: Number(params.timeout) || undefined,
+          });
+          return res.status(200).json(result);
+        } catch (err) {
+          console.error('Announce error:', err.message);
+          return res.status(httpStatusForError(err)).json({
+            success: false,
+            error: err.message,
+            ...(err instanceof UPnPError && { upnpError: err.toJSON() }),
+          });
         }
       });
 
@@ -973,7 +3069,9 @@ module.exports = (dependencies) => {
         console.log(`Received GET search: q="${qStr}", artist="${artistStr}", track="${trackStr}"`);
 
         try {
-          const result = await searchAndPlay(qStr, { artist, track });
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          const result = await searchAndPlay(qStr, { artist, track, room: target.room });
           if (result.success) {
             return res.status(200).json({
               success: true,
@@ -982,43 +3080,92 @@ module.exports = (dependencies) => {
               alternatives: result.alternatives,
             });
           }
-          return res.status(result.error === 'No matching tracks found' ? 404 : 500).json({
+          const status = result.error === 'No matching tracks found' ? 404 : failureStatus(result);
+          return res.status(status).json({
             success: false,
             error: result.error,
+            upnpError: result.upnpError,
             query: result.query,
           });
         } catch (err) {
           console.error('Search endpoint error:', err);
-          return res.status(500).json({
+          return res.status(httpStatusForError(err)).json({
             success: false,
             error: err.message || 'Internal server error',
           });
         }
       });
 
+      // Speakers found via SSDP discovery
+      // Usage: GET /speakers  or  GET /speakers?refresh=true to re-run discovery
+      app.get('/speakers', async (req, res) => {
+        try {
+          const refresh = req.query.refresh === 'true' || discovery.getSpeakers().length === 0;
+          const speakers = refresh ? await discovery.discover() : discovery.getSpeakers();
+          return res.status(200).json({ success: true, count: speakers.length, speakers });
+        } catch (err) {
+          console.error('Speaker discovery error:', err);
+          return res.status(500).json({ success: false, error: err.message });
+        }
+      });
+
+      // GENA event callback from the speakers (NOTIFY /upnp/notify/:uuid/:service)
+      app.notify('/upnp/notify/:uuid/:service', express.text({ type: '*/*' }), (req, res) => {
+        const accepted = events.handleNotify({
+          uuid: req.params.uuid,
+          service: req.params.service,
+          sid: req.get('SID'),
+          body: req.body,
+        });
+        res.status(accepted ? 200 : 412).end();
+      });
+
+      // Live now-playing state from UPnP events (no polling)
+      // Usage: GET /status  or  GET /status?room=Kitchen
+      app.get('/status', (req, res) => {
+        const { room } = req.query;
+        const state = events.getState(room);
+        if (room && !state) {
+          return res.status(404).json({
+            success: false,
+            error: `No event state for room '${room}'`,
+            validRooms: events.getState().map((s) => s.roomName),
+          });
+        }
+        return res.status(200).json({
+          success: true,
+          ...(room ? { state } : { rooms: state }),
+          apis: { sonos: sonosBreaker.state(), spotify: spotifyBreaker.state() },
+        });
+      });
+
       // UPnP connectivity test endpoint
       app.get('/upnp/test', async (req, res) => {
         console.log('Testing UPnP connectivity to Sonos speaker...');
         try {
-          const result = await upnp.testConnection();
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          const result = await upnp.testConnection(target.speaker.roomName);
           if (result.success) {
+            const { speaker } = result;
             return res.status(200).json({
               success: true,
-              message: `UPnP connection to ${upnp.SONOS_SPEAKER_IP}:${upnp.SONOS_SPEAKER_PORT} successful`,
-              speakerIp: upnp.SONOS_SPEAKER_IP,
+              message: `UPnP connection to ${speaker.ip}:${speaker.port} successful`,
+              speakerIp: speaker.ip,
+              speaker,
             });
           }
-          return res.status(500).json({
+          return res.status(failureStatus(result)).json({
             success: false,
             error: result.error,
-            speakerIp: upnp.SONOS_SPEAKER_IP,
-            hint: 'Check SONOS_SPEAKER_IP environment variable',
+            upnpError: result.upnpError,
+            speakers: discovery.getSpeakers(),
+            hint: 'Check that the speaker is on the same network, or set SONOS_SPEAKER_IP as a discovery seed',
           });
         } catch (err) {
-          return res.status(500).json({
+          return res.status(httpStatusForError(err)).json({
             success: false,
             error: err.message,
-            speakerIp: upnp.SONOS_SPEAKER_IP,
           });
         }
       });
@@ -1039,19 +3186,27 @@ module.exports = (dependencies) => {
         console.log(`Direct UPnP play request: ${uri}`);
 
         try {
-          const result = await upnp.playSpotifyTrack(uri, { title, artist, album }, 30);
+          const target = await resolveRequestRoom(req, res, { cloud: false, upnp: true });
+          if (!target) return res;
+          const result = await upnp.playSpotifyTrack(
+            uri,
+            { title, artist, album },
+            30,
+            target.speaker.roomName,
+          );
           if (result.success) {
             return res.status(200).json({
               success: true,
               message: `Playing ${title || uri} via UPnP`,
             });
           }
-          return res.status(500).json({
+          return res.status(failureStatus(result)).json({
             success: false,
             error: result.error,
+            upnpError: result.upnpError,
           });
         } catch (err) {
-          return res.status(500).json({
+          return res.status(httpStatusForError(err)).json({
             success: false,
             error: err.message,
           });
@@ -1067,19 +3222,26 @@ module.exports = (dependencies) => {
         console.log(
           `Example Usage: GET  http://<YOUR_IP>:${WEBHOOK_PORT}/search?artist=Muse&track=Starlight`,
         );
+        console.log(`Example Usage: POST http://<YOUR_IP>:${WEBHOOK_PORT}/playlist?name=Road+Trip`);
+        console.log(`Example Usage: POST http://<YOUR_IP>:${WEBHOOK_PORT}/artist?name=Muse&mode=radio`);
         console.log(`Example Usage: GET  http://<YOUR_IP>:${WEBHOOK_PORT}/upnp/test`);
-        console.log(`Sonos UPnP endpoint: ${upnp.SONOS_SPEAKER_IP}:${upnp.SONOS_SPEAKER_PORT}`);
+        console.log(`Example Usage: GET  http://<YOUR_IP>:${WEBHOOK_PORT}/speakers`);
       });
+
+      scheduler.start();
+
+      discovery
+        .discover()
+        .then((speakers) => events.subscribeAll(publicBaseUrl(speakers[0] && speakers[0].ip)))
+        .catch((err) => {
+          console.error('Initial Sonos speaker discovery failed:', err.message);
+        });
     }
   }
 
   return {
-    saveSonosTokens,
-    saveSpotifyTokens,
-    loadSonosTokens,
-    loadSpotifyTokens,
-    refreshSonosToken,
-    refreshSpotifyToken,
+    sonosAuth,
+    spotifyAuth,
     pauseSpotify,
     playFavoriteAfterDelay,
     switchToLineIn,
@@ -1087,14 +3249,38 @@ module.exports = (dependencies) => {
     handleSpotifyCallback,
     main,
     getSonosGroup,
+    resolveRoom,
     setVolume,
+    getFavorites,
+    findFavorite,
+    findLibraryItem,
+    searchAndPlayLibrary,
+    runTransportCommand,
+    getTransportStatus,
+    runAction,
+    scheduler,
+    presence,
+    scenes,
+    groupRooms,
+    ungroupRoom,
+    ungroupAllRooms,
+    partyMode,
+    pauseAllRooms,
     // Spotify search functions
     searchSpotify,
     searchSpotifyAlbum,
+    searchSpotifyPlaylist,
+    missingSpotifyScopes,
+    resolveStartIndex,
+    searchSpotifyArtist,
     rankSearchResults,
+    rankArtistResults,
+    getArtistDiscographyMix,
     playSpotifyTrackOnSonos,
     searchAndPlay,
     // UPnP module (for direct speaker control)
     upnp,
+    discovery,
+    events,
   };
 };
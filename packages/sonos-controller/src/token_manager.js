@@ -0,0 +1,200 @@
+/**
+ * OAuth access tokens for the Sonos and Spotify APIs.
+ *
+ * Tokens are kept in memory (and in the token store) with their `expires_at`.
+ * They are refreshed only when they are about to expire or a request came back
+ * 401, and concurrent refreshes share one in-flight request, so simultaneous
+ * webhooks can't race each other into using an outdated refresh token.
+ */
+
+// Refresh this long before the access token expires
+const DEFAULT_REFRESH_MARGIN_SECONDS = 60;
+// Used when the token endpoint doesn't say how long a token lasts
+const DEFAULT_EXPIRES_IN_SECONDS = 3600;
+
+/**
+ * Create the token manager of one OAuth provider.
+ *
+ * @param {object} options
+ * @param {string} options.name - Token store entry, e.g. "sonos"
+ * @param {string} options.label - Name for log messages, e.g. "Sonos"
+ * @param {object} options.store - From createTokenStore()
+ * @param {object} options.http - axios, for the token endpoint
+ * @param {string} options.tokenUrl - OAuth token endpoint
+ * @param {string} options.clientId - OAuth client ID
+ * @param {string} options.clientSecret - OAuth client secret
+ * @param {Function} options.validate - Optional (tokens) => error|null; invalid stored
+ *   tokens are deleted so the user is asked to authenticate again
+ * @param {number} options.refreshMarginSeconds - How early to refresh
+ * @param {Function} options.now - Clock in ms (for tests)
+ */
+function createTokenManager({
+  name,
+  label,
+  store,
+  http,
+  tokenUrl,
+  clientId,
+  clientSecret,
+  validate = () => null,
+  refreshMarginSeconds = DEFAULT_REFRESH_MARGIN_SECONDS,
+  now = Date.now,
+}) {
+  // undefined: not read from the store yet; null: no (valid) tokens
+  let tokens;
+  let refreshing = null;
+
+  function load() {
+    if (tokens !== undefined) return tokens;
+    tokens = store.load(name);
+    const error = tokens && validate(tokens);
+    if (error) {
+      console.error(`[Tokens] Stored ${label} tokens are invalid (${error}). Deleting them to force re-authentication.`);
+      store.remove(name);
+      tokens = null;
+    }
+    return tokens;
+  }
+
+  /**
+   * Keep tokens from the token endpoint, recording when the access token expires.
+   * A response without a refresh token keeps the previous one.
+   */
+  function save(received) {
+    const expiresIn = Number(received.expires_in) || DEFAULT_EXPIRES_IN_SECONDS;
+    tokens = {
+      ...(tokens || {}),
+      ...received,
+      expires_at: now() + expiresIn * 1000,
+    };
+    try {
+      store.save(name, tokens);
+    } catch (err) {
+      // The tokens still work from memory until the next restart
+      console.error(`[Tokens] Could not save ${label} tokens: ${err.message}`);
+    }
+    return tokens;
+  }
+
+  async function requestTokens(params) {
+    const authHeader = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+    const response = await http.post(tokenUrl, new URLSearchParams(params), {
+      headers: {
+        Authorization: authHeader,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    });
+    return response.data;
+  }
+
+  /**
+   * Exchange an authorization code from the OAuth callback for tokens.
+   */
+  async function exchangeCode(code, redirectUri) {
+    const received = await requestTokens({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+    });
+    const error = validate(received);
+    if (error) throw new Error(error);
+    return save(received);
+  }
+
+  /**
+   * Refresh the access token now. Calls made while a refresh is running share it.
+   * @returns {Promise<boolean>} false when there is no refresh token or the refresh failed
+   */
+  function refresh() {
+    if (refreshing) return refreshing;
+    refreshing = (async () => {
+      const current = load();
+      if (!current || !current.refresh_token) {
+        console.error(`No valid ${label} refresh token found. Cannot refresh. Please re-authenticate.`);
+        return false;
+      }
+      console.log(`Refreshing ${label} token...`);
+      try {
+        save(await requestTokens({
+          grant_type: 'refresh_token',
+          refresh_token: current.refresh_token,
+        }));
+        console.log(`${label} token refreshed successfully.`);
+        return true;
+      } catch (err) {
+        console.error(
+          `Could not refresh ${label} token. You may need to re-authenticate.`,
+          err.response ? err.response.data : err.message,
+        );
+        if (err.response && (err.response.status === 400 || err.response.status === 401)) {
+          store.remove(name);
+          tokens = null;
+          console.log(`Invalid ${label} tokens deleted.`);
+        }
+        return false;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+    return refreshing;
+  }
+
+  /**
+   * Make sure there is an access token that won't expire within the margin.
+   * @returns {Promise<boolean>} false when no usable token could be had
+   */
+  async function ensureFresh() {
+    const current = load();
+    if (!current) return false;
+    if (refreshing) return refreshing;
+    if (current.expires_at && current.expires_at - now() > refreshMarginSeconds * 1000) {
+      return true;
+    }
+    return refresh();
+  }
+
+  function accessToken() {
+    const current = load();
+    return current ? current.access_token : null;
+  }
+
+  /**
+   * Authenticate every request of an axios instance: refresh before expiry, and
+   * after a 401 refresh and retry the request once.
+   */
+  function attach(api) {
+    api.interceptors.request.use(async (config) => {
+      await ensureFresh();
+      const token = accessToken();
+      if (token) config.headers.set('Authorization', `Bearer ${token}`);
+      return config;
+    });
+    api.interceptors.response.use(null, async (err) => {
+      const { config, response } = err;
+      if (!response || response.status !== 401 || !config || config.tokenRetried) throw err;
+      // Another request may have refreshed the token since this one was sent
+      const sentToken = String(config.headers.get('Authorization') || '').replace(/^Bearer /, '');
+      const current = accessToken();
+      const refreshed = (current && sentToken !== current) || await refresh();
+      if (!refreshed) throw err;
+      console.log(`${label} token was rejected, retrying with a refreshed token...`);
+      return api.request({ ...config, tokenRetried: true });
+    });
+  }
+
+  return {
+    load,
+    save,
+    exchangeCode,
+    refresh,
+    ensureFresh,
+    accessToken,
+    attach,
+    hasTokens: () => Boolean(load()),
+  };
+}
+
+module.exports = {
+  createTokenManager,
+  DEFAULT_REFRESH_MARGIN_SECONDS,
+};
@@ -0,0 +1,196 @@
+/**
+ * Encrypted, crash-safe storage for OAuth tokens.
+ *
+ * Each entry (e.g. "sonos", "spotify") is kept in its own file, encrypted with
+ * AES-256-GCM under a key derived from TOKEN_ENCRYPTION_KEY. Writes go to a
+ * temporary file that is renamed over the old one, so a crash mid-write leaves
+ * the previous file intact. The previous good copy is also kept as `.bak` and
+ * used when the current file can't be read. Files are created owner-only
+ * (0600) in a directory outside the source tree (0700).
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const nodePath = require('path');
+
+const FORMAT_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+// Fixed salt: the key only has to be stable for an installation
+const KEY_SALT = 'sonos-controller-token-store';
+const FILE_MODE = 0o600;
+const DIR_MODE = 0o700;
+
+/**
+ * Default directory for the token files: $XDG_CONFIG_HOME/sonos-controller,
+ * or ~/.config/sonos-controller.
+ */
+function defaultTokenDir() {
+  const configHome = process.env.XDG_CONFIG_HOME || nodePath.join(os.homedir(), '.config');
+  return nodePath.join(configHome, 'sonos-controller');
+}
+
+/**
+ * Derive the 256-bit encryption key. A 64-character hex secret is used as is,
+ * anything else (a passphrase) is stretched with scrypt.
+ */
+function deriveKey(secret) {
+  if (!secret || String(secret).length < 16) {
+    throw new Error('The token encryption key must be at least 16 characters');
+  }
+  if (/^[0-9a-f]{64}$/i.test(secret)) return Buffer.from(secret, 'hex');
+  return crypto.scryptSync(String(secret), KEY_SALT, 32);
+}
+
+/**
+ * Encrypt a value to the JSON envelope stored on disk. The entry name is
+ * authenticated too, so one entry's file can't be swapped in for another.
+ */
+function encrypt(value, key, name) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(name));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    version: FORMAT_VERSION,
+    algorithm: ALGORITHM,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  });
+}
+
+/**
+ * Decrypt a stored envelope. Throws when it is malformed, was encrypted with
+ * another key or has been tampered with.
+ */
+function decrypt(contents, key, name) {
+  const envelope = JSON.parse(contents);
+  if (envelope.version !== FORMAT_VERSION || envelope.algorithm !== ALGORITHM) {
+    throw new Error(`Unsupported token file format (version ${envelope.version})`);
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAAD(Buffer.from(name));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const plain = Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, 'base64')),
+    decipher.final(),
+  ]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+/**
+ * Create a token store.
+ *
+ * @param {object} options
+ * @param {object} options.fs - fs module (injected like the controller's dependencies)
+ * @param {string} options.dir - Directory for the token files (see defaultTokenDir)
+ * @param {string} options.secret - Encryption key or passphrase (TOKEN_ENCRYPTION_KEY)
+ * @returns {{load, save, remove, importLegacy, filePath}}
+ */
+function createTokenStore({ fs, dir = defaultTokenDir(), secret }) {
+  const key = deriveKey(secret);
+
+  function filePath(name) {
+    return nodePath.join(dir, `${name}_tokens.enc`);
+  }
+
+  function ensureDir() {
+    fs.mkdirSync(dir, { recursive: true, mode: DIR_MODE });
+    fs.chmodSync(dir, DIR_MODE);
+  }
+
+  function readFile(file, name) {
+    if (!fs.existsSync(file)) return null;
+    return decrypt(fs.readFileSync(file, 'utf8'), key, name);
+  }
+
+  // Write a file so that it either fully replaces the old one or not at all
+  function writeAtomically(file, contents) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tempFile, contents, { mode: FILE_MODE, flush: true });
+      fs.renameSync(tempFile, file);
+    } catch (err) {
+      if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
+      throw err;
+    }
+    fs.chmodSync(file, FILE_MODE);
+  }
+
+  /**
+   * Read an entry, falling back to the backup (and restoring it) when the
+   * current file is unreadable.
+   * @returns {object|null} The stored value, or null when there is none
+   */
+  function load(name) {
+    const file = filePath(name);
+    try {
+      return readFile(file, name);
+    } catch (err) {
+      console.error(`[Tokens] Could not read ${file}: ${err.message}`);
+    }
+
+    let backup = null;
+    try {
+      backup = readFile(`${file}.bak`, name);
+    } catch (err) {
+      console.error(`[Tokens] Could not read the backup of ${file}: ${err.message}`);
+    }
+    if (!backup) return null;
+    console.warn(`[Tokens] Rolled back ${name} tokens to the last good copy.`);
+    writeAtomically(file, encrypt(backup, key, name));
+    return backup;
+  }
+
+  /**
+   * Replace an entry. The current file is kept as the backup if it is readable.
+   * Throws when the write fails; the previous file is then left untouched.
+   */
+  function save(name, value) {
+    ensureDir();
+    const file = filePath(name);
+    try {
+      if (readFile(file, name)) {
+        fs.copyFileSync(file, `${file}.bak`);
+        fs.chmodSync(`${file}.bak`, FILE_MODE);
+      }
+    } catch (err) {
+      // Don't let an unreadable file replace a good backup
+      console.warn(`[Tokens] Not backing up unreadable ${file}: ${err.message}`);
+    }
+    writeAtomically(file, encrypt(value, key, name));
+  }
+
+  /**
+   * Delete an entry and its backup, e.g. when the refresh token was revoked.
+   */
+  function remove(name) {
+    const file = filePath(name);
+    [file, `${file}.bak`].filter((f) => fs.existsSync(f)).forEach((f) => fs.unlinkSync(f));
+  }
+
+  /**
+   * Move a plaintext token file from an older version into the store. The old
+   * file is only deleted once the encrypted copy has been written.
+   * @returns {boolean} Whether anything was imported
+   */
+  function importLegacy(name, legacyFile) {
+    if (!fs.existsSync(legacyFile) || fs.existsSync(filePath(name))) return false;
+    const value = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+    save(name, value);
+    fs.unlinkSync(legacyFile);
+    console.log(`[Tokens] Moved ${legacyFile} into the encrypted store at ${filePath(name)}.`);
+    return true;
+  }
+
+  return {
+    load, save, remove, importLegacy, filePath,
+  };
+}
+
+module.exports = {
+  createTokenStore,
+  defaultTokenDir,
+  deriveKey,
+};
@@ -0,0 +1,196 @@
+/**
+ * Cached Sonos cloud topology: the household and its groups and players.
+ *
+ * Resolving a room used to fetch /households and /households/{id}/groups before
+ * every cloud command. The topology is now kept for a TTL and dropped early when
+ * it is known to be stale: a group ID the cloud no longer knows (404/410), a
+ * grouping change made by the controller, or a change seen by polling.
+ *
+ * With several households on the account, SONOS_HOUSEHOLD selects one by name
+ * or ID; otherwise the first is used.
+ */
+
+const DEFAULT_TTL_SECONDS = 300;
+// Group commands answer 404/410 once a group has been dissolved or re-formed
+const STALE_GROUP_STATUSES = [404, 410];
+
+/**
+ * What identifies a grouping: which players are grouped under which coordinator.
+ */
+function groupingSignature(topology) {
+  return topology.groups
+    .map((g) => `${g.id}:${g.coordinatorId || ''}:${[...(g.playerIds || [])].sort().join(',')}`)
+    .sort()
+    .join('|');
+}
+
+/**
+ * Pick the household to control.
+ * @param {object[]} households - From GET /households
+ * @param {string} wanted - Household name or ID; the first household when empty
+ * @returns {object} The household
+ * @throws {Error} When the wanted household isn't on the account
+ */
+function selectHousehold(households, wanted) {
+  if (!wanted) return households[0];
+  const key = wanted.toLowerCase();
+  const household = households.find((h) => (
+    h.id.toLowerCase() === key || (h.name && h.name.toLowerCase() === key)
+  ));
+  if (!household) {
+    const available = households.map((h) => (h.name ? `${h.name} (${h.id})` : h.id));
+    throw new Error(`No Sonos household named '${wanted}'. Available: ${available.join(', ')}`);
+  }
+  return household;
+}
+
+/**
+ * Create the topology cache.
+ *
+ * @param {object} options
+ * @param {object} options.api - Sonos Control API axios instance
+ * @param {string} options.household - Household name or ID (SONOS_HOUSEHOLD)
+ * @param {number} options.ttlSeconds - How long a fetched topology is reused
+ * @param {Function} options.now - Clock in ms (for tests)
+ * @returns {{get, invalidate, poll, startPolling, attach}}
+ */
+function createTopologyCache({
+  api, household, ttlSeconds = DEFAULT_TTL_SECONDS, now = Date.now,
+}) {
+  // { topology, fetchedAt }
+  let cached = null;
+  let fetching = null;
+  // Bumped by invalidate(), so a fetch started before it doesn't refill the cache
+  let generation = 0;
+
+  async function fetchTopology(knownHousehold) {
+    let selected = knownHousehold;
+    let households;
+    if (!selected) {
+      console.log('Fetching Sonos households...');
+      ({ data: { households = [] } } = await api.get('/households'));
+      if (households.length === 0) {
+        console.error('No Sonos households found on this account.');
+        return null;
+      }
+      selected = selectHousehold(households, household);
+      console.log(`Found household ID: ${selected.id}`);
+    }
+
+    console.log('Fetching groups/speakers in household...');
+    const {
+      data: { groups, players = [] },
+    } = await api.get(`/households/${selected.id}/groups`);
+    return {
+      householdId: selected.id,
+      householdName: selected.name,
+      households: households || cached?.topology.households || [selected],
+      groups,
+      players,
+    };
+  }
+
+  function store(topology) {
+    if (!topology) return null;
+    if (cached && cached.topology.householdId === topology.householdId
+      && groupingSignature(cached.topology) !== groupingSignature(topology)) {
+      console.log(`[Topology] Groups changed: ${topology.groups.map((g) => g.name).join(', ')}`);
+    }
+    cached = { topology, fetchedAt: now() };
+    return topology;
+  }
+
+  /**
+   * Fetch the topology and cache it, unless the cache was invalidated meanwhile.
+   * Concurrent callers share the fetch in `fetching` until it settles.
+   */
+  function fetchAndStore(knownHousehold) {
+    const startedIn = generation;
+    const current = fetchTopology(knownHousehold)
+      .then((topology) => (generation === startedIn ? store(topology) : topology))
+      .finally(() => {
+        if (fetching === current) fetching = null;
+      });
+    fetching = current;
+    return current;
+  }
+
+  /**
+   * The topology, from the cache while it is fresh. Concurrent fetches share one request.
+   * @param {object} options - { refresh: true } bypasses the cache
+   * @returns {Promise<object|null>} { householdId, householdName, households, groups, players },
+   *   or null when the account has no households
+   */
+  async function get({ refresh = false } = {}) {
+    if (!refresh && cached && now() - cached.fetchedAt < ttlSeconds * 1000) {
+      return cached.topology;
+    }
+    return fetching || fetchAndStore();
+  }
+
+  /**
+   * Drop the cached topology. A fetch already running may have read the old groups,
+   * so it is neither cached nor shared with later callers.
+   */
+  function invalidate(reason) {
+    if (cached) console.log(`[Topology] Cache invalidated: ${reason}`);
+    cached = null;
+    fetching = null;
+    generation += 1;
+  }
+
+  /**
+   * Re-read the groups of the known household, so changes made in the Sonos app
+   * are picked up between requests. Failures keep the cached topology.
+   */
+  async function poll() {
+    if (fetching) return;
+    const known = cached && {
+      id: cached.topology.householdId,
+      name: cached.topology.householdName,
+    };
+    try {
+      await fetchAndStore(known);
+    } catch (err) {
+      const errorData = err.response ? JSON.stringify(err.response.data) : err.message;
+      console.warn(`[Topology] Polling failed: ${errorData}`);
+      if (err.response && STALE_GROUP_STATUSES.includes(err.response.status)) {
+        invalidate('household not found');
+      }
+    }
+  }
+
+  /**
+   * Poll every intervalSeconds. Returns a function that stops polling.
+   */
+  function startPolling(intervalSeconds) {
+    const timer = setInterval(poll, intervalSeconds * 1000);
+    if (timer.unref) timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Drop the cache when a group command of an axios instance answers 404/410.
+   */
+  function attach(client) {
+    client.interceptors.response.use(null, (err) => {
+      const url = err.config && err.config.url;
+      if (err.response && STALE_GROUP_STATUSES.includes(err.response.status)
+        && /^\/?groups\//.test(url || '')) {
+        invalidate(`${err.response.status} from ${url}`);
+      }
+      throw err;
+    });
+  }
+
+  return {
+    get, invalidate, poll, startPolling, attach,
+  };
+}
+
+module.exports = {
+  createTopologyCache,
+  selectHousehold,
+  groupingSignature,
+  DEFAULT_TTL_SECONDS,
+};
@@ -9,15 +9,152 @@
  */
 
 const http = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
+const discovery = require('./discovery');
+const {
+  getTagValue, getAttribute, unescapeXml, parseDidl, parseTime, formatTime,
+} = require('./xml');
+const { UPnPError } = require('./errors');
+
+// Optional static speaker IP - used as a discovery seed when multicast is blocked
+const SONOS_SPEAKER_IP = process.env.SONOS_SPEAKER_IP || null;
+const { SONOS_SPEAKER_PORT } = discovery;
+
+// Sonos play modes as { shuffle, repeat } pairs (repeat: 'none' | 'all' | 'one')
+const PLAY_MODES = {
+  NORMAL: { shuffle: false, repeat: 'none' },
+  REPEAT_ALL: { shuffle: false, repeat: 'all' },
+  REPEAT_ONE: { shuffle: false, repeat: 'one' },
+  SHUFFLE_NOREPEAT: { shuffle: true, repeat: 'none' },
+  SHUFFLE: { shuffle: true, repeat: 'all' },
+  SHUFFLE_REPEAT_ONE: { shuffle: true, repeat: 'one' },
+};
+
+// RampToVolume ramp types. SLEEP_TIMER fades slowly, ALARM ramps up gently from quiet,
+// AUTOPLAY is a short ramp.
+const RAMP_TYPES = {
+  SLEEP_TIMER: 'SLEEP_TIMER_RAMP_TYPE',
+  ALARM: 'ALARM_RAMP_TYPE',
+  AUTOPLAY: 'AUTOPLAY_RAMP_TYPE',
+};
+
+// ContentDirectory containers of the local music library, Sonos playlists and shares.
+// The A: containers accept a search term as `<root>:<term>` (matched within names).
+const LIBRARY_ROOTS = {
+  artists: 'A:ARTIST',
+  albumArtists: 'A:ALBUMARTIST',
+  albums: 'A:ALBUM',
+  tracks: 'A:TRACKS',
+  genres: 'A:GENRE',
+  playlists: 'SQ:',
+  shares: 'S:',
+};
+
+const DEFAULT_SOAP_CONNECT_TIMEOUT_MS = 3000;
+const DEFAULT_SOAP_TIMEOUT_MS = 10000;
+// Read-only actions: safe to send again when a request times out or the connection drops
+const IDEMPOTENT_ACTIONS = new Set([
+  'GetTransportInfo', 'GetPositionInfo', 'GetMediaInfo', 'GetVolume', 'GetMute',
+  'GetTransportSettings', 'GetCrossfadeMode', 'GetZoneGroupState', 'Browse',
+]);
+const SOAP_READ_RETRIES = 2;
+const SOAP_RETRY_DELAY_MS = 250;
+
+// "ip:port" -> keep-alive http.Agent, so commands reuse the speaker connection
+const agents = new Map();
+// Speaker uuid -> tail of its command queue
+const speakerQueues = new Map();
+// Set of speaker uuids whose lock the current async context holds
+const heldLocks = new AsyncLocalStorage();
+
+/**
+ * Room used when a caller does not name one. Read lazily so values loaded by dotenv apply.
+ */
+function defaultRoom() {
+  return process.env.SONOS_ROOM || process.env.TARGET_DEVICE_NAME || null;
+}
+
+/**
+ * SOAP timeouts in ms: connecting to the speaker, and waiting for its response.
+ */
+function soapTimeouts() {
+  return {
+    connectMs: parseInt(process.env.SONOS_SOAP_CONNECT_TIMEOUT_MS, 10)
+      || DEFAULT_SOAP_CONNECT_TIMEOUT_MS,
+    responseMs: parseInt(process.env.SONOS_SOAP_TIMEOUT_MS, 10) || DEFAULT_SOAP_TIMEOUT_MS,
+  };
+}
+
+function agentFor(speaker) {
+  const key = `${speaker.ip}:${speaker.port || SONOS_SPEAKER_PORT}`;
+  if (!agents.has(key)) {
+    agents.set(key, new http.Agent({ keepAlive: true, maxSockets: 4 }));
+  }
+  return agents.get(key);
+}
 
-// Default Sonos speaker IP - can be overridden via environment
-const SONOS_SPEAKER_IP = process.env.SONOS_SPEAKER_IP || '192.168.1.211';
-const SONOS_SPEAKER_PORT = 1400;
+/**
+ * Short service name from a service type URN,
+ * e.g. urn:schemas-upnp-org:service:AVTransport:1 -> AVTransport.
+ */
+function serviceName(serviceType) {
+  const match = serviceType.match(/:service:([^:]+):/);
+  return match ? match[1] : serviceType;
+}
 
 /**
- * Send a SOAP request to the Sonos speaker.
+ * Parse the <u:ActionResponse> element of a SOAP response into a plain object
+ * of its output arguments (values are XML-decoded strings).
  */
-function soapRequest(endpoint, action, serviceType, body) {
+function parseSoapResponse(xml, action) {
+  const match = xml.match(
+    new RegExp(`<(?:[\\w-]+:)?${action}Response\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${action}Response>`),
+  );
+  if (!match) return {};
+
+  const result = {};
+  const argPattern = /<([\w-]+)(?:\s[^>]*)?(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  let arg = argPattern.exec(match[1]);
+  while (arg) {
+    result[arg[1]] = unescapeXml(arg[2] || '');
+    arg = argPattern.exec(match[1]);
+  }
+  return result;
+}
+
+/**
+ * Turn a SOAP fault body into a UPnPError (or null if the body has no UPnP error code).
+ */
+function parseSoapFault(xml, action, serviceType, statusCode) {
+  const code = parseInt(getTagValue(xml, 'errorCode'), 10);
+  if (Number.isNaN(code)) return null;
+  return new UPnPError({
+    action,
+    service: serviceName(serviceType),
+    code,
+    description: getTagValue(xml, 'errorDescription'),
+    statusCode,
+  });
+}
+
+/**
+ * Shape a caught error into the { success: false } result the high-level functions return.
+ */
+function failureResult(err) {
+  const result = { success: false, error: err.message };
+  if (err instanceof UPnPError) {
+    result.upnpError = err.toJSON();
+  }
+  return result;
+}
+
+/**
+ * Send a SOAP envelope to a specific speaker, over its keep-alive connection.
+ * Resolves with the parsed output arguments; rejects with a UPnPError on SOAP faults.
+ * Network errors and timeouts reject with `isNetworkError`; `notSent` marks those
+ * where the speaker can't have received the request (so any action may be resent).
+ */
+function sendSoap(speaker, endpoint, action, serviceType, body) {
   return new Promise((resolve, reject) => {
     const soapEnvelope = `<?xml version="1.0" encoding="utf-8"?>
 <s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">
@@ -29,16 +166,25 @@ function soapRequest(endpoint, action, serviceType, body) {
 </s:Envelope>`;
 
     const options = {
-      hostname: SONOS_SPEAKER_IP,
-      port: SONOS_SPEAKER_PORT,
+      hostname: speaker.ip,
+      port: speaker.port || SONOS_SPEAKER_PORT,
       path: endpoint,
       method: 'POST',
+      agent: agentFor(speaker),
       headers: {
         'Content-Type': 'text/xml; charset=utf-8',
         'Content-Length': Buffer.byteLength(soapEnvelope),
         SOAPAction: `"${serviceType}#${action}"`,
       },
     };
+    const { connectMs, responseMs } = soapTimeouts();
+    let connected = false;
+
+    const timedOut = (waitingFor, ms) => {
+      const err = new Error(`${action} timed out waiting for ${waitingFor} after ${ms}ms`);
+      err.code = 'ETIMEDOUT';
+      return err;
+    };
 
     const req = http.request(options, (res) => {
       let data = '';
@@ -47,15 +193,38 @@ function soapRequest(endpoint, action, serviceType, body) {
       });
       res.on('end', () => {
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve({ statusCode: res.statusCode, data });
+          resolve(parseSoapResponse(data, action));
         } else {
-          reject(new Error(`SOAP request failed: ${res.statusCode} - ${data}`));
+          reject(
+            parseSoapFault(data, action, serviceType, res.statusCode)
+              || new Error(`SOAP request failed: ${res.statusCode} - ${data}`),
+          );
         }
       });
     });
 
+    req.on('socket', (socket) => {
+      if (!socket.connecting) {
+        connected = true;
+        return;
+      }
+      const timer = setTimeout(() => req.destroy(timedOut('a connection', connectMs)), connectMs);
+      socket.once('connect', () => {
+        connected = true;
+        clearTimeout(timer);
+      });
+      socket.once('close', () => clearTimeout(timer));
+    });
+
+    req.setTimeout(responseMs, () => req.destroy(timedOut('a response', responseMs)));
+
     req.on('error', (err) => {
-      reject(new Error(`SOAP request error: ${err.message}`));
+      const error = new Error(`SOAP request error: ${err.message}`);
+      error.isNetworkError = true;
+      error.code = err.code;
+      // A kept-alive connection the speaker closed while idle fails before the request is read
+      error.notSent = !connected || (req.reusedSocket && err.code === 'ECONNRESET');
+      reject(error);
     });
 
     req.write(soapEnvelope);
@@ -63,6 +232,86 @@ function soapRequest(endpoint, action, serviceType, body) {
   });
 }
 
+/**
+ * Run fn while holding the command lock of a room's speaker, so multi-step sequences
+ * (e.g. SetAVTransportURI then Play) from concurrent requests don't interleave.
+ * Commands sent from within fn don't queue again for the lock they already hold.
+ *
+ * @param {string} room - Room name (defaults to SONOS_ROOM / TARGET_DEVICE_NAME)
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What fn returns
+ */
+async function withSpeakerLock(room, fn) {
+  const { uuid } = await discovery.resolveSpeaker(room || defaultRoom());
+  const held = heldLocks.getStore() || new Set();
+  if (held.has(uuid)) return fn();
+
+  const queued = speakerQueues.get(uuid) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = queued.then(() => current);
+  speakerQueues.set(uuid, tail);
+
+  await queued;
+  try {
+    return await heldLocks.run(new Set([...held, uuid]), fn);
+  } finally {
+    release();
+    if (speakerQueues.get(uuid) === tail) speakerQueues.delete(uuid);
+  }
+}
+
+/**
+ * Send a SOAP request, retrying network errors where that is safe: read-only actions
+ * up to SOAP_READ_RETRIES times, other actions only when the request wasn't sent.
+ * Before the first retry discovery is re-run, since the speaker may have a new DHCP lease.
+ */
+async function sendWithRetries(speaker, request, room, attempt = 0) {
+  const {
+    endpoint, action, serviceType, body,
+  } = request;
+  try {
+    return await sendSoap(speaker, endpoint, action, serviceType, body);
+  } catch (err) {
+    const retries = IDEMPOTENT_ACTIONS.has(action) ? SOAP_READ_RETRIES : 1;
+    const safe = IDEMPOTENT_ACTIONS.has(action) || err.notSent;
+    if (!err.isNetworkError || !safe || attempt >= retries) throw err;
+
+    let target = speaker;
+    if (attempt === 0) {
+      console.warn(`[UPnP] ${speaker.roomName} unreachable at ${speaker.ip} (${err.message}), `
+        + 're-running discovery...');
+      target = await discovery.resolveSpeaker(room, { refresh: true });
+    } else {
+      console.warn(`[UPnP] ${action} to ${speaker.roomName} failed (${err.message}), retrying...`);
+      await new Promise((resolve) => {
+        setTimeout(resolve, SOAP_RETRY_DELAY_MS * attempt);
+      });
+    }
+    return sendWithRetries(target, request, room, attempt + 1);
+  }
+}
+
+/**
+ * Send a SOAP request to the Sonos speaker for a room.
+ * The speaker is resolved from the discovery registry. Requests time out after
+ * SONOS_SOAP_CONNECT_TIMEOUT_MS / SONOS_SOAP_TIMEOUT_MS, and are retried as described
+ * in sendWithRetries. Commands that change state wait their turn in the speaker's
+ * command queue (see withSpeakerLock); read-only actions don't.
+ * Resolves with the action's output arguments as a plain object.
+ *
+ * @param {string} room - Room name (defaults to SONOS_ROOM / TARGET_DEVICE_NAME)
+ */
+async function soapRequest(endpoint, action, serviceType, body, room = defaultRoom()) {
+  const request = {
+    endpoint, action, serviceType, body,
+  };
+  const send = async () => sendWithRetries(await discovery.resolveSpeaker(room), request, room);
+  return IDEMPOTENT_ACTIONS.has(action) ? send() : withSpeakerLock(room, send);
+}
+
 /**
  * Escape XML special characters.
  */
@@ -132,7 +381,7 @@ function buildSpotifyMetadata(trackInfo = {}) {
  * Set the current track URI and start playing.
  * This is the main function to play a Spotify track via UPnP.
  */
-async function setAVTransportURI(spotifyUri, trackInfo = {}) {
+async function setAVTransportURI(spotifyUri, trackInfo = {}, room = defaultRoom()) {
   const sonosUri = spotifyToSonosUri(spotifyUri);
   const metadata = buildSpotifyMetadata({
     ...trackInfo,
@@ -152,13 +401,36 @@ async function setAVTransportURI(spotifyUri, trackInfo = {}) {
     'SetAVTransportURI',
     'urn:schemas-upnp-org:service:AVTransport:1',
     body,
+    room,
+  );
+}
+
+/**
+ * Set an arbitrary transport URI (radio stations, x-rincon: group links, clips, ...).
+ * @param {string} uri - The playback URI
+ * @param {string} metadata - DIDL-Lite metadata XML ('' for none)
+ * @param {string} room - Optional room name
+ */
+async function setTransportURI(uri, metadata = '', room = defaultRoom()) {
+  const body = `
+    <InstanceID>0</InstanceID>
+    <CurrentURI>${escapeXml(uri)}</CurrentURI>
+    <CurrentURIMetaData>${escapeXml(metadata)}</CurrentURIMetaData>
+  `;
+
+  return soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'SetAVTransportURI',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
   );
 }
 
 /**
  * Start playback.
  */
-async function play() {
+async function play(room) {
   console.log('[UPnP] Sending Play command');
 
   const body = `
@@ -171,13 +443,14 @@ async function play() {
     'Play',
     'urn:schemas-upnp-org:service:AVTransport:1',
     body,
+    room,
   );
 }
 
 /**
  * Stop playback.
  */
-async function stop() {
+async function stop(room) {
   console.log('[UPnP] Sending Stop command');
 
   const body = '<InstanceID>0</InstanceID>';
@@ -187,13 +460,14 @@ async function stop() {
     'Stop',
     'urn:schemas-upnp-org:service:AVTransport:1',
     body,
+    room,
   );
 }
 
 /**
  * Pause playback.
  */
-async function pause() {
+async function pause(room) {
   console.log('[UPnP] Sending Pause command');
 
   const body = '<InstanceID>0</InstanceID>';
@@ -203,13 +477,259 @@ async function pause() {
     'Pause',
     'urn:schemas-upnp-org:service:AVTransport:1',
     body,
+    room,
+  );
+}
+
+/**
+ * Skip to the next track.
+ */
+async function next(room) {
+  console.log('[UPnP] Sending Next command');
+
+  const body = '<InstanceID>0</InstanceID>';
+
+  return soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'Next',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
+  );
+}
+
+/**
+ * Go back to the previous track.
+ */
+async function previous(room) {
+  console.log('[UPnP] Sending Previous command');
+
+  const body = '<InstanceID>0</InstanceID>';
+
+  return soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'Previous',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
+  );
+}
+
+/**
+ * Seek within the current track.
+ * @param {number} seconds - Position from the start of the track
+ */
+async function seek(seconds, room) {
+  const target = formatTime(seconds);
+  console.log(`[UPnP] Seeking to ${target}`);
+
+  const body = `
+    <InstanceID>0</InstanceID>
+    <Unit>REL_TIME</Unit>
+    <Target>${target}</Target>
+  `;
+
+  return soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'Seek',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
+  );
+}
+
+/**
+ * The Sonos play mode for a shuffle / repeat combination.
+ * @param {{shuffle: boolean, repeat: string}} modes - repeat is 'none', 'all' or 'one'
+ */
+function playModeFor({ shuffle, repeat }) {
+  return Object.keys(PLAY_MODES).find(
+    (mode) => PLAY_MODES[mode].shuffle === Boolean(shuffle) && PLAY_MODES[mode].repeat === repeat,
+  ) || null;
+}
+
+/**
+ * Set the play mode (one of PLAY_MODES: NORMAL, SHUFFLE, REPEAT_ALL, ...).
+ */
+async function setPlayMode(mode, room) {
+  if (!PLAY_MODES[mode]) {
+    throw new Error(`Invalid play mode '${mode}'. Valid modes: ${Object.keys(PLAY_MODES).join(', ')}`);
+  }
+  console.log(`[UPnP] Setting play mode to ${mode}`);
+
+  const body = `
+    <InstanceID>0</InstanceID>
+    <NewPlayMode>${mode}</NewPlayMode>
+  `;
+
+  return soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'SetPlayMode',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
+  );
+}
+
+/**
+ * Get the current play mode, with its shuffle / repeat breakdown.
+ * @returns {Promise<{playMode: string, shuffle: boolean, repeat: string}>}
+ */
+async function getTransportSettings(room) {
+  const body = '<InstanceID>0</InstanceID>';
+
+  const result = await soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'GetTransportSettings',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
+  );
+  return {
+    playMode: result.PlayMode,
+    ...(PLAY_MODES[result.PlayMode] || PLAY_MODES.NORMAL),
+  };
+}
+
+/**
+ * Turn shuffle on or off, keeping the current repeat setting.
+ */
+async function setShuffle(enabled, room) {
+  return withSpeakerLock(room, async () => {
+    const { repeat } = await getTransportSettings(room);
+    return setPlayMode(playModeFor({ shuffle: enabled, repeat }), room);
+  });
+}
+
+/**
+ * Set repeat to 'none', 'all' or 'one', keeping the current shuffle setting.
+ */
+async function setRepeat(repeat, room) {
+  return withSpeakerLock(room, async () => {
+    const { shuffle } = await getTransportSettings(room);
+    const mode = playModeFor({ shuffle, repeat });
+    if (!mode) {
+      throw new Error(`Invalid repeat mode '${repeat}'. Valid modes: none, all, one`);
+    }
+    return setPlayMode(mode, room);
+  });
+}
+
+/**
+ * Turn crossfade between tracks on or off.
+ */
+async function setCrossfadeMode(enabled, room) {
+  console.log(`[UPnP] Setting crossfade ${enabled ? 'on' : 'off'}`);
+
+  const body = `
+    <InstanceID>0</InstanceID>
+    <CrossfadeMode>${enabled ? 1 : 0}</CrossfadeMode>
+  `;
+
+  return soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'SetCrossfadeMode',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
+  );
+}
+
+/**
+ * Whether crossfade is on.
+ */
+async function getCrossfadeMode(room) {
+  const body = '<InstanceID>0</InstanceID>';
+
+  const result = await soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'GetCrossfadeMode',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
+  );
+  return result.CrossfadeMode === '1';
+}
+
+/**
+ * Join a room to the group coordinated by another speaker.
+ * @param {string} coordinatorUuid - RINCON ID of the group coordinator
+ * @param {string} room - Room to join
+ */
+async function joinGroup(coordinatorUuid, room) {
+  console.log(`[UPnP] Joining ${room} to group ${coordinatorUuid}`);
+  return setTransportURI(`x-rincon:${coordinatorUuid}`, '', room);
+}
+
+/**
+ * Take a room out of its group, leaving it as its own standalone group.
+ */
+async function leaveGroup(room) {
+  console.log(`[UPnP] Removing ${room} from its group`);
+
+  const body = '<InstanceID>0</InstanceID>';
+
+  return soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'BecomeCoordinatorOfStandaloneGroup',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
   );
 }
 
+/**
+ * Parse a ZoneGroupState document into [{ id, coordinator, members: [{ uuid, roomName }] }].
+ * Invisible members (surrounds, subs, bonded pairs) are left out.
+ */
+function parseZoneGroupState(xml) {
+  const groups = [];
+  const groupPattern = /<ZoneGroup\b([^>]*)>([\s\S]*?)<\/ZoneGroup>/g;
+  let match = groupPattern.exec(xml || '');
+  while (match) {
+    const [, attributes, inner] = match;
+    const members = [];
+    const memberPattern = /<ZoneGroupMember\b([^>]*?)\/?>/g;
+    let member = memberPattern.exec(inner);
+    while (member) {
+      if (getAttribute(member[1], 'Invisible') !== '1') {
+        members.push({
+          uuid: getAttribute(member[1], 'UUID'),
+          roomName: getAttribute(member[1], 'ZoneName'),
+        });
+      }
+      member = memberPattern.exec(inner);
+    }
+    if (members.length > 0) {
+      groups.push({
+        id: getAttribute(attributes, 'ID'),
+        coordinator: getAttribute(attributes, 'Coordinator'),
+        members,
+      });
+    }
+    match = groupPattern.exec(xml);
+  }
+  return groups;
+}
+
+/**
+ * Get the household's group layout as seen by a speaker.
+ */
+async function getZoneGroupState(room = defaultRoom()) {
+  const result = await soapRequest(
+    '/ZoneGroupTopology/Control',
+    'GetZoneGroupState',
+    'urn:schemas-upnp-org:service:ZoneGroupTopology:1',
+    '',
+    room,
+  );
+  return parseZoneGroupState(result.ZoneGroupState);
+}
+
 /**
  * Set volume (0-100).
  */
-async function setVolume(volume) {
+async function setVolume(volume, room) {
   console.log(`[UPnP] Setting volume to ${volume}`);
 
   const body = `
@@ -223,23 +743,191 @@ async function setVolume(volume) {
     'SetVolume',
     'urn:schemas-upnp-org:service:RenderingControl:1',
     body,
+    room,
+  );
+}
+
+/**
+ * Get the current volume (0-100).
+ */
+async function getVolume(room) {
+  const body = `
+    <InstanceID>0</InstanceID>
+    <Channel>Master</Channel>
+  `;
+
+  const result = await soapRequest(
+    '/MediaRenderer/RenderingControl/Control',
+    'GetVolume',
+    'urn:schemas-upnp-org:service:RenderingControl:1',
+    body,
+    room,
+  );
+  return parseInt(result.CurrentVolume, 10);
+}
+
+/**
+ * Set the volume of the whole group (0-100), keeping the members' relative levels.
+ * Must be sent to the group coordinator.
+ */
+async function setGroupVolume(volume, room) {
+  console.log(`[UPnP] Setting group volume to ${volume}`);
+
+  const body = `
+    <InstanceID>0</InstanceID>
+    <DesiredVolume>${volume}</DesiredVolume>
+  `;
+
+  return soapRequest(
+    '/MediaRenderer/GroupRenderingControl/Control',
+    'SetGroupVolume',
+    'urn:schemas-upnp-org:service:GroupRenderingControl:1',
+    body,
+    room,
+  );
+}
+
+/**
+ * Get whether the speaker is muted.
+ */
+async function getMute(room) {
+  const body = `
+    <InstanceID>0</InstanceID>
+    <Channel>Master</Channel>
+  `;
+
+  const result = await soapRequest(
+    '/MediaRenderer/RenderingControl/Control',
+    'GetMute',
+    'urn:schemas-upnp-org:service:RenderingControl:1',
+    body,
+    room,
   );
+  return result.CurrentMute === '1';
+}
+
+/**
+ * Mute or unmute the speaker.
+ */
+async function setMute(mute, room) {
+  console.log(`[UPnP] ${mute ? 'Muting' : 'Unmuting'}`);
+
+  const body = `
+    <InstanceID>0</InstanceID>
+    <Channel>Master</Channel>
+    <DesiredMute>${mute ? 1 : 0}</DesiredMute>
+  `;
+
+  return soapRequest(
+    '/MediaRenderer/RenderingControl/Control',
+    'SetMute',
+    'urn:schemas-upnp-org:service:RenderingControl:1',
+    body,
+    room,
+  );
+}
+
+/**
+ * Let the speaker ramp the volume itself.
+ * @param {number} volume - Target volume (0-100)
+ * @param {string} rampType - One of RAMP_TYPES: SLEEP_TIMER, ALARM, AUTOPLAY
+ * @returns {Promise<{rampTimeSeconds: number}>} How long the speaker will take
+ */
+async function rampToVolume(volume, rampType = 'ALARM', room = defaultRoom()) {
+  if (!RAMP_TYPES[rampType]) {
+    throw new Error(`Invalid ramp type '${rampType}'. Valid types: ${Object.keys(RAMP_TYPES).join(', ')}`);
+  }
+  console.log(`[UPnP] Ramping volume to ${volume} (${rampType})`);
+
+  const body = `
+    <InstanceID>0</InstanceID>
+    <Channel>Master</Channel>
+    <RampType>${RAMP_TYPES[rampType]}</RampType>
+    <DesiredVolume>${volume}</DesiredVolume>
+    <ResetVolumeAfter>0</ResetVolumeAfter>
+    <ProgramURI></ProgramURI>
+  `;
+
+  const result = await soapRequest(
+    '/MediaRenderer/RenderingControl/Control',
+    'RampToVolume',
+    'urn:schemas-upnp-org:service:RenderingControl:1',
+    body,
+    room,
+  );
+  return { rampTimeSeconds: parseInt(result.RampTime, 10) || 0 };
 }
 
 /**
  * Get current transport info (play state, etc.).
+ * @returns {Promise<{state: string, status: string, speed: string}>}
  */
-async function getTransportInfo() {
+async function getTransportInfo(room) {
   console.log('[UPnP] Getting transport info');
 
   const body = '<InstanceID>0</InstanceID>';
 
-  return soapRequest(
+  const result = await soapRequest(
     '/MediaRenderer/AVTransport/Control',
     'GetTransportInfo',
     'urn:schemas-upnp-org:service:AVTransport:1',
     body,
+    room,
+  );
+  return {
+    state: result.CurrentTransportState,
+    status: result.CurrentTransportStatus,
+    speed: result.CurrentSpeed,
+  };
+}
+
+/**
+ * Get the current track, its position and its decoded DIDL metadata.
+ */
+async function getPositionInfo(room) {
+  const body = '<InstanceID>0</InstanceID>';
+
+  const result = await soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'GetPositionInfo',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
   );
+  return {
+    track: parseInt(result.Track, 10) || 0,
+    duration: result.TrackDuration,
+    durationSeconds: parseTime(result.TrackDuration),
+    trackUri: result.TrackURI || null,
+    metadata: parseDidl(result.TrackMetaData)[0] || null,
+    relTime: result.RelTime,
+    relTimeSeconds: parseTime(result.RelTime),
+    absTime: result.AbsTime,
+  };
+}
+
+/**
+ * Get the current transport source (URI, metadata, queue length).
+ */
+async function getMediaInfo(room) {
+  const body = '<InstanceID>0</InstanceID>';
+
+  const result = await soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'GetMediaInfo',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
+  );
+  return {
+    nrTracks: parseInt(result.NrTracks, 10) || 0,
+    mediaDuration: result.MediaDuration,
+    currentUri: result.CurrentURI || null,
+    currentUriMetadata: parseDidl(result.CurrentURIMetaData)[0] || null,
+    currentUriMetadataXml: result.CurrentURIMetaData || '',
+    nextUri: result.NextURI || null,
+    playMedium: result.PlayMedium,
+  };
 }
 
 /**
@@ -249,26 +937,29 @@ async function getTransportInfo() {
  * @param {string} spotifyUri - Spotify URI (e.g., spotify:track:4uLU6hMCjMI75M1A2tKUQC)
  * @param {object} trackInfo - Track metadata (title, artist, album, albumArtUri)
  * @param {number} volume - Optional volume level (0-100)
+ * @param {string} room - Optional room name (defaults to SONOS_ROOM / TARGET_DEVICE_NAME)
  */
-async function playSpotifyTrack(spotifyUri, trackInfo = {}, volume = null) {
+async function playSpotifyTrack(spotifyUri, trackInfo = {}, volume = null, room = defaultRoom()) {
   try {
-    // Set volume if specified
-    if (volume !== null) {
-      await setVolume(volume);
-    }
+    await withSpeakerLock(room, async () => {
+      // Set volume if specified
+      if (volume !== null) {
+        await setVolume(volume, room);
+      }
 
-    // Load the track
-    await setAVTransportURI(spotifyUri, trackInfo);
+      // Load the track
+      await setAVTransportURI(spotifyUri, trackInfo, room);
 
-    // Start playback
-    await play();
+      // Start playback
+      await play(room);
+    });
 
     console.log(`[UPnP] Successfully started playing: ${trackInfo.title || spotifyUri}`);
 
     return { success: true };
   } catch (err) {
     console.error(`[UPnP] Error playing track: ${err.message}`);
-    return { success: false, error: err.message };
+    return failureResult(err);
   }
 }
 
@@ -302,80 +993,152 @@ function spotifyToSonosRadioUri(spotifyUri) {
  * @param {string} spotifyUri - Spotify URI (e.g., spotify:track:4uLU6hMCjMI75M1A2tKUQC)
  * @param {object} trackInfo - Track metadata (title, artist, album, albumArtUri)
  * @param {number} volume - Optional volume level (0-100)
+ * @param {string} room - Optional room name (defaults to SONOS_ROOM / TARGET_DEVICE_NAME)
  */
-async function playSpotifyTrackWithRadio(spotifyUri, trackInfo = {}, volume = null) {
+async function playSpotifyTrackWithRadio(
+  spotifyUri,
+  trackInfo = {},
+  volume = null,
+  room = defaultRoom(),
+) {
   try {
-    // Set volume if specified
-    if (volume !== null) {
-      await setVolume(volume);
-    }
+    await withSpeakerLock(room, async () => {
+      // Set volume if specified
+      if (volume !== null) {
+        await setVolume(volume, room);
+      }
 
-    // Load and play the requested track first
-    await setAVTransportURI(spotifyUri, trackInfo);
-    await play();
+      // Load and play the requested track first
+      await setAVTransportURI(spotifyUri, trackInfo, room);
+      await play(room);
 
-    console.log(`[UPnP] Successfully started playing: ${trackInfo.title || spotifyUri}`);
+      console.log(`[UPnP] Successfully started playing: ${trackInfo.title || spotifyUri}`);
 
-    // Switch to radio mode for continuous playback
-    console.log('[UPnP] Switching to Spotify Radio mode for continuous playback...');
-    
-    // Wait 2 seconds for the track to start
-    await new Promise(resolve => setTimeout(resolve, 2000));
+      // Switch to radio mode for continuous playback
+      console.log('[UPnP] Switching to Spotify Radio mode for continuous playback...');
     
-    // Convert to radio URI
-    console.log(`[UPnP] Converting track to radio: ${spotifyUri}`);
-    const radioUri = spotifyToSonosRadioUri(spotifyUri);
-    console.log(`[UPnP] Radio URI: ${radioUri}`);
-    const trackId = spotifyUri.split(':')[2];
+      // Wait 2 seconds for the track to start
+      await new Promise(resolve => setTimeout(resolve, 2000));
     
-    // Build radio metadata
-    const radioMetadata = buildSpotifyMetadata({
-      ...trackInfo,
-      trackId: trackId,
-      title: `${trackInfo.title} Radio`,
-    });
+      // Convert to radio URI
+      console.log(`[UPnP] Converting track to radio: ${spotifyUri}`);
+      const radioUri = spotifyToSonosRadioUri(spotifyUri);
+      console.log(`[UPnP] Radio URI: ${radioUri}`);
+      const trackId = spotifyUri.split(':')[2];
     
-    // Set the radio URI
-    const body = `
-      <InstanceID>0</InstanceID>
-      <CurrentURI>${escapeXml(radioUri)}</CurrentURI>
-      <CurrentURIMetaData>${escapeXml(radioMetadata)}</CurrentURIMetaData>
-    `;
+      // Build radio metadata
+      const radioMetadata = buildSpotifyMetadata({
+        ...trackInfo,
+        trackId: trackId,
+        title: `${trackInfo.title} Radio`,
+      });
     
-    await soapRequest(
-      '/MediaRenderer/AVTransport/Control',
-      'SetAVTransportURI',
-      'urn:schemas-upnp-org:service:AVTransport:1',
-      body,
-    );
+      // Set the radio URI
+      const body = `
+        <InstanceID>0</InstanceID>
+        <CurrentURI>${escapeXml(radioUri)}</CurrentURI>
+        <CurrentURIMetaData>${escapeXml(radioMetadata)}</CurrentURIMetaData>
+      `;
     
-    // Play the radio
-    await play();
+      await soapRequest(
+        '/MediaRenderer/AVTransport/Control',
+        'SetAVTransportURI',
+        'urn:schemas-upnp-org:service:AVTransport:1',
+        body,
+        room,
+      );
     
+      // Play the radio
+      await play(room);
+    });
+
     console.log('[UPnP] Now playing Spotify Radio - similar tracks will auto-queue');
 
     return { success: true };
   } catch (err) {
     console.error(`[UPnP] Error playing track with radio: ${err.message}`);
-    return { success: false, error: err.message };
+    return failureResult(err);
   }
 }
-async function testConnection() {
+/**
+ * Convert a Spotify artist ID to a Sonos artist radio URI.
+ * Input: 12Chz98pHFMPJEknJQMWvI
+ * Output: x-sonosapi-radio:spotify%3aartistRadio%3a12Chz98pHFMPJEknJQMWvI?sid=12&flags=8300&sn=7
+ */
+function spotifyArtistToSonosRadioUri(artistId) {
+  if (!/^[a-zA-Z0-9]+$/.test(artistId || '')) {
+    throw new Error(`Invalid Spotify artist ID: ${artistId}`);
+  }
+  const encodedUri = encodeURIComponent(`spotify:artistRadio:${artistId}`);
+  return `x-sonosapi-radio:${encodedUri}?sid=12&flags=8300&sn=7`;
+}
+
+/**
+ * Build DIDL-Lite metadata for a Spotify artist radio station.
+ */
+function buildSpotifyArtistRadioMetadata(artistId, artistName = 'Unknown Artist') {
+  return `<DIDL-Lite xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/" xmlns:r="urn:schemas-rinconnetworks-com:metadata-1-0/" xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/">
+  <item id="000c206cspotify%3aartistRadio%3a${artistId}" parentID="" restricted="true">
+    <dc:title>${escapeXml(artistName)} Radio</dc:title>
+    <upnp:class>object.item.audioItem.audioBroadcast.#artistRadio</upnp:class>
+  </item>
+</DIDL-Lite>`;
+}
+
+/**
+ * Start Spotify artist radio on Sonos via UPnP.
+ *
+ * @param {string} artistId - Spotify artist ID
+ * @param {object} artistInfo - { name } for display
+ * @param {number} volume - Optional volume level (0-100)
+ * @param {string} room - Optional room name (defaults to SONOS_ROOM / TARGET_DEVICE_NAME)
+ */
+async function playSpotifyArtistRadio(
+  artistId,
+  artistInfo = {},
+  volume = null,
+  room = defaultRoom(),
+) {
   try {
-    console.log(`[UPnP] Testing connection to Sonos at ${SONOS_SPEAKER_IP}:${SONOS_SPEAKER_PORT}`);
-    const result = await getTransportInfo();
+    await withSpeakerLock(room, async () => {
+      if (volume !== null) {
+        await setVolume(volume, room);
+      }
+
+      const radioUri = spotifyArtistToSonosRadioUri(artistId);
+      console.log(`[UPnP] Artist radio URI: ${radioUri}`);
+      const metadata = buildSpotifyArtistRadioMetadata(artistId, artistInfo.name);
+      await setTransportURI(radioUri, metadata, room);
+      await play(room);
+    });
+
+    console.log(`[UPnP] Now playing ${artistInfo.name || artistId} Radio`);
+    return { success: true };
+  } catch (err) {
+    console.error(`[UPnP] Error playing artist radio: ${err.message}`);
+    return failureResult(err);
+  }
+}
+
+async function testConnection(room = defaultRoom()) {
+  try {
+    const speaker = await discovery.resolveSpeaker(room);
+    console.log(
+      `[UPnP] Testing connection to Sonos '${speaker.roomName}' at ${speaker.ip}:${speaker.port}`,
+    );
+    const result = await getTransportInfo(room);
     console.log('[UPnP] Connection successful!');
-    return { success: true, data: result };
+    return { success: true, speaker, data: result };
   } catch (err) {
     console.error(`[UPnP] Connection failed: ${err.message}`);
-    return { success: false, error: err.message };
+    return failureResult(err);
   }
 }
 
 /**
  * Clear the Sonos queue.
  */
-async function clearQueue() {
+async function clearQueue(room) {
   console.log('[UPnP] Clearing queue');
   const body = '<InstanceID>0</InstanceID>';
   return soapRequest(
@@ -383,6 +1146,7 @@ async function clearQueue() {
     'RemoveAllTracksFromQueue',
     'urn:schemas-upnp-org:service:AVTransport:1',
     body,
+    room,
   );
 }
 
@@ -391,27 +1155,132 @@ async function clearQueue() {
  * @param {string} uri - The playback URI
  * @param {string} metadata - DIDL-Lite metadata XML
  * @param {number} desiredTrackNumber - Position in queue (0 = append)
+ * @param {string} room - Optional room name
+ * @param {boolean} enqueueAsNext - Insert after the current track instead of appending
+ * @returns {Promise<object>} { firstTrackNumberEnqueued, numTracksAdded, newQueueLength }
  */
-async function addURIToQueue(uri, metadata, desiredTrackNumber = 0) {
+async function addURIToQueue(
+  uri,
+  metadata,
+  desiredTrackNumber = 0,
+  room = defaultRoom(),
+  enqueueAsNext = false,
+) {
   const body = `
     <InstanceID>0</InstanceID>
     <EnqueuedURI>${escapeXml(uri)}</EnqueuedURI>
     <EnqueuedURIMetaData>${escapeXml(metadata)}</EnqueuedURIMetaData>
     <DesiredFirstTrackNumberEnqueued>${desiredTrackNumber}</DesiredFirstTrackNumberEnqueued>
-    <EnqueueAsNext>0</EnqueueAsNext>
+    <EnqueueAsNext>${enqueueAsNext ? 1 : 0}</EnqueueAsNext>
   `;
-  return soapRequest(
+  const result = await soapRequest(
     '/MediaRenderer/AVTransport/Control',
     'AddURIToQueue',
     'urn:schemas-upnp-org:service:AVTransport:1',
     body,
+    room,
+  );
+  return {
+    firstTrackNumberEnqueued: parseInt(result.FirstTrackNumberEnqueued, 10) || null,
+    numTracksAdded: parseInt(result.NumTracksAdded, 10) || 0,
+    newQueueLength: parseInt(result.NewQueueLength, 10) || 0,
+  };
+}
+
+/**
+ * Remove one track from the queue.
+ * @param {number} trackNumber - Position in queue (1-indexed)
+ */
+async function removeTrackFromQueue(trackNumber, room) {
+  console.log(`[UPnP] Removing track ${trackNumber} from queue`);
+  const body = `
+    <InstanceID>0</InstanceID>
+    <ObjectID>Q:0/${trackNumber}</ObjectID>
+    <UpdateID>0</UpdateID>
+  `;
+  return soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'RemoveTrackFromQueue',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
+  );
+}
+
+/**
+ * Move tracks within the queue (all positions 1-indexed).
+ * @param {number} startingIndex - Position of the first track to move
+ * @param {number} numberOfTracks - How many consecutive tracks to move
+ * @param {number} insertBefore - Position to insert the tracks before
+ */
+async function reorderTracksInQueue(startingIndex, numberOfTracks, insertBefore, room) {
+  console.log(`[UPnP] Moving ${numberOfTracks} track(s) from ${startingIndex} to before ${insertBefore}`);
+  const body = `
+    <InstanceID>0</InstanceID>
+    <StartingIndex>${startingIndex}</StartingIndex>
+    <NumberOfTracks>${numberOfTracks}</NumberOfTracks>
+    <InsertBefore>${insertBefore}</InsertBefore>
+    <UpdateID>0</UpdateID>
+  `;
+  return soapRequest(
+    '/MediaRenderer/AVTransport/Control',
+    'ReorderTracksInQueue',
+    'urn:schemas-upnp-org:service:AVTransport:1',
+    body,
+    room,
+  );
+}
+
+/**
+ * Browse a ContentDirectory object.
+ * Q:0 is the queue, SQ: the Sonos playlists and A: / S: the local music library.
+ * @param {string} objectId - ContentDirectory object ID
+ * @param {object} options - { start, count, browseFlag }
+ * @param {string} room - Optional room name
+ */
+async function browse(objectId, options = {}, room = defaultRoom()) {
+  const { start = 0, count = 100, browseFlag = 'BrowseDirectChildren' } = options;
+  const body = `
+    <ObjectID>${escapeXml(objectId)}</ObjectID>
+    <BrowseFlag>${browseFlag}</BrowseFlag>
+    <Filter>*</Filter>
+    <StartingIndex>${start}</StartingIndex>
+    <RequestedCount>${count}</RequestedCount>
+    <SortCriteria></SortCriteria>
+  `;
+  const result = await soapRequest(
+    '/MediaServer/ContentDirectory/Control',
+    'Browse',
+    'urn:schemas-upnp-org:service:ContentDirectory:1',
+    body,
+    room,
   );
+  return {
+    items: parseDidl(result.Result),
+    numberReturned: parseInt(result.NumberReturned, 10) || 0,
+    totalMatches: parseInt(result.TotalMatches, 10) || 0,
+    updateId: result.UpdateID,
+  };
+}
+
+/**
+ * Read the Sonos queue. Each item gets its 1-indexed queue position.
+ * @param {object} options - { start, count }
+ */
+async function getQueue(options = {}, room = defaultRoom()) {
+  const { start = 0, count = 100 } = options;
+  const result = await browse('Q:0', { start, count }, room);
+  return {
+    total: result.totalMatches,
+    start,
+    items: result.items.map((item, i) => ({ position: start + i + 1, ...item })),
+  };
 }
 
 /**
  * Seek to a track number in the queue (1-indexed).
  */
-async function seekToTrack(trackNumber) {
+async function seekToTrack(trackNumber, room) {
   console.log(`[UPnP] Seeking to track ${trackNumber}`);
   const body = `
     <InstanceID>0</InstanceID>
@@ -423,18 +1292,35 @@ async function seekToTrack(trackNumber) {
     'Seek',
     'urn:schemas-upnp-org:service:AVTransport:1',
     body,
+    room,
   );
 }
 
+/**
+ * Resolve the RINCON ID of the speaker for a room: its registry UUID (the UDN
+ * without "uuid:"). Not cached by address, since DHCP can move speakers between IPs.
+ */
+async function getRinconId(room = defaultRoom()) {
+  const speaker = await discovery.resolveSpeaker(room);
+  return speaker.uuid;
+}
+
+/**
+ * Build the x-rincon-queue: URI for a room's speaker queue.
+ */
+async function getQueueUri(room = defaultRoom()) {
+  const rinconId = await getRinconId(room);
+  return `x-rincon-queue:${rinconId}#0`;
+}
+
 /**
  * Set Sonos to play from its internal queue.
  */
-async function setQueueAsTransport() {
-  const sonosQueueUri = `x-rincon-queue:${SONOS_SPEAKER_IP.replace(/\./g, '')}#0`;
-  // Use a generic queue URI - Sonos accepts x-rincon-queue: to play from queue
+async function setQueueAsTransport(room = defaultRoom()) {
+  const queueUri = await getQueueUri(room);
   const body = `
     <InstanceID>0</InstanceID>
-    <CurrentURI>x-rincon-queue:RINCON_${SONOS_SPEAKER_IP.replace(/\./g, '')}01400#0</CurrentURI>
+    <CurrentURI>${escapeXml(queueUri)}</CurrentURI>
     <CurrentURIMetaData></CurrentURIMetaData>
   `;
   return soapRequest(
@@ -442,96 +1328,400 @@ async function setQueueAsTransport() {
     'SetAVTransportURI',
     'urn:schemas-upnp-org:service:AVTransport:1',
     body,
+    room,
   );
 }
 
+/**
+ * Add a single Spotify track to the queue without interrupting playback.
+ *
+ * @param {string} spotifyUri - Spotify URI (e.g., spotify:track:4uLU6hMCjMI75M1A2tKUQC)
+ * @param {object} trackInfo - Track metadata (title, artist, album, albumArtUri)
+ * @param {object} options - { next: play after the current track, room }
+ */
+async function enqueueSpotifyTrack(spotifyUri, trackInfo = {}, options = {}) {
+  const { next: asNext = false, room = defaultRoom() } = options;
+  const uri = spotifyToSonosUri(spotifyUri);
+  const metadata = buildSpotifyMetadata({ ...trackInfo, trackId: spotifyUri.split(':')[2] });
+
+  // Locked so the position read and the insert aren't split by another command
+  return withSpeakerLock(room, async () => {
+    let desiredTrackNumber = 0;
+    if (asNext) {
+      // Only meaningful while the queue is the transport source; otherwise append
+      const [media, position] = await Promise.all([getMediaInfo(room), getPositionInfo(room)]);
+      if (media.currentUri && media.currentUri.startsWith('x-rincon-queue:') && position.track) {
+        desiredTrackNumber = position.track + 1;
+      }
+    }
+
+    console.log(`[UPnP] Enqueuing ${trackInfo.title || spotifyUri}${asNext ? ' as next' : ''}`);
+    return addURIToQueue(uri, metadata, desiredTrackNumber, room, asNext);
+  });
+}
+
+/**
+ * Return a shuffled copy of an array (Fisher-Yates).
+ */
+function shuffleArray(items) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Replace the Sonos queue with a list of Spotify tracks and start playing.
+ * Shared by album, playlist and artist playback.
+ *
+ * @param {Array} tracks - Array of { id, name, artists, album? } from Spotify API
+ * @param {object} collectionInfo - { name, imageUrl } used when a track has no album of its own
+ * @param {object} options - { volume, room, shuffle, startIndex }
+ *   startIndex is the 0-based index (in `tracks`) of the track to start with;
+ *   when shuffling, that track is played first and the rest are shuffled.
+ */
+async function playTracks(tracks, collectionInfo = {}, options = {}) {
+  const {
+    volume = null, room = defaultRoom(), shuffle = false, startIndex = 0,
+  } = options;
+
+  if (!tracks.length) {
+    return { success: false, error: 'No playable tracks' };
+  }
+
+  try {
+    let ordered = tracks;
+    let startTrackNumber = Math.min(Math.max(startIndex, 0), tracks.length - 1) + 1;
+    if (shuffle) {
+      const first = tracks[startTrackNumber - 1];
+      const rest = tracks.filter((t, i) => i !== startTrackNumber - 1);
+      ordered = startIndex ? [first, ...shuffleArray(rest)] : shuffleArray(tracks);
+      startTrackNumber = 1;
+    }
+
+    await withSpeakerLock(room, async () => {
+      if (volume !== null) {
+        await setVolume(volume, room);
+      }
+
+      await stop(room);
+      await clearQueue(room);
+
+      console.log(`[UPnP] Queuing ${ordered.length} tracks for: ${collectionInfo.name || 'Unknown'}`);
+
+      for (const t of ordered) {
+        const trackId = t.id;
+        const uri = spotifyToSonosUri(`spotify:track:${trackId}`);
+        const artistName = t.artists.map((a) => a.name).join(', ');
+        const meta = buildSpotifyMetadata({
+          title: t.name,
+          artist: artistName,
+          album: t.album?.name || collectionInfo.name || '',
+          albumArtUri: t.album?.images?.[0]?.url || collectionInfo.imageUrl || '',
+          trackId,
+        });
+        await addURIToQueue(uri, meta, 0, room);
+      }
+
+      // Tell Sonos to use the queue as the transport source, then play
+      await setQueueAsTransport(room);
+      await seekToTrack(startTrackNumber, room);
+      await play(room);
+    });
+
+    console.log(
+      `[UPnP] Queue playback started: ${collectionInfo.name || 'Unknown'} (${ordered.length} tracks)`,
+    );
+    return { success: true, trackCount: ordered.length, startTrackNumber };
+  } catch (err) {
+    console.error(`[UPnP] Error playing tracks: ${err.message}`);
+    return failureResult(err);
+  }
+}
+
 /**
  * Play a full album on Sonos by queuing all tracks.
  * @param {Array} tracks - Array of { id, name, artists, album } from Spotify API
  * @param {object} albumInfo - { name, artist, imageUrl } for display
  * @param {number} volume - Optional volume level (0-100)
+ * @param {string} room - Optional room name (defaults to SONOS_ROOM / TARGET_DEVICE_NAME)
+ */
+async function playAlbum(tracks, albumInfo = {}, volume = null, room = defaultRoom()) {
+  return playTracks(tracks, albumInfo, { volume, room });
+}
+
+/**
+ * Browse a music library category, optionally searching it.
+ *
+ * @param {string} category - A key of LIBRARY_ROOTS (artists, albums, tracks, playlists, ...)
+ * @param {object} options - { term, start, count }; term is only supported by the A: categories
+ * @returns {Promise<{items, numberReturned, totalMatches}>}
+ */
+async function browseLibrary(category, options = {}, room = defaultRoom()) {
+  const root = LIBRARY_ROOTS[category];
+  if (!root) {
+    throw new Error(`Unknown library category '${category}'. Use one of: ${Object.keys(LIBRARY_ROOTS).join(', ')}`);
+  }
+  const { term, start = 0, count = 100 } = options;
+  if (term && !root.startsWith('A:')) {
+    throw new Error(`The '${category}' category can't be searched, only browsed`);
+  }
+  return browse(term ? `${root}:${term}` : root, { start, count }, room);
+}
+
+/**
+ * Read one library object (track, album, playlist, folder) by its ContentDirectory ID.
+ * @returns {Promise<object|null>} The parsed item, or null when there is no such object
+ */
+async function getLibraryItem(objectId, room = defaultRoom()) {
+  const { items } = await browse(objectId, { count: 1, browseFlag: 'BrowseMetadata' }, room);
+  return items[0] || null;
+}
+
+/**
+ * Build DIDL-Lite metadata for a library item or container, so the queue shows its title.
  */
-async function playAlbum(tracks, albumInfo = {}, volume = null) {
+function buildLibraryMetadata(item) {
+  const tag = item.kind === 'container' ? 'container' : 'item';
+  return `<DIDL-Lite xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/" xmlns:r="urn:schemas-rinconnetworks-com:metadata-1-0/" xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/">
+  <${tag} id="${escapeXml(item.id || '')}" parentID="${escapeXml(item.parentId || '')}" restricted="true">
+    <dc:title>${escapeXml(item.title || '')}</dc:title>
+    <upnp:class>${escapeXml(item.class || 'object.item.audioItem.musicTrack')}</upnp:class>
+    <desc id="cdudn" nameSpace="urn:schemas-rinconnetworks-com:metadata-1-0/">RINCON_AssociatedZPUDN</desc>
+  </${tag}>
+</DIDL-Lite>`;
+}
+
+/**
+ * Replace the queue with a library item (a track, or a whole album, playlist or
+ * folder) and start playing.
+ *
+ * @param {object} item - A browsed item with `uri` (from browseLibrary / getLibraryItem)
+ * @param {object} options - { volume, room, shuffle }
+ */
+async function playLibraryItem(item, options = {}) {
+  const { volume = null, room = defaultRoom(), shuffle = false } = options;
+  if (!item.uri) {
+    return { success: false, error: `'${item.title}' can't be played directly; browse into it instead` };
+  }
+
   try {
-    if (volume !== null) {
-      await setVolume(volume);
-    }
+    const { newQueueLength } = await withSpeakerLock(room, async () => {
+      if (volume !== null) {
+        await setVolume(volume, room);
+      }
+      await stop(room);
+      await clearQueue(room);
+      const added = await addURIToQueue(item.uri, buildLibraryMetadata(item), 0, room);
+      await setQueueAsTransport(room);
+      if (shuffle) {
+        await setShuffle(true, room);
+      }
+      await seekToTrack(1, room);
+      await play(room);
+      return added;
+    });
 
-    await stop();
-    await clearQueue();
-
-    console.log(`[UPnP] Queuing ${tracks.length} tracks for album: ${albumInfo.name || 'Unknown'}`);
-
-    for (const t of tracks) {
-      const trackId = t.id;
-      const uri = spotifyToSonosUri(`spotify:track:${trackId}`);
-      const artistName = t.artists.map((a) => a.name).join(', ');
-      const meta = buildSpotifyMetadata({
-        title: t.name,
-        artist: artistName,
-        album: albumInfo.name || '',
-        albumArtUri: albumInfo.imageUrl || '',
-        trackId,
-      });
-      await addURIToQueue(uri, meta);
+    console.log(`[UPnP] Library playback started: ${item.title} (${newQueueLength} tracks)`);
+    return { success: true, trackCount: newQueueLength };
+  } catch (err) {
+    console.error(`[UPnP] Error playing library item: ${err.message}`);
+    return failureResult(err);
+  }
+}
+
+/**
+ * Whether a transport URI supports seeking. Radio streams, line-in and
+ * group-member (x-rincon:) sources do not.
+ */
+function isSeekableUri(uri) {
+  return !/^(x-sonosapi-stream|x-sonosapi-radio|x-sonosapi-hls|x-rincon-mp3radio|x-rincon-stream|x-rincon:|aac:|hls-radio:)/.test(
+    uri || '',
+  );
+}
+
+/**
+ * Capture everything needed to put a speaker back the way it was: transport URI and
+ * metadata, queue position, elapsed time, play state, volume, mute and play mode.
+ *
+ * @returns {Promise<object>} A plain, JSON-serialisable snapshot
+ */
+async function takeSnapshot(room = defaultRoom()) {
+  const [media, position, transport, settings, volume, mute] = await Promise.all([
+    getMediaInfo(room),
+    getPositionInfo(room),
+    getTransportInfo(room),
+    getTransportSettings(room),
+    getVolume(room),
+    getMute(room),
+  ]);
+
+  const snapshot = {
+    room,
+    takenAt: new Date().toISOString(),
+    uri: media.currentUri,
+    metadata: media.currentUriMetadataXml,
+    isQueue: Boolean(media.currentUri && media.currentUri.startsWith('x-rincon-queue:')),
+    track: position.track,
+    trackUri: position.trackUri,
+    elapsedSeconds: position.relTimeSeconds || 0,
+    transportState: transport.state,
+    playMode: settings.playMode,
+    volume,
+    mute,
+  };
+  console.log(
+    `[UPnP] Snapshot: ${snapshot.transportState} ${snapshot.uri || '(nothing loaded)'} `
+      + `track ${snapshot.track} at ${snapshot.elapsedSeconds}s, volume ${volume}`,
+  );
+  return snapshot;
+}
+
+/**
+ * Reapply a snapshot taken with takeSnapshot. Steps that the source can't support
+ * (e.g. seeking a radio stream) are skipped and reported in `warnings`.
+ *
+ * @param {object} snapshot - From takeSnapshot
+ * @param {string} room - Optional room override (defaults to the snapshot's room)
+ * @returns {Promise<{success: boolean, warnings: string[]}>}
+ */
+async function restoreSnapshot(snapshot, room = snapshot.room) {
+  const warnings = [];
+  const attempt = async (step, fn) => {
+    try {
+      await fn();
+    } catch (err) {
+      warnings.push(`${step}: ${err.message}`);
     }
+  };
 
-    // Tell Sonos to use the queue as the transport source, then play
-    // RINCON ID is the Sonos device identifier - fetch it from the speaker
-    let rinconId = process.env.SONOS_RINCON_ID || 'RINCON_347E5CE8ECE201400';
-    const queueUri = `x-rincon-queue:${rinconId}#0`;
-
-    const queueBody = `
-      <InstanceID>0</InstanceID>
-      <CurrentURI>${escapeXml(queueUri)}</CurrentURI>
-      <CurrentURIMetaData></CurrentURIMetaData>
-    `;
-    await soapRequest(
-      '/MediaRenderer/AVTransport/Control',
-      'SetAVTransportURI',
-      'urn:schemas-upnp-org:service:AVTransport:1',
-      queueBody,
-    );
+  await withSpeakerLock(room, async () => {
+    // Mute first so nothing blares while the source is switched back
+    await setMute(true, room);
 
-    await seekToTrack(1);
-    await play();
+    try {
+      if (snapshot.uri) {
+        await setTransportURI(snapshot.uri, snapshot.metadata || '', room);
+        const grouped = snapshot.uri.startsWith('x-rincon:');
 
-    console.log(`[UPnP] Album playback started: ${albumInfo.name || 'Unknown'} (${tracks.length} tracks)`);
-    return { success: true };
-  } catch (err) {
-    console.error(`[UPnP] Error playing album: ${err.message}`);
-    return { success: false, error: err.message };
+        // Play mode before the track, so turning shuffle on doesn't move the position again
+        if (snapshot.playMode && !grouped) {
+          await attempt('play mode', () => setPlayMode(snapshot.playMode, room));
+        }
+        if (snapshot.isQueue && snapshot.track > 0) {
+          await attempt('track', () => seekToTrack(snapshot.track, room));
+        }
+        if (snapshot.elapsedSeconds > 0 && isSeekableUri(snapshot.uri)) {
+          await attempt('position', () => seek(snapshot.elapsedSeconds, room));
+        }
+      }
+
+      await setVolume(snapshot.volume, room);
+    } finally {
+      // Even when the source or volume can't be restored, don't leave the speaker muted
+      await setMute(snapshot.mute, room);
+    }
+
+    // Switching the source leaves the transport stopped, which also covers paused snapshots
+    if (snapshot.uri && ['PLAYING', 'TRANSITIONING'].includes(snapshot.transportState)) {
+      await play(room);
+    } else if (!snapshot.uri) {
+      await attempt('stop', () => stop(room));
+    }
+  });
+
+  if (warnings.length > 0) {
+    console.warn(`[UPnP] Snapshot restored with warnings: ${warnings.join('; ')}`);
   }
+  return { success: true, warnings };
 }
 
 module.exports = {
   // Low-level functions
   soapRequest,
+  withSpeakerLock,
   setAVTransportURI,
+  setTransportURI,
   play,
   stop,
   pause,
   setVolume,
+  getVolume,
+  setGroupVolume,
+  rampToVolume,
+  getMute,
+  setMute,
   getTransportInfo,
+  getPositionInfo,
+  getMediaInfo,
+
+  // Transport control
+  next,
+  previous,
+  seek,
+  setPlayMode,
+  getTransportSettings,
+  setShuffle,
+  setRepeat,
+  setCrossfadeMode,
+  getCrossfadeMode,
+
+  // Grouping
+  joinGroup,
+  leaveGroup,
+  getZoneGroupState,
 
   // Queue management
   clearQueue,
   addURIToQueue,
+  removeTrackFromQueue,
+  reorderTracksInQueue,
   seekToTrack,
+  browse,
+  getQueue,
+  enqueueSpotifyTrack,
+  setQueueAsTransport,
+  getRinconId,
+  getQueueUri,
+
+  // Music library
+  browseLibrary,
+  getLibraryItem,
+  playLibraryItem,
+  buildLibraryMetadata,
+  LIBRARY_ROOTS,
+
+  // Snapshots
+  takeSnapshot,
+  restoreSnapshot,
 
   // High-level functions
   playSpotifyTrack,
   playSpotifyTrackWithRadio,
+  playSpotifyArtistRadio,
   playAlbum,
+  playTracks,
   testConnection,
 
   // Utilities
+  parseSoapResponse,
+  parseSoapFault,
+  parseZoneGroupState,
   spotifyToSonosUri,
   spotifyToSonosRadioUri,
+  spotifyArtistToSonosRadioUri,
   buildSpotifyMetadata,
+  isSeekableUri,
   escapeXml,
+  shuffleArray,
+  playModeFor,
 
   // Config
+  defaultRoom,
+  PLAY_MODES,
+  RAMP_TYPES,
   SONOS_SPEAKER_IP,
   SONOS_SPEAKER_PORT,
 };
@@ -0,0 +1,104 @@
+/**
+ * Minimal XML helpers for the small, predictable documents Sonos speakers return.
+ *
+ * The speaker responses (device descriptions, SOAP envelopes) have a fixed
+ * shape, so a couple of targeted regular expressions are enough and avoid
+ * pulling in a full XML parser.
+ */
+
+/**
+ * Reverse escapeXml: decode the five predefined entities and numeric references.
+ */
+function unescapeXml(str) {
+  return String(str)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-fA-F]+);/g, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Return the decoded text content of the first <tag> element (namespace prefix optional),
+ * or null when the element is not present. Self-closing elements yield ''.
+ */
+function getTagValue(xml, tag) {
+  if (!xml) return null;
+  const pattern = new RegExp(
+    `<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>)`,
+  );
+  const match = xml.match(pattern);
+  if (!match) return null;
+  return unescapeXml((match[1] || '').trim());
+}
+
+/**
+ * Read an attribute value from an element's opening-tag attribute string.
+ */
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? unescapeXml(match[1]) : null;
+}
+
+/**
+ * Parse DIDL-Lite metadata into plain objects, one per <item> or <container>.
+ * Accepts an empty string (Sonos sends that for "no metadata") and returns [].
+ */
+function parseDidl(didl) {
+  if (!didl) return [];
+  const items = [];
+  const pattern = /<(item|container)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+  let match = pattern.exec(didl);
+  while (match) {
+    const [, kind, attributes, inner] = match;
+    const resMatch = inner.match(/<res\b([^>]*)>([\s\S]*?)<\/res>/);
+    items.push({
+      kind,
+      id: getAttribute(attributes, 'id'),
+      parentId: getAttribute(attributes, 'parentID'),
+      title: getTagValue(inner, 'title'),
+      creator: getTagValue(inner, 'creator'),
+      album: getTagValue(inner, 'album'),
+      albumArtUri: getTagValue(inner, 'albumArtURI'),
+      class: getTagValue(inner, 'class'),
+      streamContent: getTagValue(inner, 'streamContent') || null,
+      uri: resMatch ? unescapeXml(resMatch[2].trim()) : null,
+      protocolInfo: resMatch ? getAttribute(resMatch[1], 'protocolInfo') : null,
+      duration: resMatch ? getAttribute(resMatch[1], 'duration') : null,
+    });
+    match = pattern.exec(didl);
+  }
+  return items;
+}
+
+/**
+ * Convert an H:MM:SS UPnP time string to seconds. Returns null for
+ * NOT_IMPLEMENTED or other non-time values.
+ */
+function parseTime(value) {
+  const match = String(value || '').match(/^(\d+):(\d{2}):(\d{2})(?:\.\d+)?$/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+}
+
+/**
+ * Convert seconds to the H:MM:SS form UPnP expects.
+ */
+function formatTime(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const h = Math.floor(seconds / 3600);
+  const m = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+  const s = String(seconds % 60).padStart(2, '0');
+  return `${h}:${m}:${s}`;
+}
+
+module.exports = {
+  unescapeXml,
+  getTagValue,
+  getAttribute,
+  parseDidl,
+  parseTime,
+  formatTime,
+};
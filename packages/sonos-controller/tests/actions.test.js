@@ -0,0 +1,35 @@
+/**
+ * Tests for the actions module.
+ */
+
+const { validateAction, ACTION_TYPES } = require('../src/actions');
+const { validateSchedule } = require('../src/scheduler');
+const { validateScene } = require('../src/scenes');
+
+describe('Actions Module', () => {
+  describe('validateAction', () => {
+    it('should accept every action type with its parameters', () => {
+      expect(validateAction({ type: 'favorite', name: 'Morning Acoustic' })).toBeNull();
+      expect(validateAction({ type: 'volume', volume: 20 })).toBeNull();
+      expect(validateAction({ type: 'crossfade', enabled: false })).toBeNull();
+      expect(validateAction({ type: 'ungroup' })).toBeNull();
+    });
+
+    it('should reject unknown types and missing parameters', () => {
+      expect(validateAction({ type: 'dance' })).toBe(
+        `"action.type" must be one of ${Object.keys(ACTION_TYPES).join(', ')}`,
+      );
+      expect(validateAction(null)).toMatch('"action.type" must be one of');
+      expect(validateAction({ type: 'search' })).toBe('A search action needs "q", "artist" or "track".');
+      expect(validateAction({ type: 'volume', volume: 101 })).toMatch('between 0 and 100');
+    });
+
+    it('should be the check schedules and scenes use', () => {
+      const action = { type: 'album' };
+      const expected = validateAction(action);
+
+      expect(validateSchedule({ cron: '0 7 * * *', action })).toBe(expected);
+      expect(validateScene({ steps: [action] })).toBe(`Step 1: ${expected}`);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for the announcement module.
+ */
+
+const events = require('../src/events');
+const { waitForClipEnd } = require('../src/announce');
+
+const UUID = 'RINCON_000E58A0123401400';
+
+function transportChange(uuid, TransportState) {
+  events.emitter.emit('change', {
+    uuid, roomName: 'Kitchen', service: 'AVTransport', changes: { TransportState }, state: {},
+  });
+}
+
+describe('Announce Module', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('waitForClipEnd', () => {
+    it('should finish when the speaker stops after playing the clip', async () => {
+      const wait = waitForClipEnd(UUID, 60);
+
+      // A STOPPED before the clip started is the previous source stopping
+      transportChange(UUID, 'STOPPED');
+      transportChange('RINCON_OTHER', 'PLAYING');
+      transportChange('RINCON_OTHER', 'STOPPED');
+      transportChange(UUID, 'PLAYING');
+      transportChange(UUID, 'STOPPED');
+
+      expect(await wait.finished).toBe('stopped');
+      expect(events.emitter.listenerCount('change')).toBe(0);
+    });
+
+    it('should finish after the clip duration', async () => {
+      const wait = waitForClipEnd(UUID, 60);
+      wait.setDuration(5);
+      const onFinish = jest.fn();
+      wait.finished.then(onFinish);
+
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(onFinish).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(onFinish).toHaveBeenCalledWith('duration');
+    });
+
+    it('should give up at the timeout', async () => {
+      const wait = waitForClipEnd(UUID, 10);
+      transportChange(UUID, 'PLAYING');
+
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect(await wait.finished).toBe('timeout');
+      expect(events.emitter.listenerCount('change')).toBe(0);
+    });
+  });
+});
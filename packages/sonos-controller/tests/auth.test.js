@@ -0,0 +1,164 @@
+/**
+ * Tests for the auth module.
+ */
+
+const {
+  loadApiKeys, createAuthMiddleware, routeAllowed, signRequest,
+} = require('../src/auth');
+
+const OWNER = { name: 'owner', key: 'owner-key-0123456789', secret: 'owner-secret' };
+const GUEST = { name: 'guest', key: 'guest-key-0123456789', routes: ['POST /volume', '/status'] };
+const SIGNED = {
+  name: 'shortcut', key: 'signed-key-0123456789', secret: 's3cret', requireSignature: true,
+};
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+function request({
+  method = 'POST', path = '/volume', query = {}, headers = {}, rawBody,
+} = {}) {
+  const lowered = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]),
+  );
+  const search = new URLSearchParams(query).toString();
+  return {
+    method,
+    path,
+    query,
+    rawBody,
+    originalUrl: search ? `${path}?${search}` : path,
+    get: (name) => lowered[name.toLowerCase()],
+  };
+}
+
+function run(middleware, req) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    set: jest.fn(),
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, passed: next.mock.calls.length === 1 };
+}
+
+describe('Auth Module', () => {
+  const middleware = createAuthMiddleware([OWNER, GUEST, SIGNED], { now: () => NOW });
+
+  describe('createAuthMiddleware', () => {
+    it('should accept a key from the Authorization header, X-API-Key or ?token=', () => {
+      expect(run(middleware, request({ headers: { Authorization: `Bearer ${OWNER.key}` } })).passed)
+        .toBe(true);
+      expect(run(middleware, request({ headers: { 'X-API-Key': OWNER.key } })).passed).toBe(true);
+      expect(run(middleware, request({ query: { token: OWNER.key } })).passed).toBe(true);
+    });
+
+    it('should reject missing and unknown keys with 401', () => {
+      const missing = run(middleware, request());
+      const unknown = run(middleware, request({ query: { token: 'not-a-key' } }));
+
+      expect(missing.passed).toBe(false);
+      expect(missing.res.statusCode).toBe(401);
+      expect(unknown.res.statusCode).toBe(401);
+      expect(unknown.res.body.error).toBe('Invalid API key.');
+    });
+
+    it('should limit a key to its allowed routes', () => {
+      const volume = run(middleware, request({ query: { token: GUEST.key } }));
+      const play = run(middleware, request({ path: '/play/Morning', query: { token: GUEST.key } }));
+
+      expect(volume.passed).toBe(true);
+      expect(play.passed).toBe(false);
+      expect(play.res.statusCode).toBe(403);
+    });
+
+    it('should let speakers fetch clips and send events without a key', () => {
+      expect(run(middleware, request({ method: 'GET', path: '/clips/doorbell.mp3' })).passed)
+        .toBe(true);
+      expect(run(middleware, request({ method: 'NOTIFY', path: '/upnp/notify/RINCON_1/AVTransport' }))
+        .passed).toBe(true);
+      expect(run(middleware, request({ method: 'GET', path: '/clips' })).passed).toBe(false);
+    });
+
+    it('should verify signatures and reject stale or replayed requests', () => {
+      const body = Buffer.from('{"volume":20}');
+      const signed = (timestamp) => request({
+        rawBody: body,
+        headers: {
+          'X-API-Key': SIGNED.key,
+          'X-Timestamp': String(timestamp),
+          'X-Signature': signRequest({
+            secret: SIGNED.secret, timestamp, method: 'POST', url: '/volume', body,
+          }),
+        },
+      });
+      const timestamp = NOW / 1000;
+
+      expect(run(middleware, signed(timestamp)).passed).toBe(true);
+      expect(run(middleware, signed(timestamp)).res.body.error).toBe('Request has already been used.');
+      expect(run(middleware, signed(timestamp - 600)).res.body.error)
+        .toBe('Request timestamp is outside the allowed window.');
+      expect(run(middleware, request({ headers: { 'X-API-Key': SIGNED.key } })).res.statusCode)
+        .toBe(401);
+    });
+
+    it('should check an upload before its body is read', () => {
+      const clip = (headers) => request({ path: '/clips', query: { name: 'doorbell.mp3' }, headers });
+      const timestamp = NOW / 1000;
+      // Not signed yet: the body isn't there to sign over
+      const headers = {
+        'X-API-Key': SIGNED.key, 'X-Timestamp': String(timestamp), 'X-Signature': 'f00d',
+      };
+
+      expect(run(middleware.beforeBody, clip({})).res.statusCode).toBe(401);
+      expect(run(middleware.beforeBody, clip({ 'X-API-Key': GUEST.key })).res.statusCode).toBe(403);
+      expect(run(middleware.beforeBody, clip({ ...headers, 'X-Timestamp': String(timestamp - 600) }))
+        .res.statusCode).toBe(401);
+      expect(run(middleware.beforeBody, clip(headers)).passed).toBe(true);
+      // The signature itself is checked once the body has been read
+      expect(run(middleware, { ...clip(headers), rawBody: Buffer.from('RIFF') }).res.body.error)
+        .toBe('Invalid request signature.');
+    });
+
+    it('should let everything through when no keys are configured', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const allowAll = createAuthMiddleware([]);
+      expect(run(allowAll, request()).passed).toBe(true);
+      expect(run(allowAll.beforeBody, request()).passed).toBe(true);
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('routeAllowed', () => {
+    it('should match methods, wildcards and params', () => {
+      const key = { routes: ['GET /queue', '/transport/*', 'DELETE /queue/:index'] };
+
+      expect(routeAllowed(key, 'GET', '/queue')).toBe(true);
+      expect(routeAllowed(key, 'POST', '/queue')).toBe(false);
+      expect(routeAllowed(key, 'POST', '/transport/next')).toBe(true);
+      expect(routeAllowed(key, 'DELETE', '/queue/3')).toBe(true);
+      expect(routeAllowed(key, 'DELETE', '/queue/3/4')).toBe(false);
+    });
+  });
+
+  describe('loadApiKeys', () => {
+    it('should combine API_KEY with the keys file and validate entries', () => {
+      const fs = {
+        existsSync: () => true,
+        readFileSync: () => JSON.stringify([GUEST]),
+      };
+      const keys = loadApiKeys({ fs, filePath: '/tmp/keys.json', envKey: 'env-key' });
+
+      expect(keys.map((key) => key.name)).toEqual(['default', 'guest']);
+      fs.readFileSync = () => JSON.stringify([{ name: 'short', key: 'abc' }]);
+      expect(() => loadApiKeys({ fs, filePath: '/tmp/keys.json' })).toThrow('at least 16 characters');
+    });
+  });
+});
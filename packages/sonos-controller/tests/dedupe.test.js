@@ -0,0 +1,161 @@
+/**
+ * Tests for the dedupe module.
+ */
+
+const { EventEmitter } = require('events');
+const { createRequestGuards, parseDebounceWindows } = require('../src/dedupe');
+
+function request({
+  method = 'POST', path = '/play/Morning', params = {}, query = {}, body = {}, headers = {},
+} = {}) {
+  return {
+    method, path, params, query, body, get: (name) => headers[name],
+  };
+}
+
+// Minimal express-like response: json() serializes and calls send(), send() finishes
+function response() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    sent: null,
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    get(name) {
+      return this.headers[name];
+    },
+    type(value) {
+      return this.set('Content-Type', value);
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.type('application/json');
+      return this.send(JSON.stringify(body));
+    },
+    send(body) {
+      this.sent = body;
+      this.emit('finish');
+      return this;
+    },
+  });
+  return res;
+}
+
+// Run middleware and, if it calls next(), a handler that answers with `reply`
+async function run(middleware, req, reply = (res) => res.status(202).send('Accepted')) {
+  const res = response();
+  let ran = false;
+  await middleware(req, res, () => {
+    ran = true;
+    reply(res);
+  });
+  return { res, ran };
+}
+
+describe('Dedupe Module', () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = Date.UTC(2026, 9, 19, 17, 30);
+  });
+
+  describe('debounce', () => {
+    it('should suppress a repeated trigger for the same room within the window', async () => {
+      const { debounce } = createRequestGuards({ defaultWindowSeconds: 30, now });
+      const play = debounce('play');
+      const req = () => request({ params: { favoriteName: 'Morning' }, query: { room: 'Kitchen' } });
+
+      const first = await run(play, req());
+      time += 5000;
+      const second = await run(play, req());
+
+      expect(first.ran).toBe(true);
+      expect(first.res.get('X-Request-Outcome')).toBe('run');
+      expect(second.ran).toBe(false);
+      expect(JSON.parse(second.res.sent)).toMatchObject({
+        outcome: 'suppressed', debounceSeconds: 30, retryAfterSeconds: 25,
+      });
+
+      time += 26000;
+      expect((await run(play, req())).ran).toBe(true);
+    });
+
+    it('should keep rooms and routes apart and honour per-route windows', async () => {
+      const { debounce } = createRequestGuards({ now, windows: { 'line-in': 0 } });
+      const play = debounce('play');
+
+      await run(play, request({ params: { favoriteName: 'Morning' } }));
+      expect((await run(play, request({ params: { favoriteName: 'Morning' }, query: { room: 'Bedroom' } }))).ran)
+        .toBe(true);
+      expect((await run(debounce('search'), request({ path: '/search' }))).ran).toBe(true);
+
+      await run(debounce('line-in'), request({ path: '/line-in' }));
+      expect((await run(debounce('line-in'), request({ path: '/line-in' }))).ran).toBe(true);
+    });
+
+    it('should match a repeat by route and room only', async () => {
+      const { debounce } = createRequestGuards({ now });
+      const play = debounce('play');
+
+      await run(play, request({ params: { favoriteName: 'Morning' }, body: { room: 'Kitchen', volume: 20 } }));
+      const other = await run(play, request({ params: { favoriteName: 'Evening' }, query: { room: 'kitchen' } }));
+
+      expect(other.ran).toBe(false);
+      expect(JSON.parse(other.res.sent).message).toBe("A 'play' request for this room ran 0s ago.");
+    });
+
+    it('should not count triggers that failed', async () => {
+      const { debounce } = createRequestGuards({ now });
+      const play = debounce('play');
+
+      await run(play, request(), (res) => res.status(404).json({ success: false }));
+      const retry = await run(play, request());
+
+      expect(retry.ran).toBe(true);
+    });
+  });
+
+  describe('idempotency', () => {
+    it('should replay the original response for a repeated Idempotency-Key', async () => {
+      const { idempotency } = createRequestGuards({ now });
+      const req = () => request({ headers: { 'Idempotency-Key': 'abc-123' } });
+      const reply = jest.fn((res) => res.status(201).json({ success: true }));
+
+      await run(idempotency, req(), reply);
+      const retry = await run(idempotency, req(), reply);
+
+      expect(reply).toHaveBeenCalledTimes(1);
+      expect(retry.res.statusCode).toBe(201);
+      expect(retry.res.sent).toBe('{"success":true}');
+      expect(retry.res.get('X-Request-Outcome')).toBe('replayed');
+    });
+
+    it('should run again after a server error or once the key has expired', async () => {
+      const { idempotency } = createRequestGuards({ now, idempotencyTtlSeconds: 60 });
+      const req = () => request({ headers: { 'Idempotency-Key': 'abc-123' } });
+      const reply = jest.fn((res) => res.status(202).send('Accepted'));
+
+      await run(idempotency, req(), (res) => res.status(502).send('Speaker unreachable'));
+      await run(idempotency, req(), reply);
+      time += 61000;
+      await run(idempotency, req(), reply);
+
+      expect(reply).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('parseDebounceWindows', () => {
+    it('should parse route=seconds pairs', () => {
+      expect(parseDebounceWindows('play=60, line-in=0')).toEqual({ play: 60, 'line-in': 0 });
+      expect(parseDebounceWindows(undefined)).toEqual({});
+      expect(() => parseDebounceWindows('play')).toThrow('Invalid debounce window');
+    });
+  });
+});
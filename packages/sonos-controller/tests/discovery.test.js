@@ -0,0 +1,209 @@
+/**
+ * Tests for the SSDP discovery module.
+ */
+
+const dgram = require('dgram');
+const http = require('http');
+const { EventEmitter } = require('events');
+const discovery = require('../src/discovery');
+
+const DEVICE_DESCRIPTION = `<?xml version="1.0" encoding="utf-8" ?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+  <device>
+    <deviceType>urn:schemas-upnp-org:device:ZonePlayer:1</deviceType>
+    <friendlyName>192.168.1.40 - Sonos One - RINCON_347E5CE8ECE201400</friendlyName>
+    <manufacturer>Sonos, Inc.</manufacturer>
+    <modelNumber>S18</modelNumber>
+    <modelName>Sonos One</modelName>
+    <UDN>uuid:RINCON_347E5CE8ECE201400</UDN>
+    <roomName>Living Room</roomName>
+    <displayName>One</displayName>
+    <deviceList>
+      <device>
+        <UDN>uuid:RINCON_347E5CE8ECE201400_MR</UDN>
+      </device>
+    </deviceList>
+  </device>
+</root>`;
+
+describe('Discovery Module', () => {
+  describe('parseSsdpResponse', () => {
+    it('should return the LOCATION of a ZonePlayer response', () => {
+      const response = [
+        'HTTP/1.1 200 OK',
+        'CACHE-CONTROL: max-age = 1800',
+        'LOCATION: http://192.168.1.40:1400/xml/device_description.xml',
+        'SERVER: Linux UPnP/1.0 Sonos/70.3-35220 (ZPS18)',
+        'ST: urn:schemas-upnp-org:device:ZonePlayer:1',
+        'USN: uuid:RINCON_347E5CE8ECE201400::urn:schemas-upnp-org:device:ZonePlayer:1',
+      ].join('\r\n');
+
+      expect(discovery.parseSsdpResponse(response)).toBe(
+        'http://192.168.1.40:1400/xml/device_description.xml',
+      );
+    });
+
+    it('should ignore responses from other devices', () => {
+      const response = [
+        'HTTP/1.1 200 OK',
+        'LOCATION: http://192.168.1.1:5000/rootDesc.xml',
+        'SERVER: Router UPnP/1.0',
+        'ST: urn:schemas-upnp-org:device:InternetGatewayDevice:1',
+      ].join('\r\n');
+
+      expect(discovery.parseSsdpResponse(response)).toBeNull();
+    });
+  });
+
+  describe('parseDeviceDescription', () => {
+    it('should extract room, IP, model and UUID', () => {
+      const speaker = discovery.parseDeviceDescription(
+        DEVICE_DESCRIPTION,
+        'http://192.168.1.40:1400/xml/device_description.xml',
+      );
+
+      expect(speaker).toEqual({
+        uuid: 'RINCON_347E5CE8ECE201400',
+        roomName: 'Living Room',
+        ip: '192.168.1.40',
+        port: 1400,
+        model: 'Sonos One',
+        modelNumber: 'S18',
+        displayName: 'One',
+        location: 'http://192.168.1.40:1400/xml/device_description.xml',
+      });
+    });
+
+    it('should return null for documents without a room name', () => {
+      expect(
+        discovery.parseDeviceDescription('<root><UDN>uuid:abc</UDN></root>', 'http://1.2.3.4:1400/'),
+      ).toBeNull();
+    });
+  });
+
+  describe('discover', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not send the repeated search once the socket is closed', async () => {
+      const socket = new EventEmitter();
+      let closed = false;
+      socket.bind = (callback) => setImmediate(callback);
+      socket.close = () => {
+        closed = true;
+      };
+      socket.send = jest.fn(() => {
+        if (closed) throw new Error('Not running');
+      });
+      jest.spyOn(dgram, 'createSocket').mockReturnValue(socket);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      // Closed by the timeout before the search is repeated at 250 ms
+      expect(await discovery.discover({ timeout: 20 })).toEqual([]);
+      await new Promise((resolve) => { setTimeout(resolve, 300); });
+
+      expect(socket.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should announce new speakers once the invisible ones are marked', async () => {
+      const description = (uuid) => DEVICE_DESCRIPTION
+        .replace(/RINCON_347E5CE8ECE201400/g, uuid)
+        .replace('Living Room', 'Den');
+      const zoneGroupState = '<ZoneGroupState><ZoneGroups><ZoneGroup>'
+        + '<ZoneGroupMember UUID="RINCON_DENMAIN01400" ZoneName="Den">'
+        + '<Satellite UUID="RINCON_DENSUB01400" ZoneName="Den" Invisible="1"/>'
+        + '</ZoneGroupMember></ZoneGroup></ZoneGroups></ZoneGroupState>';
+      const server = http.createServer((req, res) => {
+        if (req.method === 'POST') {
+          res.end(`<s:Envelope><s:Body><ZoneGroupState>${zoneGroupState
+            .replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')}</ZoneGroupState>`
+            + '</s:Body></s:Envelope>');
+        } else {
+          res.end(description(req.url === '/sub.xml' ? 'RINCON_DENSUB01400' : 'RINCON_DENMAIN01400'));
+        }
+      });
+      await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+      const { port } = server.address();
+
+      const socket = new EventEmitter();
+      socket.bind = (callback) => setImmediate(callback);
+      socket.close = () => {};
+      socket.send = () => {
+        ['main', 'sub'].forEach((name) => socket.emit('message', Buffer.from([
+          'HTTP/1.1 200 OK',
+          `LOCATION: http://127.0.0.1:${port}/${name}.xml`,
+          'ST: urn:schemas-upnp-org:device:ZonePlayer:1',
+        ].join('\r\n'))));
+      };
+      jest.spyOn(dgram, 'createSocket').mockReturnValue(socket);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const announced = [];
+      const onSpeaker = (speaker) => announced.push([speaker.uuid, speaker.invisible]);
+      discovery.emitter.on('speaker', onSpeaker);
+
+      try {
+        await discovery.discover({ timeout: 50 });
+        await discovery.discover({ timeout: 50 });
+      } finally {
+        discovery.emitter.off('speaker', onSpeaker);
+        await new Promise((resolve) => { server.close(resolve); });
+      }
+
+      expect(announced.sort()).toEqual([
+        ['RINCON_DENMAIN01400', false],
+        ['RINCON_DENSUB01400', true],
+      ]);
+    });
+  });
+
+  describe('registry', () => {
+    it('should find registered speakers by room name, case-insensitively', () => {
+      discovery.registerSpeaker({
+        uuid: 'RINCON_KITCHEN01400',
+        roomName: 'Kitchen',
+        ip: '192.168.1.41',
+        port: 1400,
+      });
+
+      expect(discovery.findSpeaker('kitchen').ip).toBe('192.168.1.41');
+      expect(discovery.findSpeaker('Bedroom')).toBeNull();
+      expect(discovery.getSpeakers().map((s) => s.roomName)).toContain('Kitchen');
+    });
+
+    it('should skip invisible devices that share a room name', () => {
+      // A stereo pair: the invisible partner answers discovery first and sorts first
+      discovery.registerSpeaker({
+        uuid: 'RINCON_AAPAIR01400', roomName: 'Office', ip: '192.168.1.51', port: 1400, invisible: true,
+      });
+      discovery.registerSpeaker({
+        uuid: 'RINCON_BBPAIR01400', roomName: 'Office', ip: '192.168.1.52', port: 1400,
+      });
+
+      expect(discovery.findSpeaker('office').uuid).toBe('RINCON_BBPAIR01400');
+    });
+
+    it('should keep the invisible flag when a device is registered again', () => {
+      discovery.registerSpeaker({
+        uuid: 'RINCON_AAPAIR01400', roomName: 'Office', ip: '192.168.1.53', port: 1400,
+      });
+
+      expect(discovery.findSpeaker('office').uuid).toBe('RINCON_BBPAIR01400');
+    });
+  });
+
+  describe('parseInvisibleUuids', () => {
+    it('should collect invisible members and satellites', () => {
+      const xml = '<ZoneGroupState><ZoneGroups>'
+        + '<ZoneGroup Coordinator="RINCON_A01400" ID="RINCON_A01400:1">'
+        + '<ZoneGroupMember UUID="RINCON_A01400" ZoneName="Living Room">'
+        + '<Satellite UUID="RINCON_SUB01400" ZoneName="Living Room" Invisible="1"/>'
+        + '</ZoneGroupMember>'
+        + '<ZoneGroupMember UUID="RINCON_B01400" ZoneName="Office"/>'
+        + '<ZoneGroupMember UUID="RINCON_C01400" ZoneName="Office" Invisible="1"/>'
+        + '</ZoneGroup></ZoneGroups></ZoneGroupState>';
+
+      expect([...discovery.parseInvisibleUuids(xml)]).toEqual(['RINCON_SUB01400', 'RINCON_C01400']);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for the GENA events module.
+ */
+
+const http = require('http');
+const events = require('../src/events');
+const discovery = require('../src/discovery');
+
+describe('Events Module', () => {
+  describe('parseLastChange', () => {
+    it('should parse AVTransport values and decode track metadata', () => {
+      const lastChange = '<Event xmlns="urn:schemas-upnp-org:metadata-1-0/AVT/">'
+        + '<InstanceID val="0">'
+        + '<TransportState val="PLAYING"/>'
+        + '<CurrentPlayMode val="SHUFFLE"/>'
+        + '<CurrentTrack val="2"/>'
+        + '<CurrentTrackMetaData val="&lt;DIDL-Lite&gt;&lt;item id=&quot;-1&quot;&gt;'
+        + '&lt;dc:title&gt;Rock &amp;amp; Roll&lt;/dc:title&gt;&lt;/item&gt;&lt;/DIDL-Lite&gt;"/>'
+        + '</InstanceID></Event>';
+
+      const values = events.parseLastChange(lastChange);
+
+      expect(values.TransportState).toBe('PLAYING');
+      expect(values.CurrentPlayMode).toBe('SHUFFLE');
+      expect(values.CurrentTrack).toBe('2');
+      expect(values.CurrentTrackMetaData).toContain('<dc:title>Rock &amp; Roll</dc:title>');
+    });
+
+    it('should group channel values for RenderingControl', () => {
+      const lastChange = '<Event xmlns="urn:schemas-upnp-org:metadata-1-0/RCS/">'
+        + '<InstanceID val="0">'
+        + '<Volume channel="Master" val="25"/><Volume channel="LF" val="100"/>'
+        + '<Mute channel="Master" val="0"/>'
+        + '</InstanceID></Event>';
+
+      expect(events.parseLastChange(lastChange)).toEqual({
+        Volume: { Master: '25', LF: '100' },
+        Mute: { Master: '0' },
+      });
+    });
+  });
+
+  describe('handleNotify', () => {
+    it('should reject notifications for unknown subscriptions', () => {
+      expect(
+        events.handleNotify({
+          uuid: 'RINCON_UNKNOWN01400',
+          service: 'AVTransport',
+          sid: 'uuid:not-subscribed',
+          body: '<e:propertyset/>',
+        }),
+      ).toBe(false);
+    });
+  });
+
+  describe('subscriptions', () => {
+    let server;
+    let port;
+    let subscribes;
+    let onSubscribe;
+
+    const volumeNotify = (uuid, sid, volume) => ({
+      uuid,
+      service: 'RenderingControl',
+      sid,
+      body: '<e:propertyset><e:property><LastChange>'
+        + '&lt;Event&gt;&lt;InstanceID val=&quot;0&quot;&gt;'
+        + `&lt;Volume channel=&quot;Master&quot; val=&quot;${volume}&quot;/&gt;`
+        + '&lt;/InstanceID&gt;&lt;/Event&gt;'
+        + '</LastChange></e:property></e:propertyset>',
+    });
+
+    const waitFor = async (condition, tries = 100) => {
+      if (condition() || tries === 0) return;
+      await new Promise((resolve) => { setTimeout(resolve, 10); });
+      await waitFor(condition, tries - 1);
+    };
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        if (req.method === 'SUBSCRIBE') {
+          const uuid = decodeURIComponent(req.headers.callback.split('/')[5]);
+          const service = req.url.split('/')[2];
+          const sid = `uuid:${uuid}-${service}`;
+          subscribes.push(`${uuid} ${service}`);
+          if (onSubscribe) onSubscribe(uuid, service, sid);
+          res.writeHead(200, { SID: sid, TIMEOUT: 'Second-1800' });
+        }
+        res.end();
+      });
+      await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+      ({ port } = server.address());
+    });
+
+    beforeEach(() => {
+      subscribes = [];
+      onSubscribe = null;
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      await events.unsubscribeAll();
+      jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => { server.close(resolve); });
+    });
+
+    it('should apply a NOTIFY that arrives before the SUBSCRIBE response', async () => {
+      const accepted = [];
+      onSubscribe = (uuid, service, sid) => {
+        if (service === 'RenderingControl') {
+          accepted.push(events.handleNotify(volumeNotify(uuid, sid, 31)));
+        }
+      };
+      discovery.registerSpeaker({
+        uuid: 'RINCON_EARLY01400', roomName: 'Early Room', ip: '127.0.0.1', port,
+      });
+
+      await events.subscribeAll('http://127.0.0.1:5005');
+
+      expect(accepted).toEqual([true]);
+      expect(events.getState('Early Room').volume).toBe(31);
+    });
+
+    it('should subscribe visible speakers discovered after subscribeAll', async () => {
+      discovery.registerSpeaker({
+        uuid: 'RINCON_SUB01400', roomName: 'Early Room', ip: '127.0.0.1', port, invisible: true,
+      });
+      await events.subscribeAll('http://127.0.0.1:5005');
+      expect(subscribes.filter((s) => s.startsWith('RINCON_SUB01400'))).toEqual([]);
+      subscribes = [];
+
+      discovery.emitter.emit('speaker', discovery.registerSpeaker({
+        uuid: 'RINCON_SAT01400', roomName: 'Late Room', ip: '127.0.0.1', port, invisible: true,
+      }));
+      discovery.emitter.emit('speaker', discovery.registerSpeaker({
+        uuid: 'RINCON_LATE01400', roomName: 'Late Room', ip: '127.0.0.1', port,
+      }));
+      await waitFor(() => subscribes.length === 2);
+
+      expect(subscribes.sort()).toEqual([
+        'RINCON_LATE01400 AVTransport',
+        'RINCON_LATE01400 RenderingControl',
+      ]);
+      await waitFor(() => events.getState('Late Room'));
+      expect(events.handleNotify(
+        volumeNotify('RINCON_LATE01400', 'uuid:RINCON_LATE01400-RenderingControl', 12),
+      )).toBe(true);
+      expect(events.getState('Late Room').volume).toBe(12);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the fuzzy matching module.
+ */
+
+const {
+  normalizeName, editDistance, matchScore, findBestMatch,
+} = require('../src/fuzzy');
+
+const FAVORITES = [
+  'Classical in the Background',
+  'Upbeat Morning',
+  'Morning Acoustic',
+  'Café del Mar',
+  'daylist',
+  "Rock 'n' Roll Classics",
+].map((name, i) => ({ id: String(i), name }));
+
+describe('Fuzzy Module', () => {
+  describe('normalizeName', () => {
+    it('should ignore case, diacritics and punctuation', () => {
+      expect(normalizeName('Café del Mar (Chill-Out)')).toBe('cafe del mar chill out');
+      expect(normalizeName("Rock 'n' Roll")).toBe('rock n roll');
+      expect(normalizeName('  Drum & Bass  ')).toBe('drum and bass');
+    });
+
+    it('should keep letters of other scripts', () => {
+      expect(normalizeName('Радио Рекорд!')).toBe('радио рекорд');
+      expect(normalizeName('ジャズ・ラジオ')).toBe('ジャズ ラジオ');
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions and substitutions', () => {
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+      expect(editDistance('', 'abc')).toBe(3);
+      expect(editDistance('same', 'same')).toBe(0);
+    });
+  });
+
+  describe('matchScore', () => {
+    it('should rank exact, spacing-only and typo matches', () => {
+      expect(matchScore('cafe del mar', 'Café del Mar')).toBe(1);
+      expect(matchScore('Day List', 'daylist')).toBe(0.98);
+      expect(matchScore('clasical in the backround', 'Classical in the Background'))
+        .toBeGreaterThan(0.9);
+      expect(matchScore('heavy metal', 'Classical in the Background')).toBeLessThan(0.3);
+    });
+  });
+
+  describe('findBestMatch', () => {
+    it('should pick a close match', () => {
+      const result = findBestMatch('upbeat mornin', FAVORITES);
+
+      expect(result.match.name).toBe('Upbeat Morning');
+      expect(result.candidates[0]).toEqual({ name: 'Upbeat Morning', score: result.score });
+    });
+
+    it('should match names typed without punctuation', () => {
+      expect(findBestMatch('rock n roll classics', FAVORITES).match.id).toBe('5');
+    });
+
+    it('should refuse ambiguous matches and suggest the candidates', () => {
+      const result = findBestMatch('morning', FAVORITES);
+
+      expect(result.match).toBeNull();
+      expect(result.candidates.map((c) => c.name)).toEqual(['Upbeat Morning', 'Morning Acoustic']);
+    });
+
+    it('should match non-Latin names', () => {
+      const items = [{ id: 'r', name: 'Радио Рекорд' }, { id: 'j', name: 'ジャズ・ラジオ' }];
+
+      expect(findBestMatch('Радио Рекорд', items).match.id).toBe('r');
+      expect(findBestMatch('радио рекорд', items).match.id).toBe('r');
+      expect(findBestMatch('ジャズ・ラジオ', items).match.id).toBe('j');
+    });
+
+    it('should return no match and no candidates for unrelated names', () => {
+      expect(findBestMatch('heavy metal', FAVORITES)).toEqual({
+        match: null, score: expect.any(Number), candidates: [],
+      });
+    });
+  });
+});
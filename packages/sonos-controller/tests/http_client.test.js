@@ -0,0 +1,199 @@
+/**
+ * Tests for the resilient HTTP client module.
+ */
+
+const axios = require('axios');
+const { makeResilient, createCircuitBreaker, retryAfterSeconds } = require('../src/http_client');
+const { CircuitOpenError } = require('../src/errors');
+
+function httpError(config, status, headers = {}) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.config = config;
+  err.response = {
+    status, data: {}, headers, config,
+  };
+  return err;
+}
+
+function networkError(config) {
+  const err = new Error('socket hang up');
+  err.config = config;
+  err.code = 'ECONNRESET';
+  err.request = {};
+  return err;
+}
+
+describe('HTTP Client Module', () => {
+  let api;
+  let replies;
+  let seen;
+  let sleep;
+  let clock;
+
+  function resilient(options = {}) {
+    return makeResilient(api, {
+      name: 'Test API', sleep, random: () => 1, now: () => clock, ...options,
+    });
+  }
+
+  beforeEach(() => {
+    clock = 0;
+    seen = [];
+    replies = [];
+    sleep = jest.fn().mockResolvedValue();
+    api = axios.create({ baseURL: 'https://api.example.com' });
+    api.defaults.adapter = async (config) => {
+      seen.push(config);
+      const reply = replies.shift() || 200;
+      if (typeof reply === 'function') throw reply(config);
+      if (reply >= 400) throw httpError(config, reply);
+      return {
+        data: { ok: true }, status: reply, statusText: 'OK', headers: {}, config,
+      };
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should give every request a default timeout', async () => {
+    resilient({ timeoutMs: 1234 });
+
+    await api.get('/a');
+    await api.get('/b', { timeout: 50 });
+
+    expect(seen.map((c) => c.timeout)).toEqual([1234, 50]);
+  });
+
+  it('should retry server errors with exponential backoff', async () => {
+    resilient();
+    replies = [503, 502, 200];
+
+    const { data } = await api.post('/groups/G1/groupVolume', { volume: 20 }, { retry: true });
+
+    expect(data).toEqual({ ok: true });
+    expect(seen).toHaveLength(3);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([500, 1000]);
+  });
+
+  it('should retry network errors', async () => {
+    resilient();
+    replies = [networkError, 200];
+
+    await api.get('/households');
+
+    expect(seen).toHaveLength(2);
+  });
+
+  it('should not resend a POST that timed out or failed on the server', async () => {
+    resilient();
+    const timeout = (config) => Object.assign(networkError(config), { code: 'ECONNABORTED' });
+    replies = [timeout, 503];
+
+    await expect(api.post('/groups/G1/playback/skipToNextTrack')).rejects.toThrow('socket hang up');
+    await expect(api.post('/groups/G1/groups/createGroup', {})).rejects.toThrow('status code 503');
+    expect(seen).toHaveLength(2);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('should retry a POST that never reached the API, or that opts in', async () => {
+    resilient();
+    const refused = (config) => Object.assign(networkError(config), { code: 'ECONNREFUSED' });
+    replies = [refused, 200, 503, 200];
+
+    await api.post('/groups/G1/playback/skipToNextTrack');
+    await api.post('/groups/G1/groupVolume', { volume: 20 }, { retry: true });
+
+    expect(seen).toHaveLength(4);
+  });
+
+  it('should retry a POST on a 429', async () => {
+    resilient();
+    replies = [(config) => httpError(config, 429, { 'retry-after': '1' }), 200];
+
+    await api.post('/groups/G1/playback/skipToNextTrack');
+
+    expect(seen).toHaveLength(2);
+  });
+
+  it('should give up after the maximum number of retries', async () => {
+    resilient({ maxRetries: 2 });
+    replies = [500, 500, 500, 500];
+
+    await expect(api.get('/households')).rejects.toThrow('status code 500');
+    expect(seen).toHaveLength(3);
+  });
+
+  it('should wait for Retry-After on a 429', async () => {
+    resilient();
+    replies = [(config) => httpError(config, 429, { 'retry-after': '7' }), 200];
+
+    await api.get('/search');
+
+    expect(sleep).toHaveBeenCalledWith(7000);
+    expect(seen).toHaveLength(2);
+  });
+
+  it('should not retry a 429 asking for too long a wait', async () => {
+    resilient({ maxRetryAfterSeconds: 30 });
+    replies = [(config) => httpError(config, 429, { 'retry-after': '120' })];
+
+    await expect(api.get('/search')).rejects.toThrow('status code 429');
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('should not retry client errors or requests that opt out', async () => {
+    resilient();
+    replies = [404, 503];
+
+    await expect(api.get('/missing')).rejects.toThrow('status code 404');
+    await expect(api.post('/once', {}, { retry: false })).rejects.toThrow('status code 503');
+    expect(seen).toHaveLength(2);
+  });
+
+  it('should fail fast while the circuit is open and recover after a trial request', async () => {
+    const breaker = resilient({ maxRetries: 0, failureThreshold: 2, resetSeconds: 30 });
+    replies = [500, 500];
+
+    await expect(api.get('/a')).rejects.toThrow('status code 500');
+    await expect(api.get('/b')).rejects.toThrow('status code 500');
+    expect(breaker.state()).toBe('open');
+
+    await expect(api.get('/c')).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(seen).toHaveLength(2);
+
+    clock = 31 * 1000;
+    await api.get('/d');
+    expect(breaker.state()).toBe('closed');
+    expect(seen).toHaveLength(3);
+  });
+
+  describe('createCircuitBreaker', () => {
+    it('should let only one trial call through when half-open, and reopen if it fails', () => {
+      const breaker = createCircuitBreaker({
+        name: 'Test API', failureThreshold: 1, resetSeconds: 10, now: () => clock,
+      });
+      breaker.failure();
+      clock = 10 * 1000;
+
+      expect(() => breaker.check()).not.toThrow();
+      expect(() => breaker.check()).toThrow('Test API is unavailable');
+      breaker.failure();
+      expect(breaker.state()).toBe('open');
+    });
+  });
+
+  describe('retryAfterSeconds', () => {
+    it('should read seconds or an HTTP date', () => {
+      const now = () => Date.parse('2025-01-01T08:00:00Z');
+
+      expect(retryAfterSeconds({ 'retry-after': '5' }, now)).toBe(5);
+      expect(retryAfterSeconds({ 'retry-after': 'Wed, 01 Jan 2025 08:00:12 GMT' }, now)).toBe(12);
+      expect(retryAfterSeconds({}, now)).toBeNull();
+    });
+  });
+});
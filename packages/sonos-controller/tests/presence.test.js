@@ -0,0 +1,111 @@
+/**
+ * Tests for the presence module.
+ */
+
+const { createPresence, validateRules } = require('../src/presence');
+
+function memoryFs() {
+  const files = {};
+  return {
+    files,
+    existsSync: (file) => file in files,
+    readFileSync: (file) => files[file],
+    writeFileSync: (file, data) => {
+      files[file] = data;
+    },
+  };
+}
+
+const FILE = '/tmp/presence.json';
+
+describe('Presence Module', () => {
+  let fs;
+  let runAction;
+  let presence;
+
+  beforeEach(() => {
+    fs = memoryFs();
+    runAction = jest.fn().mockResolvedValue({ success: true });
+    presence = createPresence({ fs, filePath: FILE, runAction });
+    presence.setRules({
+      firstArrival: [{ type: 'favorite', name: 'Welcome Home' }],
+      people: { Sam: { arrival: [{ type: 'favorite', name: 'Sam Mix', room: 'Study' }] } },
+    });
+  });
+
+  it('should run the first-arrival rule only when the house was empty', async () => {
+    const first = presence.arrive('Alex');
+    expect(first.event).toBe('firstArrival');
+    expect(await first.done).toEqual([{ type: 'favorite', success: true }]);
+
+    const second = presence.arrive('Jo');
+    expect(second.event).toBe('arrival');
+    expect(second.actions).toEqual([]);
+
+    expect(runAction).toHaveBeenCalledTimes(1);
+    expect(runAction).toHaveBeenCalledWith({ type: 'favorite', name: 'Welcome Home' });
+  });
+
+  it('should use per-person rules for later arrivals', async () => {
+    await presence.arrive('Alex').done;
+    await presence.arrive('sam').done;
+
+    expect(runAction).toHaveBeenLastCalledWith({ type: 'favorite', name: 'Sam Mix', room: 'Study' });
+  });
+
+  it('should run the last-departure rule in order once everyone has left', async () => {
+    presence.arrive('Alex');
+    presence.arrive('Jo');
+    runAction.mockClear();
+
+    expect(presence.leave('Alex').event).toBe('departure');
+    const last = presence.leave('Jo');
+    await last.done;
+
+    expect(last.event).toBe('lastDeparture');
+    expect(runAction.mock.calls.map(([action]) => action.type)).toEqual(['pauseAll', 'ungroup']);
+    expect(presence.getState()).toMatchObject({ occupied: false, home: [] });
+  });
+
+  it('should ignore repeated arrivals and departures', () => {
+    presence.arrive('Alex');
+    runAction.mockClear();
+
+    expect(presence.arrive('alex').event).toBeNull();
+    expect(presence.leave('Jo').event).toBeNull();
+    expect(runAction).not.toHaveBeenCalled();
+  });
+
+  it('should persist who is home and the rules', () => {
+    presence.arrive('Alex');
+
+    const reloaded = createPresence({ fs, filePath: FILE, runAction });
+    expect(reloaded.getState().home).toEqual(['Alex']);
+    expect(reloaded.getRules().people.sam.arrival).toHaveLength(1);
+    expect(reloaded.arrive('Jo').event).toBe('arrival');
+  });
+
+  it('should ignore per-person rules for the last departure in a saved file', async () => {
+    fs.files[FILE] = JSON.stringify({
+      people: { jo: { name: 'Jo', home: true } },
+      rules: { people: { jo: { lastDeparture: 'pause' } } },
+    });
+    const reloaded = createPresence({ fs, filePath: FILE, runAction });
+
+    const last = reloaded.leave('Jo');
+    await last.done;
+
+    expect(last.actions.map((action) => action.type)).toEqual(['pauseAll', 'ungroup']);
+  });
+
+  it('should reject invalid rules', () => {
+    expect(validateRules({ firstArrival: [{ type: 'dance' }] }))
+      .toMatch('firstArrival[0]: "action.type" must be one of');
+    expect(validateRules({ people: { sam: { arrival: {} } } }))
+      .toBe('"people.sam.arrival" must be an array of actions');
+    expect(validateRules({ onLeave: [] })).toMatch("Unknown rule 'onLeave'");
+    expect(validateRules({ people: { sam: { lastDeparture: 'pause' } } }))
+      .toBe("Unknown rule 'people.sam.lastDeparture' (expected firstArrival, arrival)");
+    expect(validateRules({ people: { sam: [] } })).toBe('"people.sam" must be an object');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the volume ramp module.
+ */
+
+const ramps = require('../src/ramp');
+
+describe('Ramp Module', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('rampStepped', () => {
+    it('should step the volume up to the target over the duration', async () => {
+      const volumes = [];
+      const { done } = await ramps.rampStepped('Kitchen', {
+        from: 0,
+        to: 20,
+        durationSeconds: 4,
+        setVolume: async (volume) => volumes.push(volume),
+      });
+
+      await jest.advanceTimersByTimeAsync(4000);
+
+      expect(await done).toBe(true);
+      expect(volumes).toEqual([3, 5, 8, 10, 13, 15, 18, 20]);
+      expect(ramps.isRamping('Kitchen')).toBe(false);
+    });
+
+    it('should be cancelled by a new ramp on the same room', async () => {
+      const first = [];
+      const second = [];
+      const { done } = await ramps.rampStepped('Kitchen', {
+        from: 0,
+        to: 30,
+        durationSeconds: 10,
+        setVolume: async (volume) => first.push(volume),
+      });
+      await jest.advanceTimersByTimeAsync(1000);
+
+      const next = await ramps.rampStepped('kitchen', {
+        from: 10,
+        to: 12,
+        durationSeconds: 1,
+        setVolume: async (volume) => second.push(volume),
+      });
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect(await done).toBe(false);
+      expect(await next.done).toBe(true);
+      expect(first).toHaveLength(2);
+      expect(second).toEqual([11, 12]);
+    });
+
+    it('should leave ramps on other rooms running', async () => {
+      const { done } = await ramps.rampStepped('Kitchen', {
+        from: 0,
+        to: 2,
+        durationSeconds: 1,
+        setVolume: async () => {},
+      });
+
+      expect(await ramps.cancelRamp('Lounge')).toBe(false);
+      expect(ramps.isRamping('Kitchen')).toBe(true);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(await done).toBe(true);
+    });
+  });
+});
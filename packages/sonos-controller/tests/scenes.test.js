@@ -0,0 +1,148 @@
+/**
+ * Tests for the scenes module.
+ */
+
+const yaml = require('js-yaml');
+const { createScenes, validateScene, sceneResultStatus } = require('../src/scenes');
+const { SceneDefinitionError, httpStatusForError } = require('../src/errors');
+
+const FILE = '/tmp/scenes.json';
+
+function scenesWith(definitions, runAction) {
+  const fs = {
+    existsSync: () => true,
+    readFileSync: () => JSON.stringify(definitions),
+  };
+  return createScenes({ fs, filePath: FILE, runAction });
+}
+
+const EVENING = {
+  steps: [
+    { type: 'lineIn', room: 'Living Room' },
+    { type: 'volume', volume: 25, room: 'Living Room' },
+    { type: 'ungroup', room: 'Kitchen' },
+  ],
+};
+
+describe('Scenes Module', () => {
+  describe('run', () => {
+    it('should run the steps in order and report each one', async () => {
+      const runAction = jest.fn().mockResolvedValue({ success: true });
+      const scenes = scenesWith({ Evening: EVENING }, runAction);
+
+      const result = await scenes.run('evening');
+
+      expect(runAction.mock.calls.map(([step]) => step.type)).toEqual(['lineIn', 'volume', 'ungroup']);
+      expect(result).toMatchObject({ scene: 'Evening', success: true, onError: 'stop' });
+      expect(result.steps.map((s) => s.status)).toEqual(['ok', 'ok', 'ok']);
+    });
+
+    it('should stop at the first failure by default', async () => {
+      const runAction = jest.fn()
+        .mockResolvedValueOnce({ success: true })
+        .mockResolvedValueOnce({ success: false, error: 'Could not set volume' });
+      const scenes = scenesWith({ evening: EVENING }, runAction);
+
+      const result = await scenes.run('evening');
+
+      expect(runAction).toHaveBeenCalledTimes(2);
+      expect(result.success).toBe(false);
+      expect(result.steps[1]).toMatchObject({ status: 'failed', error: 'Could not set volume' });
+      expect(result.steps[2]).toEqual({ step: 3, type: 'ungroup', status: 'skipped' });
+    });
+
+    it('should carry on past failures when asked to', async () => {
+      const runAction = jest.fn()
+        .mockRejectedValueOnce(new Error('Speaker unreachable'))
+        .mockResolvedValue({ success: true });
+      const scenes = scenesWith({ evening: EVENING }, runAction);
+
+      const result = await scenes.run('evening', { onError: 'continue' });
+
+      expect(runAction).toHaveBeenCalledTimes(3);
+      expect(result.steps.map((s) => s.status)).toEqual(['failed', 'ok', 'ok']);
+      expect(result.steps[0].error).toBe('Speaker unreachable');
+    });
+
+    it('should wait between steps', async () => {
+      jest.useFakeTimers();
+      const runAction = jest.fn().mockResolvedValue({ success: true });
+      const scenes = scenesWith({
+        dinner: {
+          steps: [
+            { type: 'favorite', name: 'Dinner Jazz' },
+            { type: 'wait', seconds: 3 },
+            { type: 'crossfade', enabled: true },
+          ],
+        },
+      }, runAction);
+
+      const running = scenes.run('dinner');
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(runAction).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect((await running).success).toBe(true);
+      expect(runAction).toHaveBeenCalledTimes(2);
+      jest.useRealTimers();
+    });
+
+    it('should return null for unknown scenes and refuse invalid ones', async () => {
+      const runAction = jest.fn();
+      const scenes = scenesWith({ broken: { steps: [{ type: 'volume', volume: 150 }] } }, runAction);
+
+      expect(await scenes.run('missing')).toBeNull();
+      await expect(scenes.run('broken')).rejects.toThrow("Scene 'broken' is invalid. Step 1:");
+      await expect(scenes.run('broken')).rejects.toBeInstanceOf(SceneDefinitionError);
+      expect(runAction).not.toHaveBeenCalled();
+    });
+
+    it('should read scenes from a YAML file', async () => {
+      const fs = {
+        existsSync: () => true,
+        readFileSync: () => [
+          'Evening:',
+          '  onError: continue',
+          '  steps:',
+          '    - { type: lineIn, room: Living Room }',
+          '    - { type: volume, volume: 25, room: Living Room }',
+        ].join('\n'),
+      };
+      const runAction = jest.fn().mockResolvedValue({ success: true });
+      const scenes = createScenes({
+        fs, yaml, filePath: '/tmp/scenes.yaml', runAction,
+      });
+
+      const result = await scenes.run('evening');
+
+      expect(result).toMatchObject({ scene: 'Evening', success: true, onError: 'continue' });
+      expect(runAction).toHaveBeenCalledWith({ type: 'volume', volume: 25, room: 'Living Room' });
+    });
+  });
+
+  describe('sceneResultStatus', () => {
+    const withStatuses = (...statuses) => ({
+      success: statuses.every((status) => status === 'ok'),
+      steps: statuses.map((status, i) => ({ step: i + 1, status })),
+    });
+
+    it('should report full, partial and failed runs', () => {
+      expect(sceneResultStatus(withStatuses('ok', 'ok'))).toBe(200);
+      expect(sceneResultStatus(withStatuses('ok', 'failed', 'skipped'))).toBe(207);
+      expect(sceneResultStatus(withStatuses('failed', 'skipped'))).toBe(502);
+    });
+
+    it('should map invalid definitions to 422', () => {
+      expect(httpStatusForError(new SceneDefinitionError("Scene 'x' is invalid."))).toBe(422);
+    });
+  });
+
+  describe('validateScene', () => {
+    it('should check steps and the onError setting', () => {
+      expect(validateScene(EVENING)).toBeNull();
+      expect(validateScene({ steps: [] })).toMatch('non-empty "steps"');
+      expect(validateScene({ ...EVENING, onError: 'ignore' })).toMatch('"onError" must be one of');
+      expect(validateScene({ steps: [{ type: 'wait', seconds: 3600 }] })).toMatch('between 0 and 600');
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for the scheduler module.
+ */
+
+const {
+  createScheduler, validateSchedule, parseCron, nextRunTime, formatLocal,
+} = require('../src/scheduler');
+
+function memoryFs() {
+  const files = {};
+  return {
+    files,
+    existsSync: (file) => file in files,
+    readFileSync: (file) => files[file],
+    writeFileSync: (file, data) => {
+      files[file] = data;
+    },
+  };
+}
+
+describe('Scheduler Module', () => {
+  describe('parseCron', () => {
+    it('should expand lists, ranges, steps and names', () => {
+      const cron = parseCron('*/15 6-8 * jan,dec mon-fri');
+
+      expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+      expect([...cron.hour]).toEqual([6, 7, 8]);
+      expect([...cron.month]).toEqual([1, 12]);
+      expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should treat day-of-week 7 as Sunday and accept macros', () => {
+      expect([...parseCron('0 0 * * 7').dayOfWeek]).toEqual([0]);
+      expect([...parseCron('@daily').hour]).toEqual([0]);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => parseCron('0 6 * *')).toThrow('must have 5 fields');
+      expect(() => parseCron('61 6 * * *')).toThrow('out of range');
+      expect(() => parseCron('0 6 * * funday')).toThrow('Invalid dayOfWeek');
+    });
+  });
+
+  describe('nextRunTime', () => {
+    it('should find the next weekday occurrence in the schedule timezone', () => {
+      // Friday 2026-10-16 07:00 in London (BST, UTC+1)
+      const after = new Date('2026-10-16T06:00:00Z');
+      const next = nextRunTime(parseCron('30 6 * * mon-fri'), 'Europe/London', after);
+
+      expect(next.toISOString()).toBe('2026-10-19T05:30:00.000Z');
+      expect(formatLocal(next, 'Europe/London')).toBe('2026-10-19 06:30');
+    });
+
+    it('should follow the local clock across a DST change', () => {
+      // London leaves BST on Sunday 2026-10-25
+      const after = new Date('2026-10-24T12:00:00Z');
+      const cron = parseCron('0 7 * * *');
+      const first = nextRunTime(cron, 'Europe/London', after);
+      const second = nextRunTime(cron, 'Europe/London', first);
+
+      expect(first.toISOString()).toBe('2026-10-25T07:00:00.000Z');
+      expect(second.toISOString()).toBe('2026-10-26T07:00:00.000Z');
+      expect(formatLocal(first, 'Europe/London')).toBe('2026-10-25 07:00');
+    });
+
+    it('should match either day field when both are restricted', () => {
+      const after = new Date('2026-10-16T12:00:00Z');
+      // The 1st of the month or any Monday
+      const next = nextRunTime(parseCron('0 9 1 * mon'), 'UTC', after);
+
+      expect(next.toISOString()).toBe('2026-10-19T09:00:00.000Z');
+    });
+
+    it('should treat a stepped * day field as unrestricted', () => {
+      const after = new Date('2026-10-16T12:00:00Z');
+      // The 1st of the month, and only when it falls on an even weekday (Sun, Tue, Thu, Sat)
+      const next = nextRunTime(parseCron('0 9 1 * */2'), 'UTC', after);
+
+      expect(next.toISOString()).toBe('2026-11-01T09:00:00.000Z');
+    });
+  });
+
+  describe('validateSchedule', () => {
+    it('should accept a valid schedule', () => {
+      expect(
+        validateSchedule({
+          cron: '0 7 * * *',
+          timezone: 'Europe/London',
+          action: { type: 'favorite', name: 'Morning' },
+        }),
+      ).toBeNull();
+    });
+
+    it('should report invalid timezones and actions', () => {
+      expect(validateSchedule({ cron: '0 7 * * *', timezone: 'Mars/Olympus', action: { type: 'pause' } }))
+        .toBe("Unknown timezone 'Mars/Olympus'");
+      expect(validateSchedule({ cron: '0 7 * * *', action: { type: 'dance' } }))
+        .toMatch('"action.type" must be one of');
+      expect(validateSchedule({ cron: '0 7 * * *', action: { type: 'volume', volume: 120 } }))
+        .toMatch('between 0 and 100');
+    });
+
+    it('should check the action room against the known rooms', () => {
+      const rooms = ['Bedroom', 'Kitchen'];
+      const schedule = (room) => ({ cron: '0 7 * * *', action: { type: 'pause', room } });
+
+      expect(validateSchedule(schedule('kitchen'), { rooms })).toBeNull();
+      expect(validateSchedule(schedule('Garage'), { rooms }))
+        .toBe("Unknown room 'Garage'. Valid rooms: Bedroom, Kitchen");
+      // Nothing to check against until a room is known
+      expect(validateSchedule(schedule('Garage'), { rooms: [] })).toBeNull();
+    });
+  });
+
+  describe('createScheduler', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-10-19T06:58:30Z'));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should run due actions and persist the schedules', async () => {
+      const fs = memoryFs();
+      const runAction = jest.fn().mockResolvedValue({ success: true });
+      const scheduler = createScheduler({
+        fs, filePath: '/tmp/schedules.json', runAction, defaultTimezone: 'UTC',
+      });
+      scheduler.start();
+
+      const schedule = scheduler.add({
+        name: 'Morning',
+        cron: '0 7 * * *',
+        action: { type: 'favorite', name: 'Morning' },
+      });
+      expect(schedule.nextRun).toBe('2026-10-19T07:00:00.000Z');
+
+      await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+
+      expect(runAction).toHaveBeenCalledWith({ type: 'favorite', name: 'Morning' });
+      const [saved] = JSON.parse(fs.files['/tmp/schedules.json']);
+      expect(saved.lastResult).toEqual({ success: true });
+      expect(scheduler.get(schedule.id).nextRun).toBe('2026-10-20T07:00:00.000Z');
+      scheduler.stop();
+    });
+
+    it('should skip only the next occurrence', async () => {
+      const runAction = jest.fn().mockResolvedValue({ success: true });
+      const scheduler = createScheduler({
+        fs: memoryFs(), filePath: '/tmp/schedules.json', runAction, defaultTimezone: 'UTC',
+      });
+      scheduler.start();
+      const { id } = scheduler.add({ cron: '0 7 * * *', action: { type: 'pause' } });
+
+      const skipped = scheduler.skipNext(id);
+      expect(skipped.skippedRun).toBe('2026-10-19T07:00:00.000Z');
+      expect(skipped.nextRun).toBe('2026-10-20T07:00:00.000Z');
+
+      await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+      expect(runAction).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(24 * 60 * 60 * 1000);
+      expect(runAction).toHaveBeenCalledTimes(1);
+      scheduler.stop();
+    });
+
+    it('should throw and keep the schedules as they were when saving fails', () => {
+      const fs = memoryFs();
+      const scheduler = createScheduler({
+        fs, filePath: '/tmp/schedules.json', runAction: jest.fn(), defaultTimezone: 'UTC',
+      });
+      scheduler.start();
+      const { id } = scheduler.add({ cron: '0 7 * * *', action: { type: 'pause' } });
+      fs.writeFileSync = () => {
+        throw new Error('ENOSPC: no space left on device');
+      };
+
+      expect(() => scheduler.add({ cron: '0 8 * * *', action: { type: 'pause' } }))
+        .toThrow('ENOSPC');
+      expect(() => scheduler.skipNext(id)).toThrow('ENOSPC');
+      expect(() => scheduler.remove(id)).toThrow('ENOSPC');
+      expect(scheduler.list()).toEqual([expect.objectContaining({ id, skippedRun: null })]);
+      scheduler.stop();
+    });
+  });
+});
@@ -0,0 +1,473 @@
+/**
+ * Tests for the controller: room resolution and the UPnP/cloud routing of commands.
+ * The Sonos cloud and Spotify APIs are answered by a fake axios adapter.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+const sonosHomeController = require('../src/sonos_home_controller');
+const upnp = require('../src/upnp');
+const discovery = require('../src/discovery');
+const ramps = require('../src/ramp');
+const { createTokenStore } = require('../src/token_store');
+const { UPnPError, UnknownRoomError, httpStatusForError } = require('../src/errors');
+
+const SECRET = 'a'.repeat(64);
+const TOPOLOGY = {
+  households: [{ id: 'Sonos_HOME', name: 'Home' }],
+  groups: [
+    {
+      id: 'G1', name: 'Living Room + 1', coordinatorId: 'P1', playerIds: ['P1', 'P2'],
+    },
+    {
+      id: 'G2', name: 'Office', coordinatorId: 'P3', playerIds: ['P3'],
+    },
+  ],
+  players: [
+    { id: 'P1', name: 'Living Room' },
+    { id: 'P2', name: 'Kitchen' },
+    { id: 'P3', name: 'Office' },
+  ],
+};
+
+describe('Sonos Home Controller', () => {
+  let dir;
+  let requests;
+  let replies;
+  let controller;
+
+  function cloudRequests() {
+    return requests.filter((r) => r.baseURL && r.baseURL.includes('api.ws.sonos.com'));
+  }
+
+  function createController() {
+    const fakeAxios = {
+      create: (config) => {
+        const instance = axios.create(config);
+        instance.defaults.adapter = async (request) => {
+          const key = `${request.method.toUpperCase()} ${request.url}`;
+          requests.push({
+            key,
+            baseURL: request.baseURL,
+            data: request.data ? JSON.parse(request.data) : undefined,
+          });
+          const reply = replies[key];
+          return {
+            data: typeof reply === 'function' ? await reply(request) : reply || {},
+            status: 200,
+            statusText: 'OK',
+            headers: {},
+            config: request,
+          };
+        };
+        return instance;
+      },
+    };
+    return sonosHomeController({
+      axios: fakeAxios,
+      fs,
+      open: jest.fn(),
+      express,
+      path,
+      dotenv: { config: () => {} },
+    });
+  }
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'controller-'));
+    Object.assign(process.env, {
+      SONOS_CLIENT_ID: 'sonos-id',
+      SONOS_CLIENT_SECRET: 'sonos-secret',
+      TARGET_DEVICE_NAME: 'Living Room',
+      TOKEN_ENCRYPTION_KEY: SECRET,
+      TOKEN_STORE_DIR: dir,
+    });
+    const store = createTokenStore({ fs, dir, secret: SECRET });
+    const expiresAt = Date.now() + 24 * 3600 * 1000;
+    store.save('sonos', {
+      access_token: 'sonos-token', refresh_token: 'r', scope: 'playback-control-all', expires_at: expiresAt,
+    });
+    store.save('spotify', { access_token: 'spotify-token', refresh_token: 'r', expires_at: expiresAt });
+
+    discovery.registerSpeaker({
+      uuid: 'RINCON_LIVING01400', roomName: 'Living Room', ip: '192.168.1.40', port: 1400,
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    requests = [];
+    replies = {
+      'GET /households': { households: TOPOLOGY.households },
+      'GET /households/Sonos_HOME/groups': { groups: TOPOLOGY.groups, players: TOPOLOGY.players },
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    controller = createController();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveRoom', () => {
+    it('should match a cloud group by the name of one of its players', async () => {
+      const { group } = await controller.resolveRoom('kitchen', { cloud: true, upnp: false });
+
+      expect(group).toMatchObject({
+        householdId: 'Sonos_HOME', groupId: 'G1', coordinator: 'Living Room', playerCount: 2,
+      });
+    });
+
+    it('should reject an unknown room with a 404 listing the valid rooms', async () => {
+      const err = await controller.resolveRoom('Garage', { cloud: true, upnp: false })
+        .catch((e) => e);
+
+      expect(err).toBeInstanceOf(UnknownRoomError);
+      expect(httpStatusForError(err)).toBe(404);
+      expect(err.validRooms).toEqual(expect.arrayContaining(['Kitchen', 'Living Room', 'Office']));
+    });
+
+    it('should not call the cloud for a UPnP-only route', async () => {
+      const { speaker } = await controller.resolveRoom('Living Room', { cloud: false, upnp: true });
+
+      expect(speaker.uuid).toBe('RINCON_LIVING01400');
+      expect(cloudRequests()).toHaveLength(0);
+    });
+  });
+
+  describe('runTransportCommand', () => {
+    it('should use the cloud when the UPnP command never reached the speaker', async () => {
+      const refused = Object.assign(new Error('SOAP request error: connect ECONNREFUSED'), {
+        isNetworkError: true, notSent: true,
+      });
+      jest.spyOn(upnp, 'next').mockRejectedValue(refused);
+
+      expect(await controller.runTransportCommand('next', null, 'Living Room')).toEqual({ via: 'cloud' });
+      expect(cloudRequests().map((r) => r.key)).toContain('POST /groups/G1/playback/skipToNextTrack');
+    });
+
+    it('should not repeat a command the speaker may already have run', async () => {
+      const timedOut = Object.assign(new Error('SOAP request error: Next timed out'), {
+        isNetworkError: true, notSent: false, code: 'ETIMEDOUT',
+      });
+      jest.spyOn(upnp, 'next').mockRejectedValue(timedOut);
+
+      await expect(controller.runTransportCommand('next', null, 'Living Room')).rejects.toBe(timedOut);
+      expect(cloudRequests()).toHaveLength(0);
+    });
+
+    it('should surface UPnP faults', async () => {
+      const fault = new UPnPError({ action: 'Next', service: 'AVTransport', code: 701 });
+      jest.spyOn(upnp, 'next').mockRejectedValue(fault);
+
+      await expect(controller.runTransportCommand('next', null, 'Living Room')).rejects.toBe(fault);
+      expect(cloudRequests()).toHaveLength(0);
+    });
+  });
+
+  describe('findFavorite', () => {
+    it('should prefer an exact case-insensitive match and match non-Latin names', async () => {
+      replies['GET /households/Sonos_HOME/favorites'] = {
+        items: [
+          { id: 'F1', name: 'Rock and Roll' },
+          { id: 'F2', name: 'Rock & Roll' },
+          { id: 'F3', name: 'Радио Рекорд' },
+        ],
+      };
+
+      expect((await controller.findFavorite('Sonos_HOME', 'rock & roll')).favorite.id).toBe('F2');
+      expect((await controller.findFavorite('Sonos_HOME', 'Радио Рекорд')).favorite.id).toBe('F3');
+    });
+  });
+
+  describe('playFavoriteAfterDelay', () => {
+    it('should fade in the whole group through its coordinator', async () => {
+      replies['GET /households/Sonos_HOME/favorites'] = {
+        items: [{ id: 'F1', name: 'Morning Acoustic' }],
+      };
+      const stepped = jest.spyOn(ramps, 'rampStepped')
+        .mockResolvedValue({ method: 'stepped', rampTimeSeconds: 20 });
+      const rampUpnp = jest.spyOn(ramps, 'rampUpnp');
+      const setGroupVolume = jest.spyOn(upnp, 'setGroupVolume').mockResolvedValue({});
+
+      const ramp = { volume: 25, durationSeconds: 20 };
+      expect(await controller.playFavoriteAfterDelay('Morning Acoustic', 'Kitchen', { ramp, delayMs: 0 }))
+        .toBe(true);
+
+      expect(cloudRequests().filter((r) => r.key === 'POST /groups/G1/groupVolume'))
+        .toEqual([expect.objectContaining({ data: { volume: 0 } })]);
+      expect(rampUpnp).not.toHaveBeenCalled();
+      const [room, options] = stepped.mock.calls[0];
+      expect(room).toBe('Kitchen');
+      expect(options).toMatchObject({ from: 0, to: 25, durationSeconds: 20 });
+      await options.setVolume(10);
+      expect(setGroupVolume).toHaveBeenCalledWith(10, 'Living Room');
+    });
+
+    it('should reuse a group the route already resolved', async () => {
+      replies['GET /households/Sonos_HOME/favorites'] = {
+        items: [{ id: 'F1', name: 'Morning Acoustic' }],
+      };
+      const group = {
+        householdId: 'Sonos_HOME', groupId: 'G2', name: 'Office', coordinator: 'Office', playerCount: 1,
+      };
+
+      expect(await controller.playFavoriteAfterDelay('Morning Acoustic', 'Office', { group, delayMs: 0 }))
+        .toBe(true);
+
+      const keys = cloudRequests().map((r) => r.key);
+      expect(keys).not.toContain('GET /households');
+      expect(keys).not.toContain('GET /households/Sonos_HOME/groups');
+      expect(keys).toContain('POST /groups/G2/favorites');
+    });
+  });
+
+  describe('Spotify playlists', () => {
+    const TRACKS = ['Starlight', 'Uprising', 'Madness', 'Starlight (Live)']
+      .map((name, i) => ({ id: `t${i}`, name }));
+
+    it('should resolve the start track from a position or a name', () => {
+      expect(controller.resolveStartIndex(TRACKS, undefined)).toBe(0);
+      expect(controller.resolveStartIndex(TRACKS, '3')).toBe(2);
+      expect(controller.resolveStartIndex(TRACKS, 5)).toBe(-1);
+      expect(controller.resolveStartIndex(TRACKS, 'starlight')).toBe(0);
+      expect(controller.resolveStartIndex(TRACKS, 'live')).toBe(3);
+      expect(controller.resolveStartIndex(TRACKS, 'Hysteria')).toBe(-1);
+    });
+
+    it("should prefer the user's own playlist and skip unplayable tracks", async () => {
+      replies['GET /me/playlists'] = {
+        items: [
+          { id: 'PL1', name: 'Road Trip Classics', owner: { display_name: 'me' } },
+          { id: 'PL2', name: 'Road Trip', owner: { display_name: 'me' } },
+        ],
+        next: null,
+      };
+      replies['GET /playlists/PL2/tracks'] = {
+        items: [
+          { track: { id: 't1', type: 'track', name: 'Starlight' } },
+          { track: { id: 'e1', type: 'episode', name: 'A podcast' } },
+          {
+            track: {
+              id: null, type: 'track', name: 'Local demo', is_local: true,
+            },
+          },
+          { track: null },
+          { track: { id: 't2', type: 'track', name: 'Uprising' } },
+        ],
+        next: null,
+      };
+
+      const { playlist, tracks } = await controller.searchSpotifyPlaylist('road trip');
+
+      expect(playlist).toMatchObject({ id: 'PL2', name: 'Road Trip', source: 'library' });
+      expect(tracks.map((t) => t.id)).toEqual(['t1', 't2']);
+      expect(requests.map((r) => r.key)).not.toContain('GET /search');
+    });
+
+    it('should fall back to public search', async () => {
+      replies['GET /me/playlists'] = { items: [], next: null };
+      replies['GET /search'] = {
+        playlists: { items: [null, { id: 'PL9', name: 'Road Trip', owner: { display_name: 'Spotify' } }] },
+      };
+      replies['GET /playlists/PL9/tracks'] = { items: [], next: null };
+
+      const { playlist } = await controller.searchSpotifyPlaylist('Road Trip');
+
+      expect(playlist).toMatchObject({ id: 'PL9', source: 'search' });
+    });
+
+    it('should report the Spotify scopes the stored tokens lack', () => {
+      const store = createTokenStore({ fs, dir, secret: SECRET });
+      const tokens = store.load('spotify');
+      try {
+        store.save('spotify', { ...tokens, scope: 'user-modify-playback-state' });
+        expect(createController().missingSpotifyScopes())
+          .toEqual(['playlist-read-private', 'playlist-read-collaborative']);
+      } finally {
+        store.save('spotify', tokens);
+      }
+      expect(createController().missingSpotifyScopes()).toEqual([]);
+    });
+  });
+
+  describe('Spotify ranking', () => {
+    it('should rank an exact artist name above a more popular partial match', () => {
+      const ranked = controller.rankArtistResults([
+        { id: 'a1', name: 'Muse Tribute Band', popularity: 70 },
+        { id: 'a2', name: 'Muse', popularity: 40 },
+        { id: 'a3', name: 'Mused', popularity: 10 },
+      ], 'muse');
+
+      expect(ranked.map((a) => [a.id, a.relevanceScore])).toEqual([
+        ['a2', 140], ['a1', 120], ['a3', 60],
+      ]);
+    });
+
+    it('should match artist names that only differ in spacing', () => {
+      const ranked = controller.rankArtistResults([
+        { id: 'a1', name: 'Day', popularity: 60 },
+        { id: 'a2', name: 'DAY6', popularity: 50 },
+      ], 'day 6');
+
+      expect(ranked[0]).toMatchObject({ id: 'a2', relevanceScore: 130 });
+    });
+
+    it('should keep the /search bonuses for track and artist names', () => {
+      const ranked = controller.rankSearchResults([
+        { name: 'Starlight', popularity: 50, artists: [{ name: 'Someone' }, { name: 'Muse' }] },
+        { name: 'Starlight', popularity: 80, artists: [{ name: 'Muse Tribute Band' }] },
+      ], '', 'Muse', 'Starlight');
+
+      expect(ranked.map((t) => t.relevanceScore)).toEqual([250, 230]);
+    });
+  });
+
+  describe('getArtistDiscographyMix', () => {
+    it('should fetch the album batches a few at a time', async () => {
+      const artist = { id: 'AR1', name: 'Muse' };
+      replies['GET /artists/AR1/albums'] = {
+        items: Array.from({ length: 120 }, (_, i) => ({ id: `al${i}`, name: `Album ${i}` })),
+        next: null,
+      };
+      let inFlight = 0;
+      let maxInFlight = 0;
+      replies['GET /albums'] = async (request) => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => {
+          setTimeout(resolve, 5);
+        });
+        inFlight -= 1;
+        return {
+          albums: request.params.ids.split(',').map((id) => ({
+            name: id,
+            images: [],
+            tracks: { items: [{ id: `${id}-t1`, name: 'Track', artists: [{ id: 'AR1' }] }] },
+          })),
+        };
+      };
+
+      const tracks = await controller.getArtistDiscographyMix(artist, 200);
+
+      expect(requests.filter((r) => r.key === 'GET /albums')).toHaveLength(6);
+      expect(maxInFlight).toBe(3);
+      expect(tracks).toHaveLength(120);
+    });
+  });
+
+  describe('findLibraryItem', () => {
+    const MUSE = {
+      kind: 'container',
+      id: 'A:ALBUMARTIST/Muse',
+      title: 'Muse',
+      uri: 'x-rincon-playlist:RINCON_LIVING01400#A:ALBUMARTIST/Muse',
+    };
+
+    it('should look up the album artist when only an artist is given', async () => {
+      const browse = jest.spyOn(upnp, 'browseLibrary').mockResolvedValue({ items: [MUSE] });
+
+      const { item } = await controller.findLibraryItem('tracks', undefined, { artist: 'Muse' });
+
+      expect(item).toBe(MUSE);
+      expect(browse).toHaveBeenCalledWith('albumArtists', { term: 'Muse', count: 200 }, 'Living Room');
+    });
+
+    it('should search with the whole query', async () => {
+      const bends = { title: 'The Bends', creator: 'Radiohead', uri: 'x-file-cifs://nas/bends' };
+      const browse = jest.spyOn(upnp, 'browseLibrary').mockResolvedValue({ items: [bends] });
+
+      const { item } = await controller.findLibraryItem('albums', 'The Bends');
+
+      expect(item).toBe(bends);
+      expect(browse).toHaveBeenCalledTimes(1);
+      expect(browse.mock.calls[0][1].term).toBe('The Bends');
+    });
+
+    it('should fall back to the longest word, keeping accents', async () => {
+      const cafe = { title: 'Café del Mar, Vol. 5', uri: 'x-file-cifs://nas/cafe' };
+      const browse = jest.spyOn(upnp, 'browseLibrary')
+        .mockResolvedValueOnce({ items: [] })
+        .mockResolvedValueOnce({ items: [cafe] });
+
+      const { item } = await controller.findLibraryItem('albums', 'Café del Mar Vol 5');
+
+      expect(item).toBe(cafe);
+      expect(browse.mock.calls.map(([, options]) => options.term)).toEqual(['Café del Mar Vol 5', 'Café']);
+    });
+
+    it('should only pick tracks by the requested artist', async () => {
+      const cover = { title: 'Starlight', creator: 'Some Cover Band', uri: 'x-file-cifs://nas/a.mp3' };
+      const original = { title: 'Starlight', creator: 'Muse', uri: 'x-file-cifs://nas/b.mp3' };
+      jest.spyOn(upnp, 'browseLibrary').mockResolvedValue({ items: [cover, original] });
+
+      const { item } = await controller.findLibraryItem('tracks', 'Starlight', { artist: 'Muse' });
+
+      expect(item).toBe(original);
+    });
+  });
+
+  describe('searchAndPlayLibrary', () => {
+    it('should play the artist container for an artist-only request', async () => {
+      const muse = {
+        kind: 'container', id: 'A:ALBUMARTIST/Muse', title: 'Muse', uri: 'x-rincon-playlist:x#A:ALBUMARTIST/Muse',
+      };
+      jest.spyOn(upnp, 'browseLibrary').mockResolvedValue({ items: [muse] });
+      const play = jest.spyOn(upnp, 'playLibraryItem').mockResolvedValue({ success: true, trackCount: 84 });
+
+      const result = await controller.searchAndPlayLibrary('tracks', undefined, { artist: 'Muse' });
+
+      expect(play).toHaveBeenCalledWith(muse, { room: 'Living Room', shuffle: false, volume: null });
+      expect(result).toMatchObject({ success: true, trackCount: 84, item: { title: 'Muse' } });
+    });
+
+    it('should report the closest names when nothing matches', async () => {
+      jest.spyOn(upnp, 'browseLibrary').mockResolvedValue({ items: [{ title: 'Hysteria', uri: 'x' }] });
+      const play = jest.spyOn(upnp, 'playLibraryItem');
+
+      const result = await controller.searchAndPlayLibrary('tracks', 'Hysterical Love');
+
+      expect(result).toMatchObject({ success: false, notFound: true });
+      expect(result.candidates[0].name).toBe('Hysteria');
+      expect(play).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('partyMode', () => {
+    it('should join each other room once over UPnP and report rooms that fail', async () => {
+      replies['POST /households/Sonos_HOME/groups/createGroup'] = () => {
+        throw new Error('Sonos cloud unavailable');
+      };
+      [
+        { uuid: 'RINCON_LIVINGSUB01400', roomName: 'Living Room', invisible: true },
+        { uuid: 'RINCON_KITCHEN01400', roomName: 'Kitchen' },
+        { uuid: 'RINCON_OFFICEL01400', roomName: 'Office' },
+        { uuid: 'RINCON_OFFICER01400', roomName: 'Office', invisible: true },
+      ].forEach((speaker) => discovery.registerSpeaker({ ...speaker, ip: '192.168.1.50', port: 1400 }));
+      jest.spyOn(discovery, 'discover').mockResolvedValue([]);
+      jest.spyOn(upnp, 'getZoneGroupState').mockResolvedValue([]);
+      const join = jest.spyOn(upnp, 'joinGroup').mockImplementation(async (uuid, room) => {
+        if (room === 'Office') throw new Error('UPnP SetAVTransportURI failed: 701');
+      });
+
+      const result = await controller.partyMode('Living Room');
+
+      expect(join.mock.calls).toEqual([
+        ['RINCON_LIVING01400', 'Kitchen'],
+        ['RINCON_LIVING01400', 'Office'],
+      ]);
+      expect(result).toMatchObject({
+        via: 'upnp',
+        failed: [{ room: 'Office', error: 'UPnP SetAVTransportURI failed: 701' }],
+      });
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for the token manager module.
+ */
+
+const axios = require('axios');
+const { createTokenManager } = require('../src/token_manager');
+
+function memoryStore(initial = {}) {
+  const entries = { ...initial };
+  return {
+    entries,
+    load: (name) => entries[name] || null,
+    save: jest.fn((name, value) => {
+      entries[name] = value;
+    }),
+    remove: jest.fn((name) => {
+      delete entries[name];
+    }),
+  };
+}
+
+const NOW = 1700000000000;
+
+describe('Token Manager Module', () => {
+  let store;
+  let http;
+  let clock;
+
+  function manager(options = {}) {
+    return createTokenManager({
+      name: 'sonos',
+      label: 'Sonos',
+      store,
+      http,
+      tokenUrl: 'https://auth.example.com/token',
+      clientId: 'id',
+      clientSecret: 'secret',
+      now: () => clock,
+      ...options,
+    });
+  }
+
+  beforeEach(() => {
+    clock = NOW;
+    store = memoryStore({
+      sonos: { access_token: 'old', refresh_token: 'refresh-1', expires_at: NOW + 3600 * 1000 },
+    });
+    http = {
+      post: jest.fn().mockResolvedValue({ data: { access_token: 'new', expires_in: 3600 } }),
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should not refresh a token that is still valid', async () => {
+    const auth = manager();
+
+    expect(await auth.ensureFresh()).toBe(true);
+    expect(http.post).not.toHaveBeenCalled();
+    expect(auth.accessToken()).toBe('old');
+  });
+
+  it('should refresh shortly before expiry and record the new expiry', async () => {
+    const auth = manager();
+    clock = NOW + 3590 * 1000;
+
+    expect(await auth.ensureFresh()).toBe(true);
+    expect(http.post).toHaveBeenCalledTimes(1);
+    const [url, params] = http.post.mock.calls[0];
+    expect(url).toBe('https://auth.example.com/token');
+    expect(params.get('grant_type')).toBe('refresh_token');
+    expect(params.get('refresh_token')).toBe('refresh-1');
+    expect(store.entries.sonos).toEqual({
+      access_token: 'new',
+      refresh_token: 'refresh-1',
+      expires_in: 3600,
+      expires_at: clock + 3600 * 1000,
+    });
+  });
+
+  it('should refresh tokens stored without an expiry', async () => {
+    store.entries.sonos = { access_token: 'old', refresh_token: 'refresh-1' };
+
+    expect(await manager().ensureFresh()).toBe(true);
+    expect(http.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('should collapse concurrent refreshes into one request', async () => {
+    let resolvePost;
+    http.post.mockReturnValue(new Promise((resolve) => {
+      resolvePost = resolve;
+    }));
+    const auth = manager();
+    clock = NOW + 3600 * 1000;
+
+    const results = Promise.all([auth.ensureFresh(), auth.refresh(), auth.ensureFresh()]);
+    resolvePost({ data: { access_token: 'new', expires_in: 3600 } });
+
+    expect(await results).toEqual([true, true, true]);
+    expect(http.post).toHaveBeenCalledTimes(1);
+    expect(store.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('should delete tokens whose refresh token was rejected', async () => {
+    http.post.mockRejectedValue({ response: { status: 400, data: { error: 'invalid_grant' } } });
+    const auth = manager();
+
+    expect(await auth.refresh()).toBe(false);
+    expect(store.remove).toHaveBeenCalledWith('sonos');
+    expect(auth.hasTokens()).toBe(false);
+  });
+
+  it('should keep tokens when the refresh fails for another reason', async () => {
+    http.post.mockRejectedValue(new Error('socket hang up'));
+    const auth = manager();
+
+    expect(await auth.refresh()).toBe(false);
+    expect(store.remove).not.toHaveBeenCalled();
+    expect(auth.hasTokens()).toBe(true);
+  });
+
+  it('should delete stored tokens that fail validation', () => {
+    const auth = manager({ validate: (tokens) => (tokens.scope ? null : 'missing scope') });
+
+    expect(auth.hasTokens()).toBe(false);
+    expect(store.remove).toHaveBeenCalledWith('sonos');
+  });
+
+  it('should exchange an authorization code', async () => {
+    http.post.mockResolvedValue({ data: { access_token: 'a', refresh_token: 'r', expires_in: 60 } });
+    store = memoryStore();
+    const auth = manager();
+
+    await auth.exchangeCode('code-1', 'http://localhost:8888/sonos_callback');
+
+    const [, params] = http.post.mock.calls[0];
+    expect(params.get('grant_type')).toBe('authorization_code');
+    expect(params.get('code')).toBe('code-1');
+    expect(store.entries.sonos.expires_at).toBe(NOW + 60 * 1000);
+  });
+
+  describe('attach', () => {
+    it('should send the access token and retry once after a 401', async () => {
+      const auth = manager();
+      const api = axios.create({ baseURL: 'https://api.example.com' });
+      const sent = [];
+      api.defaults.adapter = async (config) => {
+        sent.push(config.headers.Authorization);
+        if (sent.length === 1) {
+          const err = new Error('Unauthorized');
+          err.config = config;
+          err.response = { status: 401, data: {}, config };
+          throw err;
+        }
+        return {
+          data: { ok: true }, status: 200, statusText: 'OK', headers: {}, config,
+        };
+      };
+      auth.attach(api);
+
+      const { data } = await api.get('/households');
+
+      expect(data).toEqual({ ok: true });
+      expect(sent).toEqual(['Bearer old', 'Bearer new']);
+      expect(http.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up when the retried request is rejected too', async () => {
+      const auth = manager();
+      const api = axios.create({ baseURL: 'https://api.example.com' });
+      api.defaults.adapter = async (config) => {
+        const err = new Error('Unauthorized');
+        err.config = config;
+        err.response = { status: 401, data: {}, config };
+        throw err;
+      };
+      auth.attach(api);
+
+      await expect(api.get('/households')).rejects.toThrow('Unauthorized');
+      expect(http.post).toHaveBeenCalledTimes(1);
+    });
+  });
+});
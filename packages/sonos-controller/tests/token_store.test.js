@@ -0,0 +1,128 @@
+/**
+ * Tests for the token store module.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTokenStore, deriveKey } = require('../src/token_store');
+
+const SECRET = 'correct horse battery staple';
+const TOKENS = { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600 };
+
+describe('Token Store Module', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-')), 'store');
+    store = createTokenStore({ fs, dir, secret: SECRET });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+  });
+
+  it('should round-trip tokens without writing them in plaintext', () => {
+    store.save('sonos', TOKENS);
+
+    expect(store.load('sonos')).toEqual(TOKENS);
+    const contents = fs.readFileSync(store.filePath('sonos'), 'utf8');
+    expect(contents).not.toContain('refresh-1');
+    expect(JSON.parse(contents).algorithm).toBe('aes-256-gcm');
+  });
+
+  it('should create owner-only files and directory', () => {
+    store.save('sonos', TOKENS);
+
+    expect(fs.statSync(dir).mode.toString(8).slice(-3)).toBe('700');
+    expect(fs.statSync(store.filePath('sonos')).mode.toString(8).slice(-3)).toBe('600');
+  });
+
+  it('should return null for an entry that was never saved', () => {
+    expect(store.load('spotify')).toBeNull();
+  });
+
+  it('should not decrypt with another key', () => {
+    store.save('sonos', TOKENS);
+    const other = createTokenStore({ fs, dir, secret: 'another secret passphrase' });
+
+    expect(other.load('sonos')).toBeNull();
+  });
+
+  it("should not accept one entry's file for another", () => {
+    store.save('sonos', TOKENS);
+    fs.copyFileSync(store.filePath('sonos'), store.filePath('spotify'));
+
+    expect(store.load('spotify')).toBeNull();
+  });
+
+  it('should roll back to the last good copy when the file is corrupted', () => {
+    store.save('sonos', TOKENS);
+    store.save('sonos', { ...TOKENS, access_token: 'access-2' });
+    fs.writeFileSync(store.filePath('sonos'), '{"version":1,"da');
+
+    expect(store.load('sonos')).toEqual(TOKENS);
+    // The rolled-back copy is written back, so the next load reads it directly
+    expect(JSON.parse(fs.readFileSync(store.filePath('sonos'), 'utf8')).version).toBe(1);
+    expect(store.load('sonos')).toEqual(TOKENS);
+  });
+
+  it('should leave the previous file intact when a write fails', () => {
+    store.save('sonos', TOKENS);
+    const failingFs = {
+      ...fs,
+      renameSync: () => {
+        throw new Error('disk full');
+      },
+    };
+    const failing = createTokenStore({ fs: failingFs, dir, secret: SECRET });
+
+    expect(() => failing.save('sonos', { ...TOKENS, access_token: 'access-2' })).toThrow('disk full');
+    expect(store.load('sonos')).toEqual(TOKENS);
+    expect(fs.readdirSync(dir).filter((file) => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('should remove an entry together with its backup', () => {
+    store.save('sonos', TOKENS);
+    store.save('sonos', TOKENS);
+    store.remove('sonos');
+
+    expect(fs.readdirSync(dir)).toEqual([]);
+    expect(store.load('sonos')).toBeNull();
+  });
+
+  it('should move a legacy plaintext file into the store', () => {
+    const legacyFile = path.join(path.dirname(dir), '.sonos_tokens.json');
+    fs.writeFileSync(legacyFile, JSON.stringify(TOKENS));
+
+    expect(store.importLegacy('sonos', legacyFile)).toBe(true);
+    expect(fs.existsSync(legacyFile)).toBe(false);
+    expect(store.load('sonos')).toEqual(TOKENS);
+  });
+
+  it('should not overwrite stored tokens with a legacy file', () => {
+    store.save('sonos', TOKENS);
+    const legacyFile = path.join(path.dirname(dir), '.sonos_tokens.json');
+    fs.writeFileSync(legacyFile, JSON.stringify({ ...TOKENS, access_token: 'old' }));
+
+    expect(store.importLegacy('sonos', legacyFile)).toBe(false);
+    expect(store.load('sonos')).toEqual(TOKENS);
+  });
+
+  describe('deriveKey', () => {
+    it('should use a 64-character hex key as is', () => {
+      const hex = 'ab'.repeat(32);
+      expect(deriveKey(hex)).toEqual(Buffer.from(hex, 'hex'));
+    });
+
+    it('should reject missing or short keys', () => {
+      expect(() => deriveKey(undefined)).toThrow('at least 16 characters');
+      expect(() => deriveKey('short')).toThrow('at least 16 characters');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for the topology cache module.
+ */
+
+const axios = require('axios');
+const { createTopologyCache, selectHousehold } = require('../src/topology');
+
+const HOUSEHOLDS = [
+  { id: 'Sonos_HOME', name: 'Home' },
+  { id: 'Sonos_CABIN', name: 'Cabin' },
+];
+
+function groupsResponse(playerIds = ['P1']) {
+  return {
+    data: {
+      groups: [{
+        id: 'G1', name: 'Living Room', coordinatorId: 'P1', playerIds,
+      }],
+      players: [{ id: 'P1', name: 'Living Room' }, { id: 'P2', name: 'Kitchen' }],
+    },
+  };
+}
+
+describe('Topology Module', () => {
+  let api;
+  let clock;
+
+  function cache(options = {}) {
+    return createTopologyCache({
+      api, ttlSeconds: 60, now: () => clock, ...options,
+    });
+  }
+
+  beforeEach(() => {
+    clock = 0;
+    api = {
+      get: jest.fn((url) => Promise.resolve(
+        url === '/households' ? { data: { households: HOUSEHOLDS } } : groupsResponse(),
+      )),
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reuse the topology within the TTL', async () => {
+    const topology = cache();
+
+    const first = await topology.get();
+    clock = 59 * 1000;
+    const second = await topology.get();
+
+    expect(second).toBe(first);
+    expect(first.householdId).toBe('Sonos_HOME');
+    expect(api.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fetch again once the TTL has passed', async () => {
+    const topology = cache();
+
+    await topology.get();
+    clock = 61 * 1000;
+    await topology.get();
+
+    expect(api.get).toHaveBeenCalledTimes(4);
+  });
+
+  it('should share one fetch between concurrent callers', async () => {
+    const topology = cache();
+
+    const [a, b] = await Promise.all([topology.get(), topology.get({ refresh: true })]);
+
+    expect(a).toBe(b);
+    expect(api.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should select a household by name', async () => {
+    const topology = await cache({ household: 'cabin' }).get();
+
+    expect(topology.householdId).toBe('Sonos_CABIN');
+    expect(api.get).toHaveBeenCalledWith('/households/Sonos_CABIN/groups');
+  });
+
+  it('should return null when the account has no households', async () => {
+    api.get.mockResolvedValue({ data: { households: [] } });
+
+    expect(await cache().get()).toBeNull();
+  });
+
+  it('should refetch after invalidation', async () => {
+    const topology = cache();
+
+    await topology.get();
+    topology.invalidate('test');
+    await topology.get();
+
+    expect(api.get).toHaveBeenCalledTimes(4);
+  });
+
+  it('should not cache a fetch that was running when the cache was invalidated', async () => {
+    let releaseStale;
+    api.get.mockImplementationOnce(() => new Promise((resolve) => {
+      releaseStale = () => resolve({ data: { households: HOUSEHOLDS } });
+    }));
+    const topology = cache();
+
+    const stale = topology.get();
+    topology.invalidate('regrouped');
+    api.get.mockImplementation((url) => Promise.resolve(
+      url === '/households' ? { data: { households: HOUSEHOLDS } } : groupsResponse(['P1', 'P2']),
+    ));
+    const fresh = await topology.get();
+    // The stale fetch finishes last, with the groups as they were before
+    api.get.mockImplementation(() => Promise.resolve(groupsResponse(['P1'])));
+    releaseStale();
+    await stale;
+
+    expect(fresh.groups[0].playerIds).toEqual(['P1', 'P2']);
+    expect((await topology.get()).groups[0].playerIds).toEqual(['P1', 'P2']);
+    expect(api.get).toHaveBeenCalledTimes(4);
+  });
+
+  it('should pick up group changes by polling only the groups', async () => {
+    const topology = cache();
+    await topology.get();
+    api.get.mockResolvedValue(groupsResponse(['P1', 'P2']));
+
+    await topology.poll();
+
+    expect(api.get).toHaveBeenLastCalledWith('/households/Sonos_HOME/groups');
+    expect(api.get).toHaveBeenCalledTimes(3);
+    expect((await topology.get()).groups[0].playerIds).toEqual(['P1', 'P2']);
+    expect(console.log).toHaveBeenCalledWith('[Topology] Groups changed: Living Room');
+  });
+
+  it('should keep the cached topology when polling fails', async () => {
+    const topology = cache();
+    const first = await topology.get();
+    api.get.mockRejectedValue(new Error('timeout'));
+
+    await topology.poll();
+
+    expect(await topology.get()).toBe(first);
+  });
+
+  it('should invalidate on a 404 from a group command', async () => {
+    const topology = cache();
+    await topology.get();
+    const client = axios.create({ baseURL: 'https://api.example.com' });
+    client.defaults.adapter = async (config) => {
+      const err = new Error('Not Found');
+      err.config = config;
+      err.response = { status: 404, data: {}, config };
+      throw err;
+    };
+    topology.attach(client);
+
+    await expect(client.post('/groups/G1/playback/play')).rejects.toThrow('Not Found');
+    await topology.get();
+
+    expect(api.get).toHaveBeenCalledTimes(4);
+  });
+
+  describe('selectHousehold', () => {
+    it('should default to the first household', () => {
+      expect(selectHousehold(HOUSEHOLDS)).toBe(HOUSEHOLDS[0]);
+    });
+
+    it('should match an ID and list the households when nothing matches', () => {
+      expect(selectHousehold(HOUSEHOLDS, 'sonos_cabin')).toBe(HOUSEHOLDS[1]);
+      expect(() => selectHousehold(HOUSEHOLDS, 'Office'))
+        .toThrow("No Sonos household named 'Office'. Available: Home (Sonos_HOME), Cabin (Sonos_CABIN)");
+    });
+  });
+});
@@ -2,7 +2,11 @@
  * Tests for the UPnP module.
  */
 
+const http = require('http');
 const upnp = require('../src/upnp');
+const discovery = require('../src/discovery');
+const { parseDidl } = require('../src/xml');
+const { UPnPError, httpStatusForUPnPError } = require('../src/errors');
 
 describe('UPnP Module', () => {
   describe('spotifyToSonosUri', () => {
@@ -21,6 +25,18 @@ describe('UPnP Module', () => {
     });
   });
 
+  describe('spotifyArtistToSonosRadioUri', () => {
+    it('should build a Sonos artist radio URI', () => {
+      expect(upnp.spotifyArtistToSonosRadioUri('12Chz98pHFMPJEknJQMWvI')).toBe(
+        'x-sonosapi-radio:spotify%3AartistRadio%3A12Chz98pHFMPJEknJQMWvI?sid=12&flags=8300&sn=7',
+      );
+    });
+
+    it('should reject invalid artist IDs', () => {
+      expect(() => upnp.spotifyArtistToSonosRadioUri('not an id')).toThrow('Invalid Spotify artist ID');
+    });
+  });
+
   describe('escapeXml', () => {
     it('should escape XML special characters', () => {
       expect(upnp.escapeXml('Hello & World')).toBe('Hello &amp; World');
@@ -59,6 +75,488 @@ describe('UPnP Module', () => {
     });
   });
 
+  describe('parseSoapResponse', () => {
+    it('should parse output arguments into a plain object', () => {
+      const xml = `<s:Envelope><s:Body>
+        <u:GetTransportInfoResponse xmlns:u="urn:schemas-upnp-org:service:AVTransport:1">
+          <CurrentTransportState>PLAYING</CurrentTransportState>
+          <CurrentTransportStatus>OK</CurrentTransportStatus>
+          <CurrentSpeed>1</CurrentSpeed>
+        </u:GetTransportInfoResponse>
+      </s:Body></s:Envelope>`;
+
+      expect(upnp.parseSoapResponse(xml, 'GetTransportInfo')).toEqual({
+        CurrentTransportState: 'PLAYING',
+        CurrentTransportStatus: 'OK',
+        CurrentSpeed: '1',
+      });
+    });
+
+    it('should decode escaped DIDL metadata', () => {
+      const xml = `<u:GetPositionInfoResponse>
+        <Track>3</Track>
+        <TrackMetaData>&lt;DIDL-Lite&gt;&lt;item id=&quot;-1&quot; parentID=&quot;-1&quot;&gt;&lt;dc:title&gt;Starlight&lt;/dc:title&gt;&lt;dc:creator&gt;Muse&lt;/dc:creator&gt;&lt;/item&gt;&lt;/DIDL-Lite&gt;</TrackMetaData>
+        <NextURI/>
+      </u:GetPositionInfoResponse>`;
+
+      const result = upnp.parseSoapResponse(xml, 'GetPositionInfo');
+      expect(result.Track).toBe('3');
+      expect(result.NextURI).toBe('');
+      expect(parseDidl(result.TrackMetaData)[0]).toMatchObject({
+        id: '-1',
+        title: 'Starlight',
+        creator: 'Muse',
+      });
+    });
+  });
+
+  describe('parseSoapFault', () => {
+    it('should turn a fault into a typed UPnPError', () => {
+      const xml = `<s:Envelope><s:Body><s:Fault>
+        <faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring>
+        <detail><UPnPError xmlns="urn:schemas-upnp-org:control-1-0">
+          <errorCode>701</errorCode>
+        </UPnPError></detail>
+      </s:Fault></s:Body></s:Envelope>`;
+
+      const err = upnp.parseSoapFault(xml, 'Play', 'urn:schemas-upnp-org:service:AVTransport:1', 500);
+      expect(err).toBeInstanceOf(UPnPError);
+      expect(err.upnpErrorCode).toBe(701);
+      expect(err.meaning).toBe('Transition not available');
+      expect(httpStatusForUPnPError(err)).toBe(409);
+    });
+
+    it('should use service-specific meanings', () => {
+      const xml = '<UPnPError><errorCode>701</errorCode></UPnPError>';
+      const err = upnp.parseSoapFault(
+        xml,
+        'Browse',
+        'urn:schemas-upnp-org:service:ContentDirectory:1',
+        500,
+      );
+      expect(err.meaning).toBe('No such object');
+      expect(httpStatusForUPnPError(err)).toBe(404);
+    });
+
+    it('should return null when there is no UPnP error code', () => {
+      expect(upnp.parseSoapFault('<html>oops</html>', 'Play', 'AVTransport', 500)).toBeNull();
+    });
+  });
+
+  describe('isSeekableUri', () => {
+    it('should allow seeking queues and tracks but not streams or group members', () => {
+      expect(upnp.isSeekableUri('x-rincon-queue:RINCON_B8E937000001401400#0')).toBe(true);
+      expect(upnp.isSeekableUri('x-sonos-spotify:spotify%3Atrack%3A123?sid=9')).toBe(true);
+      expect(upnp.isSeekableUri('x-sonosapi-stream:s17488?sid=254')).toBe(false);
+      expect(upnp.isSeekableUri('x-rincon-stream:RINCON_B8E937000001401400')).toBe(false);
+      expect(upnp.isSeekableUri('x-rincon:RINCON_B8E937000001401400')).toBe(false);
+    });
+  });
+
+  describe('parseZoneGroupState', () => {
+    it('should list groups with their coordinator and visible members', () => {
+      const xml = '<ZoneGroupState><ZoneGroups>'
+        + '<ZoneGroup Coordinator="RINCON_A01400" ID="RINCON_A01400:12">'
+        + '<ZoneGroupMember UUID="RINCON_A01400" ZoneName="Kitchen" Location="http://192.168.1.60:1400/xml/device_description.xml">'
+        + '<Satellite UUID="RINCON_S01400" ZoneName="Kitchen" Invisible="1"/>'
+        + '</ZoneGroupMember>'
+        + '<ZoneGroupMember UUID="RINCON_B01400" ZoneName="Lounge"/>'
+        + '<ZoneGroupMember UUID="RINCON_C01400" ZoneName="Lounge" Invisible="1"/>'
+        + '</ZoneGroup>'
+        + '<ZoneGroup Coordinator="RINCON_D01400" ID="RINCON_D01400:3">'
+        + '<ZoneGroupMember UUID="RINCON_D01400" ZoneName="Study"/>'
+        + '</ZoneGroup>'
+        + '</ZoneGroups></ZoneGroupState>';
+
+      expect(upnp.parseZoneGroupState(xml)).toEqual([
+        {
+          id: 'RINCON_A01400:12',
+          coordinator: 'RINCON_A01400',
+          members: [
+            { uuid: 'RINCON_A01400', roomName: 'Kitchen' },
+            { uuid: 'RINCON_B01400', roomName: 'Lounge' },
+          ],
+        },
+        {
+          id: 'RINCON_D01400:3',
+          coordinator: 'RINCON_D01400',
+          members: [{ uuid: 'RINCON_D01400', roomName: 'Study' }],
+        },
+      ]);
+    });
+  });
+
+  describe('shuffleArray', () => {
+    it('should return a new array with the same items', () => {
+      const items = [1, 2, 3, 4, 5, 6, 7, 8];
+      const shuffled = upnp.shuffleArray(items);
+
+      expect(shuffled).not.toBe(items);
+      expect([...shuffled].sort((a, b) => a - b)).toEqual(items);
+    });
+  });
+
+  describe('playModeFor', () => {
+    it('should map shuffle and repeat settings to a Sonos play mode', () => {
+      expect(upnp.playModeFor({ shuffle: false, repeat: 'none' })).toBe('NORMAL');
+      expect(upnp.playModeFor({ shuffle: true, repeat: 'none' })).toBe('SHUFFLE_NOREPEAT');
+      expect(upnp.playModeFor({ shuffle: true, repeat: 'all' })).toBe('SHUFFLE');
+      expect(upnp.playModeFor({ shuffle: false, repeat: 'one' })).toBe('REPEAT_ONE');
+    });
+
+    it('should return null for an unknown repeat mode', () => {
+      expect(upnp.playModeFor({ shuffle: false, repeat: 'sometimes' })).toBeNull();
+    });
+  });
+
+  describe('getQueueUri', () => {
+    it('should build the queue URI from the speaker UDN', async () => {
+      discovery.registerSpeaker({
+        uuid: 'RINCON_B8E937000001401400',
+        roomName: 'Study',
+        ip: '192.168.1.60',
+        port: 1400,
+      });
+
+      expect(await upnp.getRinconId('Study')).toBe('RINCON_B8E937000001401400');
+      expect(await upnp.getQueueUri('study')).toBe('x-rincon-queue:RINCON_B8E937000001401400#0');
+    });
+
+    it('should follow a speaker to its new IP after a DHCP reshuffle', async () => {
+      discovery.registerSpeaker({
+        uuid: 'RINCON_DEN01400', roomName: 'Den', ip: '192.168.1.70', port: 1400,
+      });
+      discovery.registerSpeaker({
+        uuid: 'RINCON_HALL01400', roomName: 'Hall', ip: '192.168.1.71', port: 1400,
+      });
+      expect(await upnp.getRinconId('Den')).toBe('RINCON_DEN01400');
+      expect(await upnp.getRinconId('Hall')).toBe('RINCON_HALL01400');
+
+      // The two speakers swap addresses
+      discovery.registerSpeaker({
+        uuid: 'RINCON_DEN01400', roomName: 'Den', ip: '192.168.1.71', port: 1400,
+      });
+      discovery.registerSpeaker({
+        uuid: 'RINCON_HALL01400', roomName: 'Hall', ip: '192.168.1.70', port: 1400,
+      });
+
+      expect(await upnp.getQueueUri('Den')).toBe('x-rincon-queue:RINCON_DEN01400#0');
+      expect(await upnp.getRinconId('Hall')).toBe('RINCON_HALL01400');
+    });
+  });
+
+  describe('buildLibraryMetadata', () => {
+    it('should describe an album as a container', () => {
+      const metadata = upnp.buildLibraryMetadata({
+        kind: 'container',
+        id: 'A:ALBUM/Origin%20of%20Symmetry',
+        parentId: 'A:ALBUM',
+        title: 'Origin of Symmetry',
+        class: 'object.container.album.musicAlbum',
+      });
+
+      const [item] = parseDidl(metadata);
+      expect(item.kind).toBe('container');
+      expect(item.id).toBe('A:ALBUM/Origin%20of%20Symmetry');
+      expect(item.title).toBe('Origin of Symmetry');
+      expect(item.class).toBe('object.container.album.musicAlbum');
+    });
+
+    it('should escape titles and default to a track', () => {
+      const metadata = upnp.buildLibraryMetadata({ id: 'S://nas/music/a.flac', title: 'Rock & Roll' });
+
+      expect(metadata).toContain('<dc:title>Rock &amp; Roll</dc:title>');
+      expect(metadata).toContain('object.item.audioItem.musicTrack');
+      expect(metadata).toContain('<item ');
+    });
+  });
+
+  describe('browseLibrary', () => {
+    it('should reject unknown categories', async () => {
+      await expect(upnp.browseLibrary('podcasts')).rejects.toThrow("Unknown library category 'podcasts'");
+    });
+
+    it('should only search the A: categories', async () => {
+      await expect(upnp.browseLibrary('playlists', { term: 'dinner' }))
+        .rejects.toThrow("The 'playlists' category can't be searched");
+    });
+  });
+
+  describe('playLibraryItem', () => {
+    it('should refuse items without a URI', async () => {
+      const result = await upnp.playLibraryItem({ title: 'Music' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("'Music' can't be played directly");
+    });
+  });
+
+  describe('SOAP transport', () => {
+    let server;
+    let speaker;
+    let received;
+    let connections;
+    let bodies;
+    // action -> (res, count, body) => void; the default answers right away
+    let handlers;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const action = req.headers.soapaction.replace(/^"[^#]+#|"$/g, '');
+        received.push(action);
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          bodies.push(body);
+          const count = received.filter((a) => a === action).length;
+          (handlers[action] || ((r) => r.end('')))(res, count, body);
+        });
+      });
+      server.on('connection', () => {
+        connections += 1;
+      });
+      await new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', resolve);
+      });
+      speaker = discovery.registerSpeaker({
+        uuid: 'RINCON_TRANSPORT01400',
+        roomName: 'Transport Test',
+        ip: '127.0.0.1',
+        port: server.address().port,
+      });
+    });
+
+    afterAll(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => {
+        server.close(resolve);
+      });
+    });
+
+    beforeEach(() => {
+      received = [];
+      bodies = [];
+      connections = 0;
+      handlers = {};
+      process.env.SONOS_SOAP_TIMEOUT_MS = '200';
+      jest.spyOn(discovery, 'resolveSpeaker').mockResolvedValue(speaker);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      delete process.env.SONOS_SOAP_TIMEOUT_MS;
+      jest.restoreAllMocks();
+    });
+
+    // Handler answering an action with the given output arguments
+    function reply(action, args) {
+      const xml = Object.entries(args)
+        .map(([name, value]) => `<${name}>${upnp.escapeXml(String(value))}</${name}>`)
+        .join('');
+      return (res) => res.end(
+        `<s:Envelope><s:Body><u:${action}Response>${xml}</u:${action}Response></s:Body></s:Envelope>`,
+      );
+    }
+
+    function bodyOf(action) {
+      return bodies[received.indexOf(action)];
+    }
+
+    it('should reuse one kept-alive connection', async () => {
+      await upnp.getTransportInfo('Transport Test');
+      await upnp.getVolume('Transport Test');
+      await upnp.play('Transport Test');
+
+      expect(received).toEqual(['GetTransportInfo', 'GetVolume', 'Play']);
+      expect(connections).toBe(1);
+    });
+
+    it('should retry a read that times out', async () => {
+      handlers.GetPositionInfo = (res, count) => {
+        if (count > 1) res.end('');
+      };
+
+      await upnp.getPositionInfo('Transport Test');
+
+      expect(received).toEqual(['GetPositionInfo', 'GetPositionInfo']);
+    });
+
+    it('should not resend a command the speaker may already have run', async () => {
+      handlers.Play = () => {};
+
+      await expect(upnp.play('Transport Test')).rejects.toMatchObject({
+        isNetworkError: true,
+        code: 'ETIMEDOUT',
+        message: 'SOAP request error: Play timed out waiting for a response after 200ms',
+      });
+      expect(received).toEqual(['Play']);
+    });
+
+    it('should not interleave the commands of concurrent playback requests', async () => {
+      handlers.SetAVTransportURI = (res) => setTimeout(() => res.end(''), 30);
+
+      const results = await Promise.all([
+        upnp.playSpotifyTrack('spotify:track:aaa', {}, null, 'Transport Test'),
+        upnp.playSpotifyTrack('spotify:track:bbb', {}, 20, 'Transport Test'),
+      ]);
+
+      expect(results).toEqual([{ success: true }, { success: true }]);
+      expect(received).toEqual(['SetAVTransportURI', 'Play', 'SetVolume', 'SetAVTransportURI', 'Play']);
+    });
+
+    it('should let reads through while a sequence holds the lock', async () => {
+      let finish;
+      const sequence = upnp.withSpeakerLock('Transport Test', async () => {
+        await upnp.stop('Transport Test');
+        await new Promise((resolve) => {
+          finish = resolve;
+        });
+        await upnp.play('Transport Test');
+      });
+      await new Promise((resolve) => {
+        setTimeout(resolve, 20);
+      });
+
+      await upnp.getTransportInfo('Transport Test');
+      const pause = upnp.pause('Transport Test');
+      finish();
+      await Promise.all([sequence, pause]);
+
+      expect(received).toEqual(['Stop', 'GetTransportInfo', 'Play', 'Pause']);
+    });
+
+    it('should read the queue with positions from the Browse result', async () => {
+      const didl = '<DIDL-Lite xmlns:dc="http://purl.org/dc/elements/1.1/" '
+        + 'xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/">'
+        + '<item id="Q:0/11" parentID="Q:0"><dc:title>Starlight</dc:title><dc:creator>Muse</dc:creator>'
+        + '<upnp:album>Black Holes &amp; Revelations</upnp:album>'
+        + '<res protocolInfo="sonos.com-spotify:*:audio/x-spotify:*" duration="0:04:00">'
+        + 'x-sonos-spotify:spotify%3atrack%3aaaa?sid=9&amp;flags=8224&amp;sn=1</res></item>'
+        + '<item id="Q:0/12" parentID="Q:0"><dc:title>Supermassive Black Hole</dc:title>'
+        + '<dc:creator>Muse</dc:creator><res>x-sonos-spotify:spotify%3atrack%3abbb</res></item>'
+        + '</DIDL-Lite>';
+      handlers.Browse = reply('Browse', {
+        Result: didl, NumberReturned: 2, TotalMatches: 14, UpdateID: 7,
+      });
+
+      const queue = await upnp.getQueue({ start: 10, count: 2 }, 'Transport Test');
+
+      expect(bodyOf('Browse')).toContain('<ObjectID>Q:0</ObjectID>');
+      expect(bodyOf('Browse')).toContain('<StartingIndex>10</StartingIndex>');
+      expect(bodyOf('Browse')).toContain('<RequestedCount>2</RequestedCount>');
+      expect(queue.total).toBe(14);
+      expect(queue.items).toEqual([
+        expect.objectContaining({
+          position: 11,
+          id: 'Q:0/11',
+          title: 'Starlight',
+          creator: 'Muse',
+          album: 'Black Holes & Revelations',
+          uri: 'x-sonos-spotify:spotify%3atrack%3aaaa?sid=9&flags=8224&sn=1',
+          duration: '0:04:00',
+        }),
+        expect.objectContaining({ position: 12, title: 'Supermassive Black Hole', album: null }),
+      ]);
+    });
+
+    describe('playTracks', () => {
+      const TRACKS = ['aaa', 'bbb', 'ccc', 'ddd'].map((id) => ({ id, name: id, artists: [{ name: 'Muse' }] }));
+
+      function queuedIds() {
+        return bodies
+          .filter((body, i) => received[i] === 'AddURIToQueue')
+          .map((body) => body.match(/spotify%3atrack%3a(\w+)/)[1]);
+      }
+
+      it('should queue the tracks in order and start at the chosen one', async () => {
+        const result = await upnp.playTracks(TRACKS, { name: 'Absolution' }, {
+          room: 'Transport Test', startIndex: 2,
+        });
+
+        expect(result).toEqual({ success: true, trackCount: 4, startTrackNumber: 3 });
+        expect(queuedIds()).toEqual(['aaa', 'bbb', 'ccc', 'ddd']);
+        expect(bodyOf('Seek')).toContain('<Target>3</Target>');
+        expect(received.slice(0, 2)).toEqual(['Stop', 'RemoveAllTracksFromQueue']);
+        expect(received.slice(-3)).toEqual(['SetAVTransportURI', 'Seek', 'Play']);
+      });
+
+      it('should play the chosen track first when shuffling', async () => {
+        const result = await upnp.playTracks(TRACKS, {}, {
+          room: 'Transport Test', shuffle: true, startIndex: 2,
+        });
+
+        expect(result.startTrackNumber).toBe(1);
+        const queued = queuedIds();
+        expect(queued[0]).toBe('ccc');
+        expect([...queued].sort()).toEqual(['aaa', 'bbb', 'ccc', 'ddd']);
+        expect(bodyOf('Seek')).toContain('<Target>1</Target>');
+      });
+    });
+
+    describe('enqueueSpotifyTrack', () => {
+      beforeEach(() => {
+        handlers.AddURIToQueue = reply('AddURIToQueue', {
+          FirstTrackNumberEnqueued: 5, NumTracksAdded: 1, NewQueueLength: 9,
+        });
+        handlers.GetPositionInfo = reply('GetPositionInfo', { Track: 4 });
+      });
+
+      it('should insert after the current track while the queue is playing', async () => {
+        handlers.GetMediaInfo = reply('GetMediaInfo', { CurrentURI: 'x-rincon-queue:RINCON_TRANSPORT01400#0' });
+
+        const result = await upnp.enqueueSpotifyTrack(
+          'spotify:track:aaa',
+          { title: 'Starlight' },
+          { next: true, room: 'Transport Test' },
+        );
+
+        expect(bodyOf('AddURIToQueue')).toContain('<DesiredFirstTrackNumberEnqueued>5</DesiredFirstTrackNumberEnqueued>');
+        expect(bodyOf('AddURIToQueue')).toContain('<EnqueueAsNext>1</EnqueueAsNext>');
+        expect(result).toEqual({
+          firstTrackNumberEnqueued: 5, numTracksAdded: 1, newQueueLength: 9,
+        });
+      });
+
+      it('should append when something other than the queue is playing', async () => {
+        handlers.GetMediaInfo = reply('GetMediaInfo', { CurrentURI: 'x-sonosapi-radio:spotify%3aartistRadio%3abbb' });
+
+        await upnp.enqueueSpotifyTrack('spotify:track:aaa', {}, { next: true, room: 'Transport Test' });
+
+        expect(bodyOf('AddURIToQueue')).toContain('<DesiredFirstTrackNumberEnqueued>0</DesiredFirstTrackNumberEnqueued>');
+        expect(bodyOf('AddURIToQueue')).toContain('<EnqueueAsNext>1</EnqueueAsNext>');
+      });
+
+      it('should append without reading the transport when not playing next', async () => {
+        await upnp.enqueueSpotifyTrack('spotify:track:aaa', {}, { room: 'Transport Test' });
+
+        expect(received).toEqual(['AddURIToQueue']);
+        expect(bodyOf('AddURIToQueue')).toContain('<DesiredFirstTrackNumberEnqueued>0</DesiredFirstTrackNumberEnqueued>');
+        expect(bodyOf('AddURIToQueue')).toContain('<EnqueueAsNext>0</EnqueueAsNext>');
+        expect(bodyOf('AddURIToQueue')).toContain(upnp.escapeXml(upnp.spotifyToSonosUri('spotify:track:aaa')));
+      });
+    });
+
+    it('should unmute when restoring a snapshot fails', async () => {
+      handlers.SetAVTransportURI = (res) => {
+        res.statusCode = 500;
+        res.end('<s:Fault><detail><UPnPError><errorCode>714</errorCode></UPnPError></detail></s:Fault>');
+      };
+      const snapshot = {
+        room: 'Transport Test', uri: 'x-sonosapi-hls:expired', volume: 30, mute: false,
+      };
+
+      await expect(upnp.restoreSnapshot(snapshot)).rejects.toBeInstanceOf(UPnPError);
+
+      expect(received).toEqual(['SetMute', 'SetAVTransportURI', 'SetMute']);
+      expect(bodies[0]).toContain('<DesiredMute>1</DesiredMute>');
+      expect(bodies[2]).toContain('<DesiredMute>0</DesiredMute>');
+    });
+  });
+
   describe('module exports', () => {
     it('should export all required functions', () => {
       expect(typeof upnp.soapRequest).toBe('function');
@@ -68,10 +566,21 @@ describe('UPnP Module', () => {
       expect(typeof upnp.pause).toBe('function');
       expect(typeof upnp.setVolume).toBe('function');
       expect(typeof upnp.getTransportInfo).toBe('function');
+      expect(typeof upnp.getPositionInfo).toBe('function');
+      expect(typeof upnp.getMediaInfo).toBe('function');
       expect(typeof upnp.playSpotifyTrack).toBe('function');
       expect(typeof upnp.testConnection).toBe('function');
     });
 
+    it('should export the queue management functions', () => {
+      expect(typeof upnp.getQueue).toBe('function');
+      expect(typeof upnp.addURIToQueue).toBe('function');
+      expect(typeof upnp.enqueueSpotifyTrack).toBe('function');
+      expect(typeof upnp.removeTrackFromQueue).toBe('function');
+      expect(typeof upnp.reorderTracksInQueue).toBe('function');
+      expect(typeof upnp.clearQueue).toBe('function');
+    });
+
     it('should export configuration constants', () => {
       expect(upnp.SONOS_SPEAKER_IP).toBeDefined();
       expect(upnp.SONOS_SPEAKER_PORT).toBe(1400);